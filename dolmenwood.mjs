@@ -3,20 +3,33 @@
 import DOLMENWOOD from './module/config.js'
 import DolmenSheet from './module/dolmen-sheet.js'
 import DolmenCreatureSheet from './module/dolmen-creature-sheet.js'
+import DolmenLootSheet from './module/dolmen-loot-sheet.js'
 import DolmenItemSheet from './module/dolmen-item-sheet.js'
 import DolmenKindredSheet from './module/dolmen-kindred-sheet.js'
 import DolmenClassSheet from './module/dolmen-class-sheet.js'
 import DolmenActor from './module/dolmen-actor.js'
 import DolmenItem from './module/dolmen-item.js'
-import { AdventurerDataModel, CreatureDataModel, TraitDataModel, GearDataModel, ContainerDataModel, TreasureDataModel, WeaponDataModel, SpellDataModel, HolySpellDataModel, ArmorDataModel, ForagedDataModel, GlamourDataModel, RuneDataModel, KindredDataModel, ClassDataModel } from './module/data-models.mjs'
-import { setupDamageContextMenu } from './module/chat-damage.js'
+import { AdventurerDataModel, CreatureDataModel, TraitDataModel, LootDataModel, GearDataModel, ContainerDataModel, TreasureDataModel, WeaponDataModel, SpellDataModel, HolySpellDataModel, ArmorDataModel, ForagedDataModel, GlamourDataModel, RuneDataModel, KindredDataModel, ClassDataModel } from './module/data-models.mjs'
+import { setupDamageContextMenu, setupApplyHitDamageButton, setupUndoDamageButton, handleDamageSocket } from './module/chat-damage.js'
 import { createSaveLinkEnricher, openInlineSaveModifierPanel } from './module/chat-save.js'
+import { setupSpellEffectButton, handleSpellSocket } from './module/chat-spell.js'
 import WelcomeDialog from './module/welcome-dialog.js'
 import { initCalendarWidget, toggleWidget, handleCalendarSocket } from './module/calendar/calendar-widget.js'
 import { getFaSymbol } from './module/sheet/data-context.js'
 import { registerCombatSystem } from './module/combat/combat.js'
+import { setupMoralePromptButton } from './module/combat/morale.js'
+import { setupEncounterButton } from './module/combat/encounter-builder.js'
+import { setupDisruptionButtons, handleDisruptionSocket } from './module/combat/spell-disruption.js'
+import { registerEffectSystem } from './module/effects/active-effect.js'
+import { registerDeathSettings } from './module/death.js'
 import { initDungeonTracker, toggleDungeonTracker, onLightSourcesChanged, onTrackerPausedChanged, onTurnCounterChanged } from './module/dungeon-tracker/dungeon-tracker.js'
 import { initPartyViewer, togglePartyViewer, onPartyMembersChanged } from './module/party-viewer/party-viewer.js'
+import { registerTravelSettings, initTravelPanel } from './module/travel/travel-panel.js'
+import { registerCreatureHPSettings, rerollSelectedHP } from './module/creature-hp.js'
+import { registerHoardSettings, setupHoardButtons } from './module/treasure/hoard.js'
+import { handleLootSocket } from './module/treasure/loot.js'
+import { handleLightSocket } from './module/dungeon-tracker/light-items.js'
+import { addSceneUndergroundField } from './module/calendar/weather.js'
 import { openCreatureImportDialog } from './module/creature-importer.js'
 
 const { Actors, Items } = foundry.documents.collections
@@ -178,6 +191,21 @@ Hooks.once('init', async function () {
 	// Register combat system (group initiative, tracker, declarations)
 	registerCombatSystem()
 
+	// Register Active Effects (transfer-on-equip, round/turn/day durations)
+	registerEffectSystem()
+
+	// Register death & dying settings (0 HP mode, injury table)
+	registerDeathSettings()
+
+	// Register overland travel panel settings (travel state, wilderness encounters)
+	registerTravelSettings()
+
+	// Register creature HP settings (per-token HP from HP dice)
+	registerCreatureHPSettings()
+
+	// Register treasure hoard settings (magic item table)
+	registerHoardSettings()
+
 	// Register custom text enricher for save links: [text](save:saveKey)
 	CONFIG.TextEditor.enrichers.push({
 		pattern: /\[([^\]]+)\]\(save:(\w+)\)/g,
@@ -205,7 +233,8 @@ Hooks.once('init', async function () {
 	CONFIG.Actor.dataModels = {
 		Adventurer: AdventurerDataModel,
 		Creature: CreatureDataModel,
-		Trait: TraitDataModel
+		Trait: TraitDataModel,
+		Loot: LootDataModel
 	}
 	CONFIG.Item.dataModels = {
 		Item: GearDataModel,
@@ -268,6 +297,19 @@ Hooks.once('init', async function () {
 		}
 	})
 
+	game.settings.register('dolmenwood', 'containerCapacity', {
+		name: 'DOLMEN.Encumbrance.ContainerCapacity',
+		hint: 'DOLMEN.Encumbrance.ContainerCapacityHint',
+		scope: 'world',
+		config: true,
+		type: String,
+		default: 'warn',
+		choices: {
+			warn: 'DOLMEN.Encumbrance.CapacityWarn',
+			block: 'DOLMEN.Encumbrance.CapacityBlock'
+		}
+	})
+
 	game.settings.register('dolmenwood', 'showWelcomeDialog', {
 		name: 'DOLMEN.Welcome.SettingName',
 		hint: 'DOLMEN.Welcome.SettingHint',
@@ -365,6 +407,23 @@ Hooks.once('init', async function () {
 					onChange: (event, active) => {
 						game.settings.set('dolmenwood', 'showPartyViewer', active)
 					}
+				},
+				travelPanel: {
+					name: 'travelPanel',
+					title: 'DOLMEN.Travel.SettingName',
+					icon: 'fa-solid fa-route',
+					toggle: true,
+					active: game.settings.get('dolmenwood', 'showTravelPanel'),
+					onChange: (event, active) => {
+						game.settings.set('dolmenwood', 'showTravelPanel', active)
+					}
+				},
+				rerollHP: {
+					name: 'rerollHP',
+					title: 'DOLMEN.CreatureHP.Reroll',
+					icon: 'fa-solid fa-heart-pulse',
+					button: true,
+					onChange: () => rerollSelectedHP()
 				}
 			}
 		}
@@ -394,6 +453,12 @@ Hooks.once('init', async function () {
 		makeDefault: true
 	})
 
+	Actors.registerSheet('dolmen', DolmenLootSheet, {
+		types: ['Loot'],
+		label: 'DOLMEN.LootSheetTitle',
+		makeDefault: true
+	})
+
 	Items.registerSheet('dolmen', DolmenItemSheet, {
 		types: ['Item', 'Treasure', 'Weapon', 'Armor', 'Foraged', 'Container', 'Spell', 'HolySpell', 'Glamour', 'Rune'],
 		label: 'DOLMEN.ItemSheetTitle',
@@ -423,6 +488,7 @@ Hooks.once('ready', async function () {
 	initCalendarWidget()
 	initDungeonTracker()
 	initPartyViewer()
+	initTravelPanel()
 
 	// Set turn marker to system image
 	if (game.user.isGM) {
@@ -437,6 +503,21 @@ Hooks.once('ready', async function () {
 
 	// Socket listener for player calendar note operations
 	game.socket.on('system.dolmenwood', handleCalendarSocket)
+
+	// Socket listener for player-requested damage application and undo (GM-proxied)
+	game.socket.on('system.dolmenwood', handleDamageSocket)
+
+	// Socket listener for player-requested spell effects on targets they do not own (GM-proxied)
+	game.socket.on('system.dolmenwood', handleSpellSocket)
+
+	// Socket listener for player loot and merchant transactions (GM-proxied)
+	game.socket.on('system.dolmenwood', handleLootSocket)
+
+	// Socket listener for players lighting, putting out and dropping carried lights (GM-proxied)
+	game.socket.on('system.dolmenwood', handleLightSocket)
+
+	// Socket listener for spells disrupted by damage applied by players (GM-proxied)
+	game.socket.on('system.dolmenwood', handleDisruptionSocket)
 })
 
 // Live-preview theme when dropdown changes in settings
@@ -453,9 +534,19 @@ Hooks.on('renderSettingsConfig', (app, html) => {
 	})
 })
 
+// Flag scenes as underground, out of the weather
+Hooks.on('renderSceneConfig', addSceneUndergroundField)
+
 // Add context menu to damage rolls in chat
 Hooks.on('renderChatMessageHTML', (message, html) => {
 	setupDamageContextMenu(html)
+	setupApplyHitDamageButton(message, html)
+	setupUndoDamageButton(message, html)
+	setupSpellEffectButton(message, html)
+	setupMoralePromptButton(message, html)
+	setupEncounterButton(message, html)
+	setupHoardButtons(message, html)
+	setupDisruptionButtons(message, html)
 })
 
 // Global delegated listener for inline save links (chat, journals, item descriptions, etc.)
@@ -6,6 +6,7 @@ import {
 	getCelestialPosition, ordinalDay, getDayName, getHoliday,
 	getMoonChangesForMonth
 } from './calendar-time.js'
+import { WEATHER_EFFECTS, getWeatherSummary } from './weather.js'
 import { drawFromTableRaw } from '../utils/roll-tables.js'
 import { isDungeonTrackerAnimating } from '../dungeon-tracker/dungeon-tracker.js'
 
@@ -284,16 +285,17 @@ function renderWidget() {
 	if (hasWeather) {
 		const wIcon = getWeatherIcon(weather.text)
 		let badges = ''
-		const badgeInfo = {
-			I: game.i18n.localize('DOLMEN.Calendar.Weather.Impeded'),
-			V: game.i18n.localize('DOLMEN.Calendar.Weather.Visibility'),
-			W: game.i18n.localize('DOLMEN.Calendar.Weather.Wet')
-		}
 		for (const flag of (weather.effects || '')) {
-			if (badgeInfo[flag]) {
-				badges += `<span class="weather-badge weather-badge-${flag}" title="${badgeInfo[flag]}">${flag}</span>`
+			if (WEATHER_EFFECTS[flag]) {
+				badges += `<span class="weather-badge weather-badge-${flag}" title="${game.i18n.localize(WEATHER_EFFECTS[flag].label)}">${flag}</span>`
 			}
 		}
+		// Active modifiers, listed under the weather text
+		const summary = getWeatherSummary(weather.effects || '')
+		const modifiersHtml = summary.length
+			? `<div class="calendar-weather-modifiers">${[...(weather.effects || '')].filter(f => WEATHER_EFFECTS[f]).map(f =>
+				`<span class="weather-modifier weather-modifier-${f}"><i class="fa-solid ${WEATHER_EFFECTS[f].icon}"></i> ${game.i18n.localize(WEATHER_EFFECTS[f].short)}</span>`).join('')}</div>`
+			: ''
 		const rollBtn = isGM
 			? `<a class="calendar-weather-roll" title="${game.i18n.localize('DOLMEN.Calendar.Weather.RollWeather')}"><i class="fa-solid fa-dice"></i></a>`
 			: ''
@@ -303,7 +305,8 @@ function renderWidget() {
 				<span class="calendar-weather-text">${weather.text}</span>
 				${badges}
 				${rollBtn}
-			</div>`
+			</div>
+			${modifiersHtml}`
 	} else if (isGM) {
 		weatherBarHtml = `
 			<div class="calendar-weather-bar">
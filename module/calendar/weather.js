@@ -0,0 +1,83 @@
+/* global game */
+
+/**
+ * Weather Effects
+ * Mechanical modifiers for the current weather's effect flags, as saved by the
+ * calendar's weather roll: I = travel impeded, V = poor visibility, W = wet conditions.
+ */
+
+/** Weather flags with their summary and short labels. */
+export const WEATHER_EFFECTS = {
+	I: { label: 'DOLMEN.Calendar.Weather.Impeded', short: 'DOLMEN.Calendar.Weather.ImpededShort', icon: 'fa-person-hiking' },
+	V: { label: 'DOLMEN.Calendar.Weather.Visibility', short: 'DOLMEN.Calendar.Weather.VisibilityShort', icon: 'fa-smog' },
+	W: { label: 'DOLMEN.Calendar.Weather.Wet', short: 'DOLMEN.Calendar.Weather.WetShort', icon: 'fa-droplet' }
+}
+
+/**
+ * Get the current weather's effect flags.
+ * @returns {string} Flag letters, e.g. 'IV'
+ */
+export function getWeatherEffects() {
+	return game.settings.get('dolmenwood', 'currentWeather')?.effects || ''
+}
+
+/**
+ * Check whether the current weather has an effect flag.
+ * @param {string} flag - 'I', 'V' or 'W'
+ * @returns {boolean}
+ */
+export function hasWeatherEffect(flag) {
+	return getWeatherEffects().includes(flag)
+}
+
+/**
+ * Whether the party is out under the weather: true unless the viewed scene is
+ * flagged as underground in its scene configuration.
+ * @returns {boolean}
+ */
+export function isOutdoors() {
+	return !game.scenes.viewed?.getFlag('dolmenwood', 'underground')
+}
+
+/**
+ * renderSceneConfig hook: add the underground checkbox to the scene's basics tab.
+ * @param {SceneConfig} app - The scene configuration sheet
+ * @param {HTMLElement} html - The rendered sheet
+ */
+export function addSceneUndergroundField(app, html) {
+	const tab = html.querySelector('.tab[data-tab="basics"]')
+	if (!tab || tab.querySelector('[name="flags.dolmenwood.underground"]')) return
+	const checked = app.document.getFlag('dolmenwood', 'underground') ? 'checked' : ''
+	tab.insertAdjacentHTML('beforeend', `
+		<div class="form-group">
+			<label>${game.i18n.localize('DOLMEN.Calendar.Weather.Underground')}</label>
+			<div class="form-fields">
+				<input type="checkbox" name="flags.dolmenwood.underground" ${checked}>
+			</div>
+			<p class="hint">${game.i18n.localize('DOLMEN.Calendar.Weather.UndergroundHint')}</p>
+		</div>`)
+}
+
+/**
+ * Summarise the active weather modifiers.
+ * @param {string} [flags] - Flags to summarise (defaults to the current weather)
+ * @returns {string[]} Localized modifier descriptions
+ */
+export function getWeatherSummary(flags = getWeatherEffects()) {
+	return [...flags].filter(f => WEATHER_EFFECTS[f]).map(f => game.i18n.localize(WEATHER_EFFECTS[f].label))
+}
+
+/**
+ * Build a roll card section noting the weather modifiers that applied to a roll.
+ * @param {string} flags - The flags that modified the roll
+ * @returns {string} HTML string, or '' if none applied
+ */
+export function buildWeatherNote(flags) {
+	const lines = getWeatherSummary(flags)
+	if (!lines.length) return ''
+	return `
+		<div class="roll-section weather-note">
+			<i class="fa-solid fa-cloud-sun-rain"></i>
+			<span class="roll-label">${lines.join('<br>')}</span>
+		</div>`
+}
@@ -1,26 +1,75 @@
-/* global game, canvas, ui */
+/* global game, canvas, ui, foundry, fromUuid, ChatMessage */
 import { createContextMenu } from './sheet/context-menu.js'
+import { applyCondition, removeCondition } from './effects/conditions.js'
+import { handleZeroHP, undoZeroHP } from './death.js'
+import { undoDisruptions, hasDisruptions } from './combat/spell-disruption.js'
+
+/**
+ * Set an actor's HP and return a log entry describing the change.
+ * The update carries the log's ID so spell disruptions it causes can be undone with it.
+ * @param {Actor} actor - The actor to update
+ * @param {number} newHP - The new HP value
+ * @param {string} logId - ID of the damage log the change belongs to
+ * @returns {object} Log entry { actorUuid, name, before, after }
+ */
+async function setActorHP(actor, newHP, logId) {
+	const before = actor.system.hp.value
+	await actor.update({ 'system.hp.value': newHP }, { dolmenwoodLogId: logId })
+	return { actorUuid: actor.uuid, name: actor.name, before, after: newHP }
+}
+
+/**
+ * Reduce an actor's HP by a damage amount (clamped at 0).
+ * Actors dropped to 0 HP are flagged unconscious and run through the death workflow
+ * by the active GM, so injury tables and combat updates have the needed permissions.
+ * The workflow's outcome is kept on the log entry so undo can reverse it; for players
+ * the GM runs it once the damage log exists (see postDamageLog()).
+ * @param {Actor} actor - The actor taking damage
+ * @param {number} damage - Amount of damage to apply
+ * @param {string} logId - ID of the damage log the change belongs to
+ * @returns {object} Log entry for the HP change
+ */
+async function applyDamageToActor(actor, damage, logId) {
+	const entry = await setActorHP(actor, Math.max(0, actor.system.hp.value - damage), logId)
+	if (entry.before > 0 && entry.after === 0) {
+		await applyCondition(actor, 'unconscious')
+		if (game.users.activeGM?.isSelf) entry.zeroHP = await handleZeroHP(actor)
+	}
+	return entry
+}
+
+/**
+ * Restore HP to an actor (clamped at max HP).
+ * @param {Actor} actor - The actor being healed
+ * @param {number} healing - Amount of HP to restore
+ * @param {string} logId - ID of the damage log the change belongs to
+ * @returns {object} Log entry for the HP change
+ */
+async function applyHealingToActor(actor, healing, logId) {
+	return setActorHP(actor, Math.min(actor.system.hp.max, actor.system.hp.value + healing), logId)
+}
 
 /**
  * Apply damage to controlled tokens.
  * @param {number} damage - Amount of damage to apply
+ * @param {object} [options] - Extra options
+ * @param {string} [options.sourceMessageId] - ID of the chat message the damage came from
  */
-export async function applyDamageToControlled(damage) {
+export async function applyDamageToControlled(damage, { sourceMessageId = null } = {}) {
 	const controlled = canvas.tokens.controlled
 	if (controlled.length === 0) {
 		ui.notifications.warn(game.i18n.localize('DOLMEN.Damage.NoTokensSelected'))
 		return
 	}
 
+	const logId = foundry.utils.randomID()
+	const entries = []
 	for (const token of controlled) {
 		const actor = token.actor
 		if (!actor) continue
-
-		const currentHP = actor.system.hp.value
-		const newHP = Math.max(0, currentHP - damage)
-
-		await actor.update({ 'system.hp.value': newHP })
+		entries.push(await applyDamageToActor(actor, damage, logId))
 	}
+	await postDamageLog(entries, { logId, type: 'damage', amount: damage, sourceMessageId })
 
 	const count = controlled.length
 	const label = count === 1
@@ -32,24 +81,24 @@ export async function applyDamageToControlled(damage) {
 /**
  * Apply healing to controlled tokens.
  * @param {number} healing - Amount of HP to restore
+ * @param {object} [options] - Extra options
+ * @param {string} [options.sourceMessageId] - ID of the chat message the healing came from
  */
-async function applyHealingToControlled(healing) {
+async function applyHealingToControlled(healing, { sourceMessageId = null } = {}) {
 	const controlled = canvas.tokens.controlled
 	if (controlled.length === 0) {
 		ui.notifications.warn(game.i18n.localize('DOLMEN.Damage.NoTokensSelected'))
 		return
 	}
 
+	const logId = foundry.utils.randomID()
+	const entries = []
 	for (const token of controlled) {
 		const actor = token.actor
 		if (!actor) continue
-
-		const currentHP = actor.system.hp.value
-		const maxHP = actor.system.hp.max
-		const newHP = Math.min(maxHP, currentHP + healing)
-
-		await actor.update({ 'system.hp.value': newHP })
+		entries.push(await applyHealingToActor(actor, healing, logId))
 	}
+	await postDamageLog(entries, { logId, type: 'healing', amount: healing, sourceMessageId })
 
 	const count = controlled.length
 	const label = count === 1
@@ -67,6 +116,7 @@ async function applyHealingToControlled(healing) {
  * @param {boolean} [options.hasColdIron] - Whether the weapon has cold-iron quality
  */
 function showDamageMenu(event, damageTotal, excludeEl, { hasColdIron = false } = {}) {
+	const sourceMessageId = excludeEl.closest('[data-message-id]')?.dataset.messageId ?? null
 	const halfDamage = Math.floor(damageTotal / 2)
 	const doubleDamage = damageTotal * 2
 	const coldIronPlus = damageTotal + 1
@@ -126,9 +176,9 @@ function showDamageMenu(event, damageTotal, excludeEl, { hasColdIron = false } =
 		onItemClick: async (item, menu) => {
 			const amount = parseInt(item.dataset.damage)
 			if (item.dataset.action === 'heal') {
-				await applyHealingToControlled(amount)
+				await applyHealingToControlled(amount, { sourceMessageId })
 			} else {
-				await applyDamageToControlled(amount)
+				await applyDamageToControlled(amount, { sourceMessageId })
 			}
 			menu.remove()
 		}
@@ -193,3 +243,264 @@ export function setupDamageContextMenu(html) {
 		}, { capture: true })
 	})
 }
+
+/* -------------------------------------------- */
+/*  Attack Card: Apply Damage to Hit Targets    */
+/* -------------------------------------------- */
+
+/**
+ * Check whether an actor counts as fey for cold-iron damage.
+ * @param {Actor} actor - The actor to check
+ * @returns {boolean} True for fairies and demi-fey
+ */
+function isFey(actor) {
+	const type = actor.type === 'Creature' ? actor.system.monsterType : actor.system.creatureType
+	return type === 'fairy' || type === 'demi-fey'
+}
+
+/**
+ * Read the damage roll total and weapon qualities from an attack chat card.
+ * @param {ChatMessage} message - The attack chat message
+ * @returns {object} { damage, qualities }
+ */
+function parseAttackCardDamage(message) {
+	const container = document.createElement('div')
+	container.innerHTML = message.content
+	const rollElement = container.querySelector('.inline-roll.damage-inline-roll')
+	const damageSection = rollElement?.closest('.damage-section')
+	return {
+		damage: rollElement ? parseInlineRollTotal(rollElement) : 0,
+		qualities: (damageSection?.dataset.weaponQualities || '').split(',')
+	}
+}
+
+/**
+ * Apply an attack card's damage to every target it hit.
+ * Must be run by a user who can update the target actors (normally the GM).
+ * Cold-iron weapons deal +1 damage to fey targets and -1 to everything else.
+ * @param {ChatMessage} message - The attack chat message
+ * @param {object} [options] - Extra options
+ * @param {string} [options.userId] - ID of the user who requested the damage (defaults to current user)
+ */
+export async function applyAttackDamageToHitTargets(message, { userId = game.user.id } = {}) {
+	if (!message || message.getFlag('dolmenwood', 'damageApplied')) return
+	const targets = (message.getFlag('dolmenwood', 'attack')?.targets || []).filter(t => t.hit)
+	const { damage, qualities } = parseAttackCardDamage(message)
+	if (!targets.length || damage <= 0) return
+	const hasColdIron = qualities.includes('cold-iron')
+
+	const logId = foundry.utils.randomID()
+	const entries = []
+	for (const target of targets) {
+		const token = await fromUuid(target.tokenUuid)
+		const actor = token?.actor
+		if (!actor) continue
+		let amount = damage
+		if (hasColdIron) amount = isFey(actor) ? damage + 1 : Math.max(0, damage - 1)
+		entries.push(await applyDamageToActor(actor, amount, logId))
+	}
+
+	await message.setFlag('dolmenwood', 'damageApplied', true)
+	await postDamageLog(entries, { logId, type: 'damage', amount: damage, sourceMessageId: message.id, userId })
+	const names = entries.map(e => e.name).join(', ')
+	ui.notifications.info(game.i18n.format('DOLMEN.Damage.AppliedToTargets', { damage, names }))
+}
+
+/**
+ * Wire the "apply damage to hit targets" button on attack chat cards.
+ * Only the GM and the message author see the button; players are proxied
+ * through the GM via the system socket.
+ * @param {ChatMessage} message - The rendered chat message
+ * @param {HTMLElement} html - Chat message HTML
+ */
+export function setupApplyHitDamageButton(message, html) {
+	const element = html[0] || html
+	const button = element.querySelector('.apply-hit-damage')
+	if (!button) return
+
+	if (!game.user.isGM && !message.isAuthor) {
+		button.remove()
+		return
+	}
+
+	if (message.getFlag('dolmenwood', 'damageApplied')) {
+		button.disabled = true
+		button.innerHTML = `<i class="fa-solid fa-check"></i> ${game.i18n.localize('DOLMEN.Damage.AppliedToTargetsDone')}`
+		return
+	}
+
+	button.addEventListener('click', async (event) => {
+		event.preventDefault()
+		button.disabled = true
+		if (game.user.isGM) {
+			await applyAttackDamageToHitTargets(message)
+		} else if (game.users.activeGM) {
+			game.socket.emit('system.dolmenwood', { action: 'applyAttackDamage', messageId: message.id, userId: game.user.id })
+		} else {
+			ui.notifications.warn(game.i18n.localize('DOLMEN.Damage.NoActiveGM'))
+			button.disabled = false
+		}
+	})
+}
+
+/**
+ * Handle damage socket events. Only the active GM processes them.
+ * @param {object} data - Socket payload
+ */
+export function handleDamageSocket(data) {
+	if (!game.users.activeGM?.isSelf) return
+	if (data.action === 'applyAttackDamage') {
+		applyAttackDamageToHitTargets(game.messages.get(data.messageId), { userId: data.userId })
+	} else if (data.action === 'undoDamage') {
+		undoDamageLog(game.messages.get(data.messageId))
+	} else if (data.action === 'zeroHP') {
+		runLoggedZeroHP(game.messages.get(data.messageId))
+	}
+}
+
+/**
+ * Run the death workflow for every actor a player's damage log dropped to 0 HP,
+ * recording each outcome on its log entry. Run by the active GM.
+ * @param {ChatMessage} message - The damage log chat message
+ */
+async function runLoggedZeroHP(message) {
+	const log = message?.getFlag('dolmenwood', 'damageLog')
+	if (!log) return
+	const entries = []
+	for (const entry of log.entries) {
+		if (entry.before > 0 && entry.after === 0 && !entry.zeroHP) {
+			entries.push({ ...entry, zeroHP: await handleZeroHP(await fromUuid(entry.actorUuid)) })
+		} else {
+			entries.push(entry)
+		}
+	}
+	await message.setFlag('dolmenwood', 'damageLog.entries', entries)
+}
+
+/* -------------------------------------------- */
+/*  Damage Log & Undo                           */
+/* -------------------------------------------- */
+
+/**
+ * Post a damage log chat card recording HP changes, with an undo button.
+ * The card is whispered to GMs and the user who applied the change. When a player
+ * dropped an actor to 0 HP, the active GM is asked to run the death workflow.
+ * @param {object[]} entries - Log entries { actorUuid, name, before, after, zeroHP }
+ * @param {object} options - Log details
+ * @param {string} options.logId - ID shared by the HP updates in the log
+ * @param {string} options.type - 'damage' or 'healing'
+ * @param {number} options.amount - Amount of damage or healing applied
+ * @param {string|null} [options.sourceMessageId] - ID of the originating chat message
+ * @param {string} [options.userId] - ID of the user who applied the change
+ */
+async function postDamageLog(entries, { logId, type, amount, sourceMessageId = null, userId = game.user.id }) {
+	if (!entries.length) return
+
+	const isHealing = type === 'healing'
+	const title = game.i18n.localize(isHealing ? 'DOLMEN.Damage.LogHealing' : 'DOLMEN.Damage.LogDamage')
+	const icon = isHealing ? 'fa-duotone fa-solid fa-hand-holding-medical' : 'fa-duotone fa-regular fa-heart-crack'
+	const userName = game.users.get(userId)?.name ?? ''
+	const rows = entries.map(e => `
+				<div class="log-row">
+					<span class="log-name">${foundry.utils.escapeHTML(e.name)}</span>
+					<span class="log-hp">${e.before} &rarr; ${e.after}</span>
+				</div>`).join('')
+
+	const whisper = game.users.filter(u => u.isGM).map(u => u.id)
+	if (!whisper.includes(userId)) whisper.push(userId)
+
+	const message = await ChatMessage.create({
+		content: `
+		<div class="dolmen damage-log">
+			<div class="roll-header">
+				<i class="${icon}"></i>
+				<div class="roll-info">
+					<h3>${title}</h3>
+					<span class="roll-type">${game.i18n.format('DOLMEN.Damage.LogAppliedBy', { amount, user: userName })}</span>
+				</div>
+			</div>
+			<div class="roll-body">${rows}
+				<button type="button" class="undo-damage">
+					<i class="fa-solid fa-rotate-left"></i> ${game.i18n.localize('DOLMEN.Damage.Undo')}
+				</button>
+			</div>
+		</div>`,
+		whisper,
+		flags: { dolmenwood: { damageLog: { logId, type, amount, entries, sourceMessageId, userId, undone: false } } }
+	})
+
+	const droppedToZero = entries.some(e => e.before > 0 && e.after === 0)
+	if (droppedToZero && message && !game.users.activeGM?.isSelf) {
+		game.socket.emit('system.dolmenwood', { action: 'zeroHP', messageId: message.id })
+	}
+}
+
+/**
+ * Restore every actor in a damage log to its HP before the change, reversing
+ * anything the death workflow did to actors the damage dropped to 0 HP and giving
+ * back spells the damage disrupted.
+ * Must be run by a user who can update the logged actors and the message.
+ * @param {ChatMessage} message - The damage log chat message
+ */
+export async function undoDamageLog(message) {
+	const log = message?.getFlag('dolmenwood', 'damageLog')
+	if (!log || log.undone) return
+
+	for (const entry of log.entries) {
+		const actor = await fromUuid(entry.actorUuid)
+		if (!actor) continue
+		await actor.update({ 'system.hp.value': entry.before })
+		if (entry.before > 0 && entry.after === 0) {
+			await removeCondition(actor, 'unconscious')
+			await undoZeroHP(actor, entry.zeroHP)
+		}
+	}
+
+	await undoDisruptions(log.logId)
+
+	await message.setFlag('dolmenwood', 'damageLog.undone', true)
+	ui.notifications.info(game.i18n.format('DOLMEN.Damage.Undone', {
+		names: log.entries.map(e => e.name).join(', ')
+	}))
+}
+
+/**
+ * Wire the undo button on damage log chat cards.
+ * Players who cannot update the logged actors are proxied through the GM.
+ * @param {ChatMessage} message - The rendered chat message
+ * @param {HTMLElement} html - Chat message HTML
+ */
+export function setupUndoDamageButton(message, html) {
+	const element = html[0] || html
+	const button = element.querySelector('.undo-damage')
+	if (!button) return
+
+	const log = message.getFlag('dolmenwood', 'damageLog')
+	if (!log || (!game.user.isGM && log.userId !== game.user.id)) {
+		button.remove()
+		return
+	}
+
+	if (log.undone) {
+		button.disabled = true
+		button.innerHTML = `<i class="fa-solid fa-check"></i> ${game.i18n.localize('DOLMEN.Damage.UndoDone')}`
+		return
+	}
+
+	button.addEventListener('click', async (event) => {
+		event.preventDefault()
+		button.disabled = true
+		const actors = await Promise.all(log.entries.map(e => fromUuid(e.actorUuid)))
+		// Reversing the death workflow or a disruption touches combatants, which only the GM can update
+		const canUndo = message.isAuthor && actors.every(a => !a || a.isOwner)
+			&& log.entries.every(e => !e.zeroHP) && !hasDisruptions(log.logId)
+		if (game.user.isGM || canUndo) {
+			await undoDamageLog(message)
+		} else if (game.users.activeGM) {
+			game.socket.emit('system.dolmenwood', { action: 'undoDamage', messageId: message.id })
+		} else {
+			ui.notifications.warn(game.i18n.localize('DOLMEN.Damage.NoActiveGM'))
+			button.disabled = false
+		}
+	})
+}
@@ -0,0 +1,287 @@
+/* global foundry, game, ui, fromUuid, ChatMessage, Roll, CONST */
+/**
+ * Spell Cast Cards
+ * Builds the chat card posted when a spell, glamour or rune is cast: structured spell
+ * fields, an optional damage roll, inline save links and a button that applies the
+ * spell's timed effect to its targets.
+ */
+
+import { parseSaveLinks } from './chat-save.js'
+import { buildEffectDuration } from './effects/active-effect.js'
+import { registerDurationTimer } from './effects/timers.js'
+
+const TYPE_LABELS = {
+	Spell: 'DOLMEN.Magic.Arcane.Title',
+	HolySpell: 'DOLMEN.Magic.Holy.Title',
+	Glamour: 'DOLMEN.Magic.Fairy.Glamours',
+	Rune: 'DOLMEN.Magic.Fairy.Runes'
+}
+
+/**
+ * Format a spell's duration, preferring the structured value and unit.
+ * @param {object} sys - The spell's system data
+ * @returns {string} Duration text, or '' if none
+ */
+function formatSpellDuration(sys) {
+	if (sys.durationValue > 0 && sys.durationUnit) {
+		return `${sys.durationValue} ${game.i18n.localize(`DOLMEN.Effects.Units.${sys.durationUnit}`)}`
+	}
+	return sys.duration || ''
+}
+
+/**
+ * Build a single labelled field row for the spell card.
+ * @param {string} labelKey - Localization key for the label
+ * @param {string} value - The field value
+ * @returns {string} HTML string
+ */
+function buildField(labelKey, value) {
+	return `<div class="spell-field"><strong>${game.i18n.localize(labelKey)}:</strong> ${value}</div>`
+}
+
+/**
+ * Post the chat card for a cast spell, glamour or rune.
+ * Targets selected at cast time are recorded so the spell's effect can be applied to them.
+ * Spells with a timed duration get a timer owned by the caster once their effect is
+ * applied, which removes the spell's effects when it runs out.
+ * @param {Actor} actor - The caster
+ * @param {Item} item - The spell, glamour or rune
+ * @returns {Promise<ChatMessage>} The created chat message
+ */
+export async function postSpellCard(actor, item) {
+	const sys = item.system
+	const typeLabel = game.i18n.localize(TYPE_LABELS[item.type] || TYPE_LABELS.Spell)
+
+	let fields = ''
+	if (sys.rank !== undefined) fields += buildField('DOLMEN.Magic.SpellRank', sys.rank)
+	if (sys.prayerName) fields += buildField('DOLMEN.Magic.Prayer', sys.prayerName)
+	if (sys.magnitude) {
+		fields += buildField('DOLMEN.Magic.Fairy.Magnitude', game.i18n.localize(`DOLMEN.Magic.Fairy.Magnitudes.${sys.magnitude}`))
+	}
+	if (sys.range) fields += buildField('DOLMEN.Magic.Range', sys.range)
+	const duration = formatSpellDuration(sys)
+	if (duration) fields += buildField('DOLMEN.Magic.Duration', duration)
+	if (sys.area) fields += buildField('DOLMEN.Magic.Area', sys.area)
+	if (sys.targets > 0) fields += buildField('DOLMEN.Magic.Targets', sys.targets)
+
+	// Damage roll, right-clickable like weapon damage
+	const rolls = []
+	let damageSection = ''
+	if (sys.damageFormula && Roll.validate(sys.damageFormula)) {
+		const roll = new Roll(sys.damageFormula, actor.getRollData())
+		await roll.evaluate()
+		rolls.push(roll)
+		const anchor = await roll.toAnchor({ classes: ['damage-inline-roll'] })
+		damageSection = `
+			<div class="roll-section damage-section spell-damage">
+				<label>${game.i18n.localize('DOLMEN.Magic.Damage')}</label>
+				<div class="roll-result">${anchor.outerHTML}</div>
+				<span class="roll-breakdown">${sys.damageFormula}</span>
+			</div>`
+	}
+
+	// Save link, rendered by the save link enricher when the message is displayed
+	let saveSection = ''
+	if (sys.saveType) {
+		const saveName = game.i18n.localize(`DOLMEN.Saves.${sys.saveType.charAt(0).toUpperCase() + sys.saveType.slice(1)}`)
+		saveSection = `<div class="spell-save">[${game.i18n.localize('DOLMEN.Roll.SaveVs')} ${saveName}](save:${sys.saveType})</div>`
+	}
+
+	// Timed effect button
+	const targetUuids = [...game.user.targets].map(t => t.actor?.uuid).filter(Boolean)
+	let effectButton = ''
+	if (sys.durationValue > 0 && sys.durationUnit) {
+		const label = targetUuids.length
+			? game.i18n.format('DOLMEN.Magic.ApplyEffectTargets', { duration, count: targetUuids.length })
+			: game.i18n.format('DOLMEN.Magic.ApplyEffectSelf', { duration })
+		effectButton = `<button type="button" class="apply-spell-effect"><i class="fa-solid fa-hourglass-start"></i> ${label}</button>`
+	}
+
+	let description = ''
+	if (sys.description) description = `<div class="spell-description">${parseSaveLinks(sys.description)}</div>`
+	if (sys.codexUuid) {
+		description += `<div class="spell-codex-link">@UUID[${sys.codexUuid}]{${game.i18n.localize('DOLMEN.Magic.CodexLink')}}</div>`
+	}
+
+	const content = `
+		<div class="dolmen spell-card">
+			<div class="spell-header">
+				<img src="${item.img}" class="spell-card-image">
+				<div class="spell-info">
+					<h3>${item.name}</h3>
+					<span class="spell-type-label">${typeLabel}</span>
+				</div>
+			</div>
+			<div class="spell-body">
+				${fields}
+				${damageSection}
+				${saveSection}
+				${effectButton}
+				${description}
+			</div>
+		</div>`
+
+	const message = await ChatMessage.create({
+		speaker: ChatMessage.getSpeaker({ actor }),
+		content,
+		rolls,
+		style: CONST.CHAT_MESSAGE_STYLES.OTHER,
+		flags: {
+			dolmenwood: {
+				spellCast: {
+					itemUuid: item.uuid,
+					spellName: item.name,
+					casterUuid: actor.uuid,
+					targetUuids,
+					duration: { value: sys.durationValue, unit: sys.durationUnit },
+					effects: effectButton ? buildSpellEffects(item) : [],
+					effectApplied: false
+				}
+			}
+		}
+	})
+
+	return message
+}
+
+/**
+ * Register the duration timer for a spell card, built from the card's flags.
+ * When run for a player's request, the player must have posted the card and own the
+ * caster, and the spell must be one of the caster's items.
+ * @param {ChatMessage} message - The spell card message
+ * @param {object} [options] - Extra options
+ * @param {string} [options.userId] - ID of the user who requested the timer
+ * @returns {Promise<boolean>} True if a timer was registered
+ */
+async function registerCastTimer(message, { userId = game.user.id } = {}) {
+	const cast = message?.getFlag('dolmenwood', 'spellCast')
+	if (!cast?.duration) return false
+	const caster = await fromUuid(cast.casterUuid)
+	const item = await fromUuid(cast.itemUuid)
+	const user = game.users.get(userId)
+	// A used-up rune no longer resolves, but its UUID still places it on the caster
+	const onCaster = item ? item.parent === caster : cast.itemUuid?.startsWith(`${caster?.uuid}.Item.`)
+	const allowed = user?.isGM || (message.author?.id === userId
+		&& caster?.testUserPermission(user, 'OWNER') && onCaster)
+	if (!caster || !allowed) {
+		game.socket.emit('system.dolmenwood', { action: 'durationTimerRefused', userId, spell: cast.spellName })
+		return false
+	}
+	return registerDurationTimer({
+		name: cast.spellName,
+		value: cast.duration.value,
+		unit: cast.duration.unit,
+		owner: caster.name,
+		origin: cast.itemUuid,
+		actorUuids: cast.targetUuids.length ? cast.targetUuids : [cast.casterUuid],
+		start: cast.effects[0]?.duration ?? null
+	})
+}
+
+/**
+ * Build the effects a cast spell places on each target.
+ * Uses the spell's non-transferred Active Effects when it has any, otherwise a plain
+ * marker effect named after the spell, all lasting the spell's structured duration.
+ * Built at cast time so the duration starts when the spell is cast, and stored on the
+ * card so once-ever runes can still apply their effect after being used up.
+ * @param {Item} item - The spell, glamour or rune
+ * @returns {object[]} Active Effect creation data
+ */
+function buildSpellEffects(item) {
+	const sys = item.system
+	const duration = foundry.utils.expandObject(buildEffectDuration(sys.durationValue, sys.durationUnit))
+	const castEffects = item.effects.filter(e => !e.transfer)
+	const base = castEffects.length
+		? castEffects.map(e => e.toObject())
+		: [{ name: item.name, img: item.img, changes: [] }]
+	return base.map(data => {
+		delete data._id
+		return foundry.utils.mergeObject(data, { ...duration, origin: item.uuid, transfer: false, disabled: false })
+	})
+}
+
+/**
+ * Apply a spell card's timed effect to its recorded targets (or the caster), then
+ * count its duration down in the dungeon tracker (turns) or combat tracker (rounds)
+ * from when the spell was cast.
+ * Must be run by a user who can update the target actors (normally the GM).
+ * @param {ChatMessage} message - The spell card message
+ * @param {object} [options] - Extra options
+ * @param {string} [options.userId] - ID of the user who applied the effect (defaults to current user)
+ */
+export async function applySpellEffect(message, { userId = game.user.id } = {}) {
+	const cast = message?.getFlag('dolmenwood', 'spellCast')
+	if (!cast?.effects?.length || cast.effectApplied) return
+
+	const uuids = cast.targetUuids.length ? cast.targetUuids : [cast.casterUuid]
+	const names = []
+	for (const uuid of uuids) {
+		const actor = await fromUuid(uuid)
+		if (!actor) continue
+		await actor.createEmbeddedDocuments('ActiveEffect', cast.effects)
+		names.push(actor.name)
+	}
+
+	await message.setFlag('dolmenwood', 'spellCast.effectApplied', true)
+	if (game.user.isGM) await registerCastTimer(message, { userId })
+	else game.socket.emit('system.dolmenwood', { action: 'addDurationTimer', messageId: message.id, userId })
+	ui.notifications.info(game.i18n.format('DOLMEN.Magic.EffectApplied', { spell: cast.spellName, names: names.join(', ') }))
+}
+
+/**
+ * Wire the "apply timed effect" button on spell cards.
+ * Only the GM and the caster see the button; players are proxied through the GM
+ * when the targets include actors they do not own.
+ * @param {ChatMessage} message - The rendered chat message
+ * @param {HTMLElement} html - Chat message HTML
+ */
+export function setupSpellEffectButton(message, html) {
+	const element = html[0] || html
+	const button = element.querySelector('.apply-spell-effect')
+	if (!button) return
+
+	if (!game.user.isGM && !message.isAuthor) {
+		button.remove()
+		return
+	}
+
+	const cast = message.getFlag('dolmenwood', 'spellCast')
+	if (cast?.effectApplied) {
+		button.disabled = true
+		button.innerHTML = `<i class="fa-solid fa-check"></i> ${game.i18n.localize('DOLMEN.Magic.EffectAppliedDone')}`
+		return
+	}
+
+	button.addEventListener('click', async (event) => {
+		event.preventDefault()
+		button.disabled = true
+		const uuids = cast.targetUuids.length ? cast.targetUuids : [cast.casterUuid]
+		const actors = await Promise.all(uuids.map(uuid => fromUuid(uuid)))
+		if (game.user.isGM || actors.every(a => a?.isOwner)) {
+			await applySpellEffect(message)
+		} else if (game.users.activeGM) {
+			game.socket.emit('system.dolmenwood', { action: 'applySpellEffect', messageId: message.id, userId: game.user.id })
+		} else {
+			ui.notifications.warn(game.i18n.localize('DOLMEN.Damage.NoActiveGM'))
+			button.disabled = false
+		}
+	})
+}
+
+/**
+ * Handle spell socket events. The active GM applies effects and registers timers;
+ * the requesting user is told when a timer request is refused.
+ * @param {object} data - Socket payload
+ */
+export function handleSpellSocket(data) {
+	if (data.action === 'durationTimerRefused') {
+		if (data.userId === game.user.id) ui.notifications.warn(game.i18n.format('DOLMEN.Magic.TimerRefused', { spell: data.spell }))
+		return
+	}
+	if (!game.users.activeGM?.isSelf) return
+	if (data.action === 'applySpellEffect') {
+		applySpellEffect(game.messages.get(data.messageId), { userId: data.userId ?? null })
+	} else if (data.action === 'addDurationTimer') {
+		registerCastTimer(game.messages.get(data.messageId), { userId: data.userId ?? null })
+	}
+}
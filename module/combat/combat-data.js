@@ -79,6 +79,67 @@ export const DECLARATION_CONFIG = {
 	}
 }
 
+/* -------------------------------------------- */
+/*  Round Phases                                */
+/* -------------------------------------------- */
+
+/** The Dolmenwood combat round, in order */
+export const ROUND_PHASES = [
+	{ key: 'declarations', icon: 'fa-solid fa-bullhorn', labelKey: 'DOLMEN.Combat.Phase.Declarations', hintKey: 'DOLMEN.Combat.Phase.DeclarationsHint' },
+	{ key: 'initiative', icon: 'fa-solid fa-dice-d6', labelKey: 'DOLMEN.Combat.Phase.Initiative', hintKey: 'DOLMEN.Combat.Phase.InitiativeHint' },
+	{ key: 'movement', icon: 'fa-solid fa-person-running', labelKey: 'DOLMEN.Combat.Phase.Movement', hintKey: 'DOLMEN.Combat.Phase.MovementHint' },
+	{ key: 'missile', icon: 'fa-solid fa-bow-arrow', labelKey: 'DOLMEN.Combat.Phase.Missile', hintKey: 'DOLMEN.Combat.Phase.MissileHint' },
+	{ key: 'magic', icon: 'fa-solid fa-sparkles', labelKey: 'DOLMEN.Combat.Phase.Magic', hintKey: 'DOLMEN.Combat.Phase.MagicHint' },
+	{ key: 'melee', icon: 'fa-solid fa-swords', labelKey: 'DOLMEN.Combat.Phase.Melee', hintKey: 'DOLMEN.Combat.Phase.MeleeHint' },
+	{ key: 'morale', icon: 'fa-solid fa-flag', labelKey: 'DOLMEN.Combat.Phase.Morale', hintKey: 'DOLMEN.Combat.Phase.MoraleHint' }
+]
+
+/**
+ * Declaration reminders posted as each phase begins: which declarations come due,
+ * and the localization key describing what those combatants do.
+ */
+export const PHASE_REMINDERS = {
+	movement: [
+		{ declaration: 'flee', textKey: 'DOLMEN.Combat.Phase.Reminder.MovementFlee' },
+		{ declaration: 'charge', textKey: 'DOLMEN.Combat.Phase.Reminder.MovementCharge' },
+		{ declaration: 'magic', textKey: 'DOLMEN.Combat.Phase.Reminder.MovementMagic' }
+	],
+	missile: [
+		{ declaration: 'magic', textKey: 'DOLMEN.Combat.Phase.Reminder.MissileMagic' }
+	],
+	magic: [
+		{ declaration: 'magic', textKey: 'DOLMEN.Combat.Phase.Reminder.MagicCast' }
+	],
+	melee: [
+		{ declaration: 'charge', textKey: 'DOLMEN.Combat.Phase.Reminder.MeleeCharge' },
+		{ declaration: 'parry', textKey: 'DOLMEN.Combat.Phase.Reminder.MeleeParry' }
+	]
+}
+
+/**
+ * Check whether a combatant acts in a phase of the round.
+ * @param {string} phase - Phase key
+ * @param {object} data - Combatant display data (see prepareCombatantData)
+ * @returns {boolean} True if the combatant should be highlighted in this phase
+ */
+export function actsInPhase(phase, data) {
+	if (data.isDefeated) return false
+	switch (phase) {
+	case 'movement':
+		return data.declaration !== 'magic' && data.declaration !== 'parry'
+	case 'missile':
+		return !data.declaration
+	case 'magic':
+		return data.declaration === 'magic'
+	case 'melee':
+		return !['magic', 'flee', 'parry'].includes(data.declaration)
+	case 'morale':
+		return data.hasMorale || data.isRetainer
+	default:
+		return true
+	}
+}
+
 /* -------------------------------------------- */
 /*  Reaction Table                              */
 /* -------------------------------------------- */
@@ -121,35 +182,84 @@ export function groupCombatants(combatants) {
 }
 
 /**
- * Sort combatants within a group: defeated last, then alphabetically.
+ * Check whether a combatant rolls its own initiative rather than sharing its group's.
+ * individual: everyone does; hybrid: adventurers do, creatures roll by group;
+ * group: nobody does.
+ * @param {Combatant} combatant - The combatant
+ * @param {string} mode - Initiative mode: 'group' | 'individual' | 'hybrid'
+ * @returns {boolean}
+ */
+export function rollsIndividually(combatant, mode) {
+	if (mode === 'individual') return true
+	if (mode === 'hybrid') return combatant.actor?.type === 'Adventurer'
+	return false
+}
+
+/**
+ * Compare two initiative results in acting order: higher initiative first, then
+ * faster weapon speed on a tie. Missing values act last.
+ * @param {object} a - { initiative, speed }
+ * @param {object} b - { initiative, speed }
+ * @returns {number} Sort order (0 if tied on both)
+ */
+export function compareActingOrder(a, b) {
+	const ia = a.initiative ?? -Infinity
+	const ib = b.initiative ?? -Infinity
+	if (ia !== ib) return ib - ia
+	const sa = a.speed ?? -Infinity
+	const sb = b.speed ?? -Infinity
+	if (sa !== sb) return sb - sa
+	return 0
+}
+
+/**
+ * Sort combatants within a group: defeated last, then by individual initiative
+ * (highest first, faster weapons on a tie, unrolled last), then alphabetically.
  * @param {Combatant[]} combatants - Combatants in one group
+ * @param {string} [mode='group'] - Initiative mode
  * @returns {Combatant[]} Sorted array
  */
-export function sortWithinGroup(combatants) {
+export function sortWithinGroup(combatants, mode = 'group') {
+	const individualOrder = c => rollsIndividually(c, mode)
+		? { initiative: c.initiative, speed: c.weaponSpeed }
+		: {}
 	return [...combatants].sort((a, b) => {
 		if (a.isDefeated !== b.isDefeated) return a.isDefeated ? 1 : -1
-		return (a.name || '').localeCompare(b.name || '')
+		return compareActingOrder(individualOrder(a), individualOrder(b))
+			|| (a.name || '').localeCompare(b.name || '')
 	})
 }
 
 /**
  * Prepare grouped tracker data for the template.
+ * With group initiative, groups keep their fixed order (initiative is shown via dice
+ * icons). When combatants roll individually they are listed by initiative, and
+ * groups are ordered by their first combatant to act.
  * @param {Combat} combat - The active combat
  * @param {boolean} optionalRules - Whether charge/parry are enabled
+ * @param {string} [initiativeMode='group'] - 'group' | 'individual' | 'hybrid'
  * @returns {object[]} Array of group objects for template rendering
  */
-export function prepareTrackerGroups(combat, optionalRules) {
+export function prepareTrackerGroups(combat, optionalRules, initiativeMode = 'group') {
 	if (!combat) return []
 
 	const grouped = groupCombatants(combat.combatants)
 	const result = []
 
+	// Once the round is under way, only combatants acting in the current phase are highlighted
+	const phase = combat.started ? combat.phase : null
+
 	for (const [groupId, combatants] of grouped) {
 		const config = GROUP_CONFIG[groupId] || GROUP_CONFIG[GROUPS.GROUP_A]
-		const sorted = sortWithinGroup(combatants)
+		const sorted = sortWithinGroup(combatants, initiativeMode)
+		const individual = sorted.filter(c => rollsIndividually(c, initiativeMode))
+		const shared = sorted.filter(c => !rollsIndividually(c, initiativeMode))
 
-		// Get group initiative (all combatants in a group share one roll)
-		const initiative = sorted.find(c => c.initiative !== null)?.initiative ?? null
+		// Get group initiative (all combatants rolling by group share one roll)
+		const initiative = shared.find(c => c.initiative !== null)?.initiative ?? null
+		const rolled = individual.filter(c => c.initiative !== null)
+			.map(c => ({ initiative: c.initiative, speed: c.weaponSpeed }))
+		const firstToAct = [{ initiative }, ...rolled].sort(compareActingOrder)[0]
 
 		result.push({
 			groupId,
@@ -157,13 +267,26 @@ export function prepareTrackerGroups(combat, optionalRules) {
 			color: config.color,
 			sortOrder: config.sortOrder,
 			initiative,
-			hasInitiative: initiative !== null,
-			combatants: sorted.map(c => prepareCombatantData(c, optionalRules))
+			hasInitiative: (!shared.length || initiative !== null) && rolled.length === individual.length,
+			firstToAct,
+			stealthy: combat.isStealthy?.(groupId) ?? false,
+			combatants: sorted.map(c => {
+				const data = prepareCombatantData(c, optionalRules)
+				data.phaseIdle = !!phase && !actsInPhase(phase, data)
+				if (rollsIndividually(c, initiativeMode) && c.initiative !== null) {
+					data.initiativeLabel = c.initiative
+				}
+				return data
+			})
 		})
 	}
 
-	// Sort groups by sortOrder (initiative shown via dice icons)
-	result.sort((a, b) => a.sortOrder - b.sortOrder)
+	// Sort groups by sortOrder, or by first to act once individual initiative is rolled
+	const allRolled = result.every(g => g.hasInitiative)
+	result.sort((a, b) => {
+		const order = initiativeMode !== 'group' && allRolled ? compareActingOrder(a.firstToAct, b.firstToAct) : 0
+		return order || a.sortOrder - b.sortOrder
+	})
 	return result
 }
 
@@ -191,6 +314,7 @@ function prepareCombatantData(combatant, optionalRules) {
 		isVisible: combatant.visible ?? true,
 		isNPC: combatant.actor?.type === 'Creature',
 		hasMorale: combatant.actor?.type === 'Creature' && combatant.actor?.system?.morale != null,
+		isRetainer: !!combatant.actor?.system?.retainer,
 		morale: combatant.actor?.system?.morale,
 		declaration,
 		declarationIcon: declConfig?.icon,
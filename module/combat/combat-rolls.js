@@ -7,7 +7,9 @@
  */
 
 import { GROUPS } from './combatant.js'
-import { GROUP_CONFIG, getReactionCategory } from './combat-data.js'
+import { GROUP_CONFIG, getReactionCategory, groupCombatants, rollsIndividually } from './combat-data.js'
+import { getAllActiveTraits } from '../sheet/trait-helpers.js'
+import { hasWeatherEffect, isOutdoors, buildWeatherNote } from '../calendar/weather.js'
 
 /* -------------------------------------------- */
 /*  Helpers                                     */
@@ -17,11 +19,17 @@ import { GROUP_CONFIG, getReactionCategory } from './combat-data.js'
  * Check if all disposition groups in a combat have rolled initiative.
  * @param {Combat} combat - The active combat encounter
  * @returns {boolean} True if every group has at least one combatant with initiative
+ *   and every combatant rolling individually has rolled
  */
 export function allGroupsRolled(combat) {
 	if (!combat || !combat.combatants.size) return false
+	const mode = combat.initiativeMode
 	const groups = new Map()
 	for (const c of combat.combatants) {
+		if (rollsIndividually(c, mode)) {
+			if (c.initiative === null) return false
+			continue
+		}
 		const g = c.dispositionGroup
 		if (!groups.has(g)) groups.set(g, false)
 		if (c.initiative !== null) groups.set(g, true)
@@ -35,16 +43,23 @@ export function allGroupsRolled(combat) {
 
 /**
  * Roll 1d6 group initiative for each group in the combat.
- * All combatants in a group share the same initiative value.
+ * All combatants in a group share the same initiative value, apart from those
+ * rolling individually under the initiative mode, who roll their own.
  * @param {Combat} combat - The active combat encounter
  * @returns {Promise<object>} Map of groupId → roll result
  */
 export async function rollGroupInitiativeForCombat(combat) {
+	const mode = combat.initiativeMode
+	const individuals = combat.combatants.filter(c => rollsIndividually(c, mode))
+	if (individuals.length) await rollIndividualInitiative(combat, individuals)
+
 	const groups = new Map()
 	for (const c of combat.combatants) {
+		if (rollsIndividually(c, mode)) continue
 		if (!groups.has(c.dispositionGroup)) groups.set(c.dispositionGroup, [])
 		groups.get(c.dispositionGroup).push(c)
 	}
+	if (!groups.size) return {}
 
 	const results = {}
 	const updates = []
@@ -95,12 +110,19 @@ export async function rollGroupInitiativeForCombat(combat) {
 
 /**
  * Roll 1d6 initiative for a single group in the combat.
+ * Members rolling individually who have not rolled yet (and whom the user owns) roll
+ * their own initiative instead.
  * @param {Combat} combat - The active combat encounter
  * @param {number} groupId - The group constant to roll for
- * @returns {Promise<number>} The roll result
+ * @returns {Promise<number>} The group roll result, or null if nobody rolls by group
  */
 export async function rollInitiativeForGroup(combat, groupId) {
-	const combatants = combat.combatants.filter(c => c.dispositionGroup === groupId)
+	const mode = combat.initiativeMode
+	const members = combat.combatants.filter(c => c.dispositionGroup === groupId)
+	const individuals = members.filter(c => rollsIndividually(c, mode) && c.initiative === null && c.isOwner)
+	if (individuals.length) await rollIndividualInitiative(combat, individuals)
+
+	const combatants = members.filter(c => !rollsIndividually(c, mode))
 	if (!combatants.length) return null
 
 	const roll = new Roll('1d6')
@@ -137,6 +159,96 @@ export async function rollInitiativeForGroup(combat, groupId) {
 	return roll.total
 }
 
+/* -------------------------------------------- */
+/*  Individual Initiative                       */
+/* -------------------------------------------- */
+
+/** Weapon speed by weapon size, for breaking ties: lighter weapons strike first. */
+const WEAPON_SPEED = { small: 3, medium: 2, large: 1 }
+
+/**
+ * An actor's DEX modifier, after adjustments (creatures have none).
+ * @param {Actor} actor - The actor
+ * @returns {number}
+ */
+function getDexModifier(actor) {
+	return actor?.system.final?.abilities?.dexterity?.mod ?? actor?.system.abilities?.dexterity?.mod ?? 0
+}
+
+/**
+ * The speed of an actor's slowest equipped weapon. Two-handed weapons are a step
+ * slower; actors without weapons count as medium.
+ * @param {Actor} actor - The actor
+ * @returns {number} Speed, higher acts first
+ */
+function getWeaponSpeed(actor) {
+	const weapons = actor?.items.filter(i => i.type === 'Weapon' && i.system.equipped) ?? []
+	if (!weapons.length) return WEAPON_SPEED.medium
+	const speeds = weapons.map(w => (WEAPON_SPEED[w.system.size] ?? WEAPON_SPEED.medium)
+		- (w.system.qualities?.includes('two-handed') ? 1 : 0))
+	return Math.max(0, Math.min(...speeds))
+}
+
+/**
+ * Roll individual initiative for combatants: 1d6 + DEX modifier + trait bonuses.
+ * The weapon speed is kept in a flag to break ties (see compareActingOrder()).
+ * @param {Combat} combat - The active combat encounter
+ * @param {Combatant[]} combatants - The combatants rolling
+ * @returns {Promise<object>} Map of combatantId → initiative total
+ */
+export async function rollIndividualInitiative(combat, combatants) {
+	const results = {}
+	const updates = []
+	const chatParts = []
+
+	for (const c of combatants) {
+		const dex = getDexModifier(c.actor)
+		const traits = c.actor ? getTraitModifier(c.actor, 'initiative') : 0
+		const speed = getWeaponSpeed(c.actor)
+		const roll = await new Roll('1d6 + @dex + @traits', { dex, traits }).evaluate()
+		results[c.id] = roll.total
+		updates.push({ _id: c.id, initiative: roll.total, 'flags.dolmenwood.weaponSpeed': speed })
+
+		const signed = n => n >= 0 ? `+${n}` : `${n}`
+		const breakdown = [
+			`1d6 (${roll.dice[0].total})`,
+			game.i18n.format('DOLMEN.Combat.IndividualRoll.Dex', { mod: signed(dex) }),
+			traits ? game.i18n.format('DOLMEN.Combat.IndividualRoll.Traits', { mod: signed(traits) }) : null,
+			game.i18n.format('DOLMEN.Combat.IndividualRoll.Speed', { speed })
+		].filter(Boolean).join(', ')
+		const color = GROUP_CONFIG[c.dispositionGroup]?.color || '#999'
+		chatParts.push(`<div class="group-row" style="border-left: 3px solid ${color};"><strong>${c.token?.name || c.name}:</strong> ${roll.total}<span class="roll-breakdown">${breakdown}</span></div>`)
+	}
+
+	if (updates.length) {
+		await combat.updateEmbeddedDocuments('Combatant', updates)
+	}
+
+	// If all groups now have initiative, reset turn to 0
+	if (combat.round >= 1 && allGroupsRolled(combat)) {
+		await combat.update({ turn: 0 })
+	}
+
+	await ChatMessage.create({
+		content: `
+		<div class="dolmen combat-roll">
+			<div class="roll-header">
+				<i class="fa-solid fa-dice-d6"></i>
+				<div class="roll-info">
+					<h3>${game.i18n.localize('DOLMEN.Combat.IndividualRoll.Title')}</h3>
+				</div>
+			</div>
+			<div class="roll-body">
+				${chatParts.join('')}
+			</div>
+		</div>`,
+		sound: CONFIG.sounds.dice,
+		speaker: { alias: game.i18n.localize('DOLMEN.Combat.Encounter') }
+	})
+
+	return results
+}
+
 /* -------------------------------------------- */
 /*  Morale Check                                */
 /* -------------------------------------------- */
@@ -145,9 +257,11 @@ export async function rollInitiativeForGroup(combat, groupId) {
  * Roll a morale check (2d6) against a morale score.
  * Morale breaks if roll exceeds the morale score.
  * @param {number} morale - The morale score to check against
+ * @param {object} [options]
+ * @param {string} [options.subtitle] - Card subtitle (e.g. the creatures checking)
  * @returns {Promise<object>} { roll, morale, passed }
  */
-export async function rollMoraleCheck(morale) {
+export async function rollMoraleCheck(morale, { subtitle } = {}) {
 	const roll = new Roll('2d6')
 	await roll.evaluate()
 
@@ -164,6 +278,7 @@ export async function rollMoraleCheck(morale) {
 				<i class="fa-solid fa-flag"></i>
 				<div class="roll-info">
 					<h3>${game.i18n.localize('DOLMEN.Creature.MoraleCheck')}</h3>
+					${subtitle ? `<span class="roll-type">${subtitle}</span>` : ''}
 				</div>
 			</div>
 			<div class="roll-body">
@@ -189,10 +304,18 @@ export async function rollMoraleCheck(morale) {
 
 /**
  * Roll a reaction check (2d6 + CHA modifier).
+ * Other reaction-style rolls (e.g. hiring retainers) can retitle the card and
+ * relabel the result categories.
  * @param {number} [chaMod=0] - CHA modifier to apply
- * @returns {Promise<object>} { roll, total, category }
+ * @param {object} [options]
+ * @param {string} [options.title] - Card title (defaults to "Reaction Roll")
+ * @param {string} [options.subtitle] - Card subtitle
+ * @param {object} [options.labels] - Result labels keyed by category key
+ * @param {object} [options.speaker] - Chat speaker (defaults to the encounter)
+ * @param {boolean} [options.chat=true] - Post the result card to chat
+ * @returns {Promise<object>} { roll, total, category, body }
  */
-export async function rollReaction(chaMod = 0) {
+export async function rollReaction(chaMod = 0, { title, subtitle, labels = {}, speaker, chat = true } = {}) {
 	const formula = chaMod !== 0 ? `2d6 + ${chaMod}` : '2d6'
 	const roll = new Roll(formula)
 	await roll.evaluate()
@@ -201,85 +324,189 @@ export async function rollReaction(chaMod = 0) {
 	const anchor = await roll.toAnchor({ classes: ['reaction-inline-roll'] })
 	const breakdown = chaMod !== 0 ? `2d6 ${chaMod >= 0 ? '+' : ''}${chaMod}` : '2d6'
 
-	await ChatMessage.create({
-		content: `
-		<div class="dolmen combat-roll">
-			<div class="roll-header">
-				<i class="fa-duotone fa-solid fa-masks-theater"></i>
-				<div class="roll-info">
-					<h3>${game.i18n.localize('DOLMEN.Combat.ReactionRoll')}</h3>
-				</div>
-			</div>
-			<div class="roll-body">
+	const body = `
 				<div class="roll-section reaction-${category.key}">
 					<div class="roll-result">
 						${anchor.outerHTML}
 					</div>
 					<span class="roll-breakdown">${breakdown}</span>
-					<span class="roll-label reaction-${category.key}">${game.i18n.localize(category.labelKey)}</span>
+					<span class="roll-label reaction-${category.key}">${labels[category.key] ?? game.i18n.localize(category.labelKey)}</span>
+				</div>`
+
+	if (chat) {
+		await ChatMessage.create({
+			content: `
+			<div class="dolmen combat-roll">
+				<div class="roll-header">
+					<i class="fa-duotone fa-solid fa-masks-theater"></i>
+					<div class="roll-info">
+						<h3>${title ?? game.i18n.localize('DOLMEN.Combat.ReactionRoll')}</h3>
+						${subtitle ? `<span class="roll-type">${subtitle}</span>` : ''}
+					</div>
 				</div>
-			</div>
-		</div>`,
-		sound: CONFIG.sounds.dice,
-		speaker: { alias: game.i18n.localize('DOLMEN.Combat.Encounter') }
-	})
+				<div class="roll-body">${body}</div>
+			</div>`,
+			sound: CONFIG.sounds.dice,
+			speaker: speaker ?? { alias: game.i18n.localize('DOLMEN.Combat.Encounter') }
+		})
+	}
 
-	return { roll, total: roll.total, category }
+	return { roll, total: roll.total, category, body }
 }
 
 /* -------------------------------------------- */
 /*  Surprise                                    */
 /* -------------------------------------------- */
 
+/** Chance of a side being surprised, in 6, before modifiers. */
+const BASE_SURPRISE_CHANCE = 2
+
 /**
- * Roll surprise for each side (1d6, surprised on 1-2).
- * @returns {Promise<object>} { friendly: {roll, surprised}, hostile: {roll, surprised} }
+ * Modifier to an encounter roll from an actor's traits: the sum of its static
+ * adjustments to the target, e.g. 'surprise' (negative values make the actor
+ * harder to surprise) or 'initiative'.
+ * @param {Actor} actor - The actor
+ * @param {string} target - Adjustment target
+ * @returns {number} Modifier to the roll
  */
-export async function rollSurprise() {
-	const friendlyRoll = new Roll('1d6')
-	const hostileRoll = new Roll('1d6')
-	await friendlyRoll.evaluate()
-	await hostileRoll.evaluate()
+function getTraitModifier(actor, target) {
+	const level = actor.system.level
+	let modifier = 0
+	for (const trait of getAllActiveTraits(actor)) {
+		if (trait.traitType !== 'adjustment' || trait.adjustmentType !== 'static') continue
+		if (trait.adjustmentTarget !== target) continue
+		if (trait.minLevel && level < trait.minLevel) continue
+		modifier += typeof trait.adjustmentValue === 'function' ? trait.adjustmentValue(level) : trait.adjustmentValue
+	}
+	return modifier
+}
+
+/**
+ * An actor's Alertness skill target, if it has the skill.
+ * @param {Actor} actor - The actor
+ * @returns {number|null} Target to meet or beat on 1d6, or null without the skill
+ */
+function getAlertnessTarget(actor) {
+	const skill = actor.system.extraSkills?.find(s => s.id === 'alertness')
+	if (!skill) return null
+	return skill.target + (actor.system.adjustments?.skills?.alertness || 0)
+}
 
-	const friendlySurprised = friendlyRoll.total <= 2
-	const hostileSurprised = hostileRoll.total <= 2
+/**
+ * Gather the sides to roll surprise for: every group present in the combat,
+ * or the party against a single opposing group when there is no combat.
+ * @param {Combat|null} combat - The combat encounter
+ * @returns {object[]} Sides { groupId, members: Combatant[], stealthy }
+ */
+function getSurpriseSides(combat) {
+	if (!combat?.combatants.size) {
+		return [GROUPS.FRIENDLY, GROUPS.GROUP_A].map(groupId => ({ groupId, members: [], stealthy: false }))
+	}
+	const sides = [...groupCombatants(combat.combatants)].map(([groupId, combatants]) => ({
+		groupId,
+		members: combatants.filter(c => c.actor && !c.isDefeated),
+		stealthy: combat.isStealthy?.(groupId) ?? false
+	}))
+	return sides.sort((a, b) => (GROUP_CONFIG[a.groupId]?.sortOrder ?? 99) - (GROUP_CONFIG[b.groupId]?.sortOrder ?? 99))
+}
 
-	const friendlyLabel = game.i18n.localize(GROUP_CONFIG[GROUPS.FRIENDLY].labelKey)
-	const hostileLabel = game.i18n.localize(GROUP_CONFIG[GROUPS.GROUP_A].labelKey)
+/**
+ * Roll surprise for every side (1d6, surprised on 1-2).
+ * Each side's chance is modified by:
+ * - Poor visibility outdoors (+1)
+ * - Any other side moving stealthily (+1)
+ * - The most watchful member's traits
+ * Members of a surprised side with the Alertness skill roll it to avoid being surprised.
+ * @param {object} [options]
+ * @param {Combat} [options.combat] - The combat whose groups roll (defaults to party vs. one group)
+ * @param {boolean} [options.chat=true] - Post the result card to chat
+ * @returns {Promise<object>} { sides: [{groupId, roll, chance, surprised, alert}], rolls, body }
+ */
+export async function rollSurprise({ combat = null, chat = true } = {}) {
+	const poorVisibility = isOutdoors() && hasWeatherEffect('V')
+	const sides = getSurpriseSides(combat)
 	const surprisedText = game.i18n.localize('DOLMEN.Combat.Surprised')
 	const notSurprisedText = game.i18n.localize('DOLMEN.Combat.NotSurprised')
+	const results = []
+	const rolls = []
+	const rows = []
+
+	for (const side of sides) {
+		const modifiers = []
+		if (poorVisibility) modifiers.push({ value: 1, label: game.i18n.localize('DOLMEN.Combat.Surprise.Visibility') })
+		if (sides.some(other => other !== side && other.stealthy)) {
+			modifiers.push({ value: 1, label: game.i18n.localize('DOLMEN.Combat.Surprise.Stealth') })
+		}
+		// One watchful member is enough to warn the rest of the side
+		const traitModifier = side.members.length
+			? Math.min(...side.members.map(c => getTraitModifier(c.actor, 'surprise')))
+			: 0
+		if (traitModifier) modifiers.push({ value: traitModifier, label: game.i18n.localize('DOLMEN.Combat.Surprise.Traits') })
+		const chance = Math.clamp(BASE_SURPRISE_CHANCE + modifiers.reduce((sum, m) => sum + m.value, 0), 0, 6)
+
+		const roll = await new Roll('1d6').evaluate()
+		rolls.push(roll)
+		const surprised = roll.total <= chance
+
+		// Alert members of a surprised side may still be ready
+		const alert = []
+		if (surprised) {
+			for (const member of side.members) {
+				const target = getAlertnessTarget(member.actor)
+				if (target === null) continue
+				const alertRoll = await new Roll('1d6').evaluate()
+				rolls.push(alertRoll)
+				if (alertRoll.total >= target) {
+					alert.push({ name: member.token?.name || member.actor.name, roll: alertRoll, target })
+				}
+			}
+		}
+		results.push({ groupId: side.groupId, roll, chance, surprised, alert })
+
+		const config = GROUP_CONFIG[side.groupId] || GROUP_CONFIG[GROUPS.GROUP_A]
+		const anchor = await roll.toAnchor({ classes: ['surprise-inline-roll'] })
+		const modifierText = modifiers
+			.map(m => `${m.value > 0 ? '+' : '−'}${Math.abs(m.value)} ${m.label}`)
+			.join(', ')
+		const chanceText = game.i18n.format('DOLMEN.Combat.Surprise.Chance', { chance })
+		let alertRows = ''
+		for (const member of alert) {
+			const alertAnchor = await member.roll.toAnchor({ classes: ['surprise-inline-roll'] })
+			alertRows += `
+				<div class="group-row surprise-alert">
+					<i class="fa-solid fa-eye"></i> ${member.name}: <span class="force-d6-icon">${alertAnchor.outerHTML}</span>
+					— <span class="roll-label success">${game.i18n.format('DOLMEN.Combat.Surprise.Alert', { target: member.target })}</span>
+				</div>`
+		}
+		rows.push(`
+				<div class="group-row" style="border-left: 3px solid ${config.color};">
+					<strong>${game.i18n.localize(config.labelKey)}:</strong> <span class="force-d6-icon">${anchor.outerHTML}</span>
+					— <span class="roll-label ${surprised ? 'failure' : 'success'}">${surprised ? surprisedText : notSurprisedText}</span>
+					<span class="roll-breakdown">${chanceText}${modifierText ? ` (${modifierText})` : ''}</span>
+				</div>${alertRows}`)
+	}
 
-	const friendlyAnchor = await friendlyRoll.toAnchor({ classes: ['surprise-inline-roll'] })
-	const hostileAnchor = await hostileRoll.toAnchor({ classes: ['surprise-inline-roll'] })
-
-	await ChatMessage.create({
-		content: `
-		<div class="dolmen combat-roll">
-			<div class="roll-header">
-				<i class="fa-sharp fa-solid fa-seal-exclamation"></i>
-				<div class="roll-info">
-					<h3>${game.i18n.localize('DOLMEN.Combat.SurpriseRoll')}</h3>
-				</div>
-			</div>
-			<div class="roll-body">
-				<div class="group-row" style="border-left: 3px solid ${GROUP_CONFIG[GROUPS.FRIENDLY].color};">
-					<strong>${friendlyLabel}:</strong> <span class="force-d6-icon">${friendlyAnchor.outerHTML}</span>
-					— <span class="roll-label ${friendlySurprised ? 'failure' : 'success'}">${friendlySurprised ? surprisedText : notSurprisedText}</span>
-				</div>
-				<div class="group-row" style="border-left: 3px solid ${GROUP_CONFIG[GROUPS.GROUP_A].color};">
-					<strong>${hostileLabel}:</strong> <span class="force-d6-icon">${hostileAnchor.outerHTML}</span>
-					— <span class="roll-label ${hostileSurprised ? 'failure' : 'success'}">${hostileSurprised ? surprisedText : notSurprisedText}</span>
+	const body = `${rows.join('')}
+				${poorVisibility ? buildWeatherNote('V') : ''}`
+
+	if (chat) {
+		await ChatMessage.create({
+			content: `
+			<div class="dolmen combat-roll surprise-card">
+				<div class="roll-header">
+					<i class="fa-sharp fa-solid fa-seal-exclamation"></i>
+					<div class="roll-info">
+						<h3>${game.i18n.localize('DOLMEN.Combat.SurpriseRoll')}</h3>
+					</div>
 				</div>
-			</div>
-		</div>`,
-		sound: CONFIG.sounds.dice,
-		speaker: { alias: game.i18n.localize('DOLMEN.Combat.Encounter') }
-	})
-
-	return {
-		friendly: { roll: friendlyRoll, surprised: friendlySurprised },
-		hostile: { roll: hostileRoll, surprised: hostileSurprised }
+				<div class="roll-body">${body}</div>
+			</div>`,
+			sound: CONFIG.sounds.dice,
+			speaker: { alias: game.i18n.localize('DOLMEN.Combat.Encounter') }
+		})
 	}
+
+	return { sides: results, rolls, body }
 }
 
 /* -------------------------------------------- */
@@ -288,15 +515,18 @@ export async function rollSurprise() {
 
 /**
  * Roll encounter distance (2d6 × multiplier).
- * Dungeon = 2d6×10 feet, Outdoors = 2d6×30 feet.
+ * Dungeon = 2d6×10 feet, Outdoors = 2d6×30 feet, halved outdoors in poor visibility.
  * @param {string} [environment='dungeon'] - 'dungeon' or 'outdoors'
- * @returns {Promise<object>} { roll, multiplier, distance }
+ * @param {object} [options]
+ * @param {boolean} [options.chat=true] - Post the result card to chat
+ * @returns {Promise<object>} { roll, multiplier, distance, body }
  */
-export async function rollEncounterDistance(environment = 'dungeon') {
+export async function rollEncounterDistance(environment = 'dungeon', { chat = true } = {}) {
 	const roll = new Roll('2d6')
 	await roll.evaluate()
 	const multiplier = environment === 'outdoors' ? 30 : 10
-	const distance = roll.total * multiplier
+	const poorVisibility = environment === 'outdoors' && hasWeatherEffect('V')
+	const distance = poorVisibility ? Math.floor(roll.total * multiplier / 2) : roll.total * multiplier
 
 	const envLabel = game.i18n.localize(
 		environment === 'outdoors'
@@ -306,29 +536,33 @@ export async function rollEncounterDistance(environment = 'dungeon') {
 
 	const anchor = await roll.toAnchor({ classes: ['distance-inline-roll'] })
 
-	await ChatMessage.create({
-		content: `
-		<div class="dolmen combat-roll">
-			<div class="roll-header">
-				<i class="fa-duotone fa-solid fa-people-arrows"></i>
-				<div class="roll-info">
-					<h3>${game.i18n.localize('DOLMEN.Combat.EncounterDistance')}</h3>
-					<span class="roll-type">${envLabel}</span>
-				</div>
-			</div>
-			<div class="roll-body">
+	const body = `
 				<div class="roll-section">
 					<div class="roll-result">
 						${anchor.outerHTML}
 					</div>
-					<span class="roll-breakdown">${roll.total} × ${multiplier}'</span>
+					<span class="roll-breakdown">${roll.total} × ${multiplier}'${poorVisibility ? ' ÷ 2' : ''}</span>
 					<span class="roll-value">${distance} ${game.i18n.localize('DOLMEN.Combat.Distance.Feet')}</span>
 				</div>
-			</div>
-		</div>`,
-		sound: CONFIG.sounds.dice,
-		speaker: { alias: game.i18n.localize('DOLMEN.Combat.Encounter') }
-	})
+				${poorVisibility ? buildWeatherNote('V') : ''}`
+
+	if (chat) {
+		await ChatMessage.create({
+			content: `
+			<div class="dolmen combat-roll">
+				<div class="roll-header">
+					<i class="fa-duotone fa-solid fa-people-arrows"></i>
+					<div class="roll-info">
+						<h3>${game.i18n.localize('DOLMEN.Combat.EncounterDistance')}</h3>
+						<span class="roll-type">${envLabel}</span>
+					</div>
+				</div>
+				<div class="roll-body">${body}</div>
+			</div>`,
+			sound: CONFIG.sounds.dice,
+			speaker: { alias: game.i18n.localize('DOLMEN.Combat.Encounter') }
+		})
+	}
 
-	return { roll, multiplier, distance }
+	return { roll, multiplier, distance, body }
 }
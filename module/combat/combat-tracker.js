@@ -6,10 +6,13 @@
  * and pre-combat utility buttons (surprise, distance, reaction).
  */
 
-import { prepareTrackerGroups, DECLARATION_CONFIG, GROUP_CONFIG } from './combat-data.js'
+import { prepareTrackerGroups, DECLARATION_CONFIG, GROUP_CONFIG, ROUND_PHASES, rollsIndividually } from './combat-data.js'
 import { GROUPS } from './combatant.js'
 import { rollMoraleCheck, rollReaction, rollSurprise, rollEncounterDistance, rollInitiativeForGroup, allGroupsRolled } from './combat-rolls.js'
 import { createContextMenu } from '../sheet/context-menu.js'
+import { formatTimerLabel } from '../effects/timers.js'
+import { rollLoyaltyCheck } from '../retainers.js'
+import { rollCreatureHoard, parseHoardCodes } from '../treasure/hoard.js'
 
 const { CombatTracker } = foundry.applications.sidebar.tabs
 
@@ -102,8 +105,13 @@ export default class DolmenCombatTracker extends CombatTracker {
 			rollReaction: DolmenCombatTracker._onRollReaction,
 			clearDeclarations: DolmenCombatTracker._onClearDeclarations,
 			clearGroupInitiative: DolmenCombatTracker._onClearGroupInitiative,
+			toggleStealth: DolmenCombatTracker._onToggleStealth,
+			setPhase: DolmenCombatTracker._onSetPhase,
+			nextPhase: DolmenCombatTracker._onNextPhase,
+			previousPhase: DolmenCombatTracker._onPreviousPhase,
 			addParty: DolmenCombatTracker._onAddParty,
-			clearParty: DolmenCombatTracker._onClearParty
+			clearParty: DolmenCombatTracker._onClearParty,
+			removeTimer: DolmenCombatTracker._onRemoveTimer
 		}
 	}
 
@@ -129,11 +137,12 @@ export default class DolmenCombatTracker extends CombatTracker {
 
 	async _preparePartContext(partId, context, options) {
 		context = await super._preparePartContext(partId, context, options)
+		if (partId === 'actionOrder') return this._preparePhaseContext(context)
 		if (partId !== 'tracker') return context
 
 		const combat = this.viewed
 		const optionalRules = game.settings.get('dolmenwood', 'optionalCombatRules')
-		context.groups = prepareTrackerGroups(combat, optionalRules)
+		context.groups = prepareTrackerGroups(combat, optionalRules, combat?.initiativeMode)
 		context.isGM = game.user.isGM
 
 		// Only highlight active combatant when all groups have rolled initiative
@@ -156,6 +165,15 @@ export default class DolmenCombatTracker extends CombatTracker {
 			group.diceIcon = DICE_ICONS[group.initiative] || 'fa-dice-d6'
 		}
 
+		// Round-based duration timers (spells cast during combat)
+		context.timers = (combat?.timers || []).map(t => ({
+			id: t.id,
+			label: formatTimerLabel(t),
+			remaining: t.remaining,
+			warning: t.remaining <= 1,
+			tooltip: game.i18n.format('DOLMEN.Combat.TimerRemaining', { rounds: t.remaining })
+		}))
+
 		// Show "Add Party" button if party viewer is enabled and has members on this scene
 		try {
 			const sceneId = canvas.scene?.id
@@ -170,6 +188,26 @@ export default class DolmenCombatTracker extends CombatTracker {
 		return context
 	}
 
+	/**
+	 * Prepare the round phase strip. Phases are only stepped through once the
+	 * combat has started.
+	 * @param {object} context - The part context
+	 * @returns {object} The part context
+	 */
+	_preparePhaseContext(context) {
+		const combat = this.viewed
+		const current = combat?.started ? combat.phase : null
+		context.isGM = game.user.isGM
+		context.phaseActive = !!current
+		context.phases = ROUND_PHASES.map(p => ({
+			key: p.key,
+			icon: p.icon,
+			current: p.key === current,
+			tooltip: `${game.i18n.localize(p.labelKey)}: ${game.i18n.localize(p.hintKey)}`
+		}))
+		return context
+	}
+
 	/* -------------------------------------------- */
 	/*  Rendering                                   */
 	/* -------------------------------------------- */
@@ -241,6 +279,47 @@ export default class DolmenCombatTracker extends CombatTracker {
 		}
 	}
 
+	/**
+	 * Declare or clear stealth for a group, for the next surprise check.
+	 */
+	static async _onToggleStealth(event, target) {
+		const combat = this.viewed
+		if (!combat) return
+		const groupId = Number(target.dataset.groupId)
+		if (Number.isNaN(groupId)) return
+		await combat.setStealth(groupId, !combat.isStealthy(groupId))
+	}
+
+	/**
+	 * Jump to a phase of the round.
+	 */
+	static async _onSetPhase(event, target) {
+		await this.viewed?.setPhase(target.dataset.phase)
+	}
+
+	/**
+	 * Step to the next phase of the round (after morale, the next round).
+	 */
+	static async _onNextPhase() {
+		await this.viewed?.nextPhase()
+	}
+
+	/**
+	 * Step back to the previous phase of the round.
+	 */
+	static async _onPreviousPhase() {
+		await this.viewed?.previousPhase()
+	}
+
+	/**
+	 * Remove a round timer without expiring it.
+	 */
+	static async _onRemoveTimer(event, target) {
+		const combat = this.viewed
+		if (!combat) return
+		await combat.removeTimer(target.dataset.timerId)
+	}
+
 	/**
 	 * Open a context menu to move a combatant to a different group.
 	 * Group assignments are stored on the Combat document, not the token.
@@ -340,14 +419,20 @@ export default class DolmenCombatTracker extends CombatTracker {
 	/**
 	 * Roll morale check. Shows a panel with morale values from creatures in
 	 * combat (or manual input if none), plus a -2 to +2 modifier strip.
+	 * Retainers in combat check loyalty instead of morale.
 	 */
 	static _onRollMorale() {
 		const combat = this.viewed
 
-		// Collect unique morale values from creature combatants
+		// Collect unique morale values from creature combatants, and retainers
 		const moraleMap = new Map()
+		const retainers = []
 		if (combat) {
 			for (const c of combat.combatants) {
+				if (c.actor?.type === 'Adventurer' && c.actor.system.retainer) {
+					if (!retainers.includes(c.actor)) retainers.push(c.actor)
+					continue
+				}
 				const morale = c.actor?.system?.morale
 				if (morale == null) continue
 				if (!moraleMap.has(morale)) moraleMap.set(morale, [])
@@ -358,7 +443,7 @@ export default class DolmenCombatTracker extends CombatTracker {
 		// Build morale options
 		const sorted = [...moraleMap.entries()].sort((a, b) => a[0] - b[0])
 		let moraleItems = ''
-		if (sorted.length === 0) {
+		if (sorted.length === 0 && retainers.length === 0) {
 			moraleItems = `<div class="tracker-manual-entry">
 				<label>${game.i18n.localize('DOLMEN.Creature.Morale')}</label>
 				<input type="number" class="morale-input" value="7" min="2" max="12" step="1">
@@ -368,7 +453,7 @@ export default class DolmenCombatTracker extends CombatTracker {
 			moraleItems = `<div class="tracker-menu-item selected" data-morale="${morale}">
 				<span>${game.i18n.localize('DOLMEN.Creature.Morale')}: <strong>${morale}</strong></span>
 			</div>`
-		} else {
+		} else if (sorted.length > 1) {
 			moraleItems = sorted.map(([morale, names], idx) => {
 				const nameList = names.join(', ')
 				const selectedClass = idx === 0 ? ' selected' : ''
@@ -378,6 +463,13 @@ export default class DolmenCombatTracker extends CombatTracker {
 			}).join('')
 		}
 
+		if (retainers.length) {
+			const selectedClass = sorted.length === 0 ? ' selected' : ''
+			moraleItems += `<div class="tracker-menu-item${selectedClass}" data-morale="loyalty">
+				<span><strong>${game.i18n.localize('DOLMEN.Retainer.Loyalty')}</strong> — ${retainers.map(a => a.name).join(', ')}</span>
+			</div>`
+		}
+
 		const html = moraleItems + buildModifierStrip([-2, -1, 1, 2]) + buildRollButton()
 
 		const menu = openTrackerMenu(this.element, 'rollMorale', {
@@ -399,6 +491,11 @@ export default class DolmenCombatTracker extends CombatTracker {
 			} else {
 				const selected = menu.querySelector('.tracker-menu-item.selected')
 				if (!selected) return
+				if (selected.dataset.morale === 'loyalty') {
+					menu.remove()
+					for (const actor of retainers) await rollLoyaltyCheck(actor, readModifier(menu))
+					return
+				}
 				morale = parseInt(selected.dataset.morale)
 			}
 			menu.remove()
@@ -407,10 +504,10 @@ export default class DolmenCombatTracker extends CombatTracker {
 	}
 
 	/**
-	 * Roll surprise for both sides.
+	 * Roll surprise for every group in the combat.
 	 */
 	static async _onRollSurprise() {
-		await rollSurprise()
+		await rollSurprise({ combat: this.viewed })
 	}
 
 	/**
@@ -470,7 +567,8 @@ export default class DolmenCombatTracker extends CombatTracker {
 
 		const updates = combat.combatants.map(c => ({
 			_id: c.id,
-			'flags.dolmenwood.-=declaration': null
+			'flags.dolmenwood.-=declaration': null,
+			'flags.dolmenwood.-=moraleBroken': null
 		}))
 		if (updates.length) {
 			await combat.updateEmbeddedDocuments('Combatant', updates)
@@ -537,7 +635,8 @@ export default class DolmenCombatTracker extends CombatTracker {
 	}
 
 	/**
-	 * Override context menu to make "Clear Initiative" clear for the whole group.
+	 * Override context menu to make "Clear Initiative" clear for the whole group
+	 * (or just the combatant, when it rolls individually).
 	 */
 	_getEntryContextOptions() {
 		const options = super._getEntryContextOptions()
@@ -549,6 +648,11 @@ export default class DolmenCombatTracker extends CombatTracker {
 				const combatant = combat.combatants.get(li.dataset.combatantId)
 				if (!combatant) return
 
+				if (rollsIndividually(combatant, combat.initiativeMode)) {
+					await combatant.update({ initiative: null, 'flags.dolmenwood.-=weaponSpeed': null })
+					return
+				}
+
 				// Clear initiative for all combatants in the same group
 				const groupId = combatant.dispositionGroup
 				const updates = combat.combatants
@@ -559,6 +663,20 @@ export default class DolmenCombatTracker extends CombatTracker {
 				}
 			}
 		}
+
+		// Roll the hoard of a defeated creature
+		options.push({
+			name: 'DOLMEN.Hoard.Roll',
+			icon: '<i class="fa-solid fa-gem"></i>',
+			condition: (li) => {
+				const combatant = this.viewed?.combatants.get(li.dataset.combatantId)
+				return game.user.isGM && !!combatant?.isDefeated && parseHoardCodes(combatant.actor?.system.treasureType).length > 0
+			},
+			callback: (li) => {
+				const combatant = this.viewed?.combatants.get(li.dataset.combatantId)
+				if (combatant?.actor) rollCreatureHoard(combatant.actor)
+			}
+		})
 		return options
 	}
 }
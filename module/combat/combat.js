@@ -1,15 +1,19 @@
-/* global game, Combat, CONFIG, foundry */
+/* global game, Combat, ChatMessage, CONFIG, foundry, Hooks */
 
 /**
  * DolmenCombat
- * Extends Foundry's Combat with group initiative, custom sorting,
- * and round-reset behavior for Dolmenwood's encounter rules.
+ * Extends Foundry's Combat with group (or optional individual) initiative, custom
+ * sorting, and round-reset behavior for Dolmenwood's encounter rules.
  */
 
 import { GROUPS } from './combatant.js'
+import { ROUND_PHASES, PHASE_REMINDERS, GROUP_CONFIG, rollsIndividually, compareActingOrder } from './combat-data.js'
 import DolmenCombatant from './combatant.js'
 import DolmenCombatTracker from './combat-tracker.js'
-import { rollGroupInitiativeForCombat, rollInitiativeForGroup } from './combat-rolls.js'
+import { rollGroupInitiativeForCombat, rollInitiativeForGroup, rollIndividualInitiative } from './combat-rolls.js'
+import { postTimerExpiry, formatTimerLabel, removeLinkedEffects } from '../effects/timers.js'
+import { onCombatantUpdated } from './morale.js'
+import { registerDeclarationHooks } from './declarations.js'
 
 export default class DolmenCombat extends Combat {
 
@@ -17,8 +21,18 @@ export default class DolmenCombat extends Combat {
 	/*  Group Initiative                            */
 	/* -------------------------------------------- */
 
+	/**
+	 * The world's initiative mode: 'group' (each side rolls 1d6), 'individual' (each
+	 * combatant rolls 1d6 + DEX) or 'hybrid' (adventurers individually, creatures by group).
+	 * @returns {string}
+	 */
+	get initiativeMode() {
+		return game.settings.get('dolmenwood', 'initiativeMode')
+	}
+
 	/**
 	 * Roll group initiative: one 1d6 per group, shared by all combatants.
+	 * Combatants rolling individually under the initiative mode roll their own.
 	 * Overrides the default per-combatant initiative.
 	 * @returns {Promise<Combat>} This combat instance
 	 */
@@ -29,7 +43,8 @@ export default class DolmenCombat extends Combat {
 
 	/**
 	 * Override rollInitiative to use group initiative.
-	 * Rolls only for groups that contain at least one combatant in the ids list.
+	 * Combatants in the ids list who roll individually roll their own; otherwise rolls
+	 * for groups that contain at least one combatant in the ids list.
 	 * @param {string[]} ids - Combatant IDs to roll for
 	 * @param {object} [options] - Roll options
 	 * @returns {Promise<Combat>} This combat instance
@@ -38,10 +53,15 @@ export default class DolmenCombat extends Combat {
 	async rollInitiative(ids, _options = {}) {
 		if (!ids?.length) return this
 		const idSet = new Set(ids)
+		const mode = this.initiativeMode
 		const groups = new Set()
+		const individuals = []
 		for (const c of this.combatants) {
-			if (idSet.has(c.id)) groups.add(c.dispositionGroup)
+			if (!idSet.has(c.id)) continue
+			if (rollsIndividually(c, mode)) individuals.push(c)
+			else groups.add(c.dispositionGroup)
 		}
+		if (individuals.length) await rollIndividualInitiative(this, individuals)
 		for (const groupId of groups) {
 			await rollInitiativeForGroup(this, groupId)
 		}
@@ -93,21 +113,266 @@ export default class DolmenCombat extends Combat {
 		return this.setFlag('dolmenwood', 'groupAssignments', map)
 	}
 
+	/* -------------------------------------------- */
+	/*  Round Phases                                */
+	/* -------------------------------------------- */
+
+	/**
+	 * The current phase of the round (see ROUND_PHASES).
+	 * @returns {string} Phase key
+	 */
+	get phase() {
+		return this.getFlag('dolmenwood', 'phase') ?? ROUND_PHASES[0].key
+	}
+
+	/**
+	 * Move the round to a phase, posting reminders for declarations that come due.
+	 * @param {string} phase - Phase key
+	 */
+	async setPhase(phase) {
+		if (!ROUND_PHASES.some(p => p.key === phase) || phase === this.phase) return this
+		await this.setFlag('dolmenwood', 'phase', phase)
+		await this._postPhaseReminders(phase)
+		return this
+	}
+
+	/**
+	 * Step to the next phase, or on to the next round after morale.
+	 */
+	async nextPhase() {
+		const index = ROUND_PHASES.findIndex(p => p.key === this.phase)
+		if (index >= ROUND_PHASES.length - 1) return this.nextRound()
+		return this.setPhase(ROUND_PHASES[index + 1].key)
+	}
+
+	/**
+	 * Step back to the previous phase.
+	 */
+	async previousPhase() {
+		const index = ROUND_PHASES.findIndex(p => p.key === this.phase)
+		if (index <= 0) return this
+		return this.setPhase(ROUND_PHASES[index - 1].key)
+	}
+
+	/**
+	 * Post a reminder of the declarations that come due in a phase, naming the
+	 * combatants who made them. Hidden and defeated combatants are left out.
+	 * @param {string} phase - Phase key
+	 */
+	async _postPhaseReminders(phase) {
+		const reminders = PHASE_REMINDERS[phase]
+		if (!reminders) return
+		const rows = []
+		for (const { declaration, textKey } of reminders) {
+			const combatants = this.combatants.filter(c => c.declaration === declaration && !c.hidden && !c.isDefeated)
+			if (!combatants.length) continue
+			const names = combatants.map(c => c.token?.name || c.name).join(', ')
+			const color = GROUP_CONFIG[combatants[0].dispositionGroup]?.color || '#999'
+			rows.push(`<div class="group-row" style="border-left: 3px solid ${color};">${game.i18n.format(textKey, { names })}</div>`)
+		}
+		if (!rows.length) return
+
+		const config = ROUND_PHASES.find(p => p.key === phase)
+		await ChatMessage.create({
+			content: `
+			<div class="dolmen combat-roll phase-reminder">
+				<div class="roll-header">
+					<i class="${config.icon}"></i>
+					<div class="roll-info">
+						<h3>${game.i18n.localize(config.labelKey)}</h3>
+						<span class="roll-type">${game.i18n.format('DOLMEN.Combat.Phase.Round', { round: this.round })}</span>
+					</div>
+				</div>
+				<div class="roll-body">
+					${rows.join('')}
+				</div>
+			</div>`,
+			speaker: { alias: game.i18n.localize('DOLMEN.Combat.Encounter') }
+		})
+	}
+
+	/* -------------------------------------------- */
+	/*  Acting Order                                */
+	/* -------------------------------------------- */
+
+	/**
+	 * Who a combatant takes its turn with: its group, or itself when it rolls
+	 * individual initiative.
+	 * @param {Combatant} combatant - The combatant
+	 * @returns {number|string} Group ID, or combatant ID
+	 */
+	_actingUnit(combatant) {
+		return rollsIndividually(combatant, this.initiativeMode) ? combatant.id : combatant.dispositionGroup
+	}
+
+	/**
+	 * The groups (and individually rolling combatants) that have finished acting this
+	 * round, in the order they acted.
+	 * @returns {Array<number|string>} Group IDs and combatant IDs
+	 */
+	get actedUnits() {
+		return this.getFlag('dolmenwood', 'actedUnits') ?? []
+	}
+
+	/**
+	 * Check whether a combatant has already acted this round: its group (or the
+	 * combatant itself, with individual initiative) has finished its turn, or is
+	 * taking it and the magic phase is over.
+	 * @param {Combatant} combatant - The combatant
+	 * @returns {boolean}
+	 */
+	hasActed(combatant) {
+		if (!this.started) return false
+		const unit = this._actingUnit(combatant)
+		if (this.actedUnits.includes(unit)) return true
+		if (!this.combatant || this._actingUnit(this.combatant) !== unit) return false
+		const phaseIndex = key => ROUND_PHASES.findIndex(p => p.key === key)
+		return phaseIndex(this.phase) > phaseIndex('magic')
+	}
+
+	/**
+	 * Override nextTurn to record the acting group (or individual) as done once the
+	 * turn passes to another in the same round.
+	 * @returns {Promise<Combat>} This combat instance
+	 */
+	async nextTurn() {
+		const unit = this.combatant ? this._actingUnit(this.combatant) : undefined
+		const round = this.round
+		const result = await super.nextTurn()
+		const acted = this.actedUnits
+		if (unit === undefined || this.round !== round || acted.includes(unit)) return result
+		if (!this.combatant || this._actingUnit(this.combatant) !== unit) {
+			await this.setFlag('dolmenwood', 'actedUnits', [...acted, unit])
+		}
+		return result
+	}
+
+	/**
+	 * Override previousTurn to let a group that is given its turn back act again.
+	 * @returns {Promise<Combat>} This combat instance
+	 */
+	async previousTurn() {
+		const result = await super.previousTurn()
+		if (!this.combatant) return result
+		const unit = this._actingUnit(this.combatant)
+		const acted = this.actedUnits
+		if (acted.includes(unit)) {
+			await this.setFlag('dolmenwood', 'actedUnits', acted.filter(u => u !== unit))
+		}
+		return result
+	}
+
+	/* -------------------------------------------- */
+	/*  Stealth                                     */
+	/* -------------------------------------------- */
+
+	/**
+	 * Check whether a group has declared it is moving stealthily, making the
+	 * other groups easier to surprise.
+	 * @param {number} groupId - Group constant
+	 * @returns {boolean}
+	 */
+	isStealthy(groupId) {
+		return (this.getFlag('dolmenwood', 'stealthGroups') || []).includes(groupId)
+	}
+
+	/**
+	 * Declare or clear stealth for a group.
+	 * @param {number} groupId - Group constant
+	 * @param {boolean} stealthy - Whether the group is moving stealthily
+	 */
+	async setStealth(groupId, stealthy) {
+		const groups = (this.getFlag('dolmenwood', 'stealthGroups') || []).filter(g => g !== groupId)
+		if (stealthy) groups.push(groupId)
+		return this.setFlag('dolmenwood', 'stealthGroups', groups)
+	}
+
+	/* -------------------------------------------- */
+	/*  Defeat                                      */
+	/* -------------------------------------------- */
+
+	/**
+	 * Mark every combatant representing an actor as defeated.
+	 * @param {Actor} actor - The defeated actor
+	 * @returns {Promise<string[]>} IDs of the combatants newly marked defeated
+	 */
+	async markDefeated(actor) {
+		const updates = this.combatants
+			.filter(c => c.actor?.uuid === actor.uuid && !c.defeated)
+			.map(c => ({ _id: c.id, defeated: true }))
+		if (updates.length) await this.updateEmbeddedDocuments('Combatant', updates)
+		return updates.map(u => u._id)
+	}
+
+	/* -------------------------------------------- */
+	/*  Duration Timers                             */
+	/* -------------------------------------------- */
+
+	/**
+	 * Countdown timers measured in combat rounds.
+	 * @returns {object[]} Timers { id, name, remaining, owner, origin, actorUuids }
+	 */
+	get timers() {
+		return this.getFlag('dolmenwood', 'timers') || []
+	}
+
+	/**
+	 * Add a countdown timer measured in rounds.
+	 * @param {string} name - Timer name
+	 * @param {number} rounds - Duration in rounds
+	 * @param {object} [link] - Optional owner and linked effects (see effects/timers.js)
+	 */
+	async addTimer(name, rounds, { owner = '', origin = null, actorUuids = [] } = {}) {
+		const timers = [...this.timers, {
+			id: foundry.utils.randomID(),
+			name,
+			remaining: rounds,
+			owner,
+			origin,
+			actorUuids
+		}]
+		return this.setFlag('dolmenwood', 'timers', timers)
+	}
+
+	/**
+	 * Remove a timer without expiring it.
+	 * @param {string} id - Timer ID
+	 */
+	async removeTimer(id) {
+		return this.setFlag('dolmenwood', 'timers', this.timers.filter(t => t.id !== id))
+	}
+
+	/**
+	 * Count every timer down by one round, expiring those that run out.
+	 */
+	async _tickTimers() {
+		if (!this.timers.length) return
+		const timers = this.timers.map(t => ({ ...t, remaining: t.remaining - 1 }))
+		await this.setFlag('dolmenwood', 'timers', timers.filter(t => t.remaining > 0))
+		for (const timer of timers.filter(t => t.remaining <= 0)) {
+			await postTimerExpiry(timer,
+				game.i18n.localize('DOLMEN.Combat.Timer'),
+				game.i18n.format('DOLMEN.Combat.TimerExpired', { name: formatTimerLabel(timer) }))
+		}
+	}
+
 	/* -------------------------------------------- */
 	/*  Sorting                                     */
 	/* -------------------------------------------- */
 
 	/**
-	 * Sort combatants: by group initiative descending, then defeated last, then name.
+	 * Sort combatants: by initiative descending (faster weapons first on a tie, for
+	 * individual rolls), then by group, then defeated last, then name.
 	 * @param {Combatant} a - First combatant
 	 * @param {Combatant} b - Second combatant
 	 * @returns {number} Sort order
 	 */
 	_sortCombatants(a, b) {
-		// Sort by initiative descending (higher goes first)
-		const ia = a.initiative ?? -Infinity
-		const ib = b.initiative ?? -Infinity
-		if (ia !== ib) return ib - ia
+		// Sort by initiative descending (higher goes first), then by weapon speed
+		const order = compareActingOrder(
+			{ initiative: a.initiative, speed: a.weaponSpeed },
+			{ initiative: b.initiative, speed: b.weaponSpeed })
+		if (order) return order
 
 		// Within same initiative, sort by group order (friendly first)
 		const ga = a.dispositionGroup ?? 0
@@ -126,21 +391,21 @@ export default class DolmenCombat extends Combat {
 	/* -------------------------------------------- */
 
 	/**
-	 * Override nextRound to handle initiative reset and declaration clearing.
+	 * Override nextRound to handle initiative reset, declaration clearing and round timers.
 	 * @returns {Promise<Combat>} This combat instance
 	 */
 	async nextRound() {
-		// Clear all declarations
-		const updates = this.combatants.map(c => ({
-			_id: c.id,
-			'flags.dolmenwood.-=declaration': null
-		}))
+		// Clear all declarations, except for combatants fleeing after failing morale
+		const updates = this.combatants.map(c => c.getFlag('dolmenwood', 'moraleBroken')
+			? { _id: c.id }
+			: { _id: c.id, 'flags.dolmenwood.-=declaration': null })
 
 		// Handle initiative based on setting
 		const mode = game.settings.get('dolmenwood', 'rerollInitiative')
 		if (mode === 'reset' || mode === 'reroll') {
 			for (const u of updates) {
 				u.initiative = null
+				u['flags.dolmenwood.-=weaponSpeed'] = null
 			}
 		}
 
@@ -148,8 +413,15 @@ export default class DolmenCombat extends Combat {
 			await this.updateEmbeddedDocuments('Combatant', updates)
 		}
 
-		// Advance round
+		// Advance round, starting again from declarations
 		const result = await super.nextRound()
+		await this.update({
+			'flags.dolmenwood.phase': ROUND_PHASES[0].key,
+			'flags.dolmenwood.actedUnits': []
+		})
+
+		// Count down round-based timers (spell durations)
+		await this._tickTimers()
 
 		// Auto-reroll if setting is 'reroll'
 		if (mode === 'reroll') {
@@ -160,6 +432,18 @@ export default class DolmenCombat extends Combat {
 	}
 }
 
+/**
+ * deleteCombat hook: remove the effects linked to round timers that were still
+ * running when the combat ended. Run by the active GM only.
+ * @param {Combat} combat - The deleted combat
+ */
+async function onCombatDeleted(combat) {
+	if (!game.users.activeGM?.isSelf) return
+	for (const timer of combat.timers ?? []) {
+		await removeLinkedEffects(timer)
+	}
+}
+
 /* -------------------------------------------- */
 /*  System Registration                         */
 /* -------------------------------------------- */
@@ -189,6 +473,43 @@ export function registerCombatSystem() {
 		}
 	})
 
+	game.settings.register('dolmenwood', 'initiativeMode', {
+		name: 'DOLMEN.Combat.Settings.InitiativeMode',
+		hint: 'DOLMEN.Combat.Settings.InitiativeModeHint',
+		scope: 'world',
+		config: true,
+		type: String,
+		default: 'group',
+		choices: {
+			group: 'DOLMEN.Combat.Settings.InitiativeGroup',
+			individual: 'DOLMEN.Combat.Settings.InitiativeIndividual',
+			hybrid: 'DOLMEN.Combat.Settings.InitiativeHybrid'
+		}
+	})
+
+	game.settings.register('dolmenwood', 'autoMorale', {
+		name: 'DOLMEN.Combat.Settings.AutoMorale',
+		hint: 'DOLMEN.Combat.Settings.AutoMoraleHint',
+		scope: 'world',
+		config: true,
+		type: String,
+		default: 'prompt',
+		choices: {
+			off: 'DOLMEN.Combat.Settings.AutoMoraleOff',
+			prompt: 'DOLMEN.Combat.Settings.AutoMoralePrompt',
+			roll: 'DOLMEN.Combat.Settings.AutoMoraleRoll'
+		}
+	})
+
+	// Test a group's morale when its first member falls and when half are down
+	Hooks.on('updateCombatant', onCombatantUpdated)
+
+	// Round timers end with their combat
+	Hooks.on('deleteCombat', onCombatDeleted)
+
+	// Apply parry, charge and spellcasting declarations during the round
+	registerDeclarationHooks()
+
 	game.settings.register('dolmenwood', 'optionalCombatRules', {
 		name: 'DOLMEN.Combat.Settings.OptionalRules',
 		hint: 'DOLMEN.Combat.Settings.OptionalRulesHint',
@@ -50,9 +50,13 @@ export default class DolmenCombatant extends Combatant {
 
 	/**
 	 * Set the declaration for this combatant.
+	 * Changing away from fleeing also clears a broken morale.
 	 * @param {string|null} value - Declaration type or null to clear
 	 */
 	async setDeclaration(value) {
+		if (value !== 'flee' && this.getFlag('dolmenwood', 'moraleBroken')) {
+			await this.unsetFlag('dolmenwood', 'moraleBroken')
+		}
 		if (value === null) {
 			return this.unsetFlag('dolmenwood', 'declaration')
 		}
@@ -78,4 +82,12 @@ export default class DolmenCombatant extends Combatant {
 	get isParrying() {
 		return this.declaration === 'parry'
 	}
+
+	/**
+	 * Weapon speed recorded with an individual initiative roll, used to break ties.
+	 * @returns {number|null} Speed (higher acts first), or null if not rolled individually
+	 */
+	get weaponSpeed() {
+		return this.getFlag('dolmenwood', 'weaponSpeed') ?? null
+	}
 }
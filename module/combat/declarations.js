@@ -0,0 +1,169 @@
+/* global game, ui, Hooks */
+
+/**
+ * Combat Declarations
+ * Makes the declarations combatants make before initiative count during the round:
+ * parrying raises AC and rules out attacking, charging lowers AC and sets up a
+ * charge attack, and a caster harmed before acting loses the declared spell (the
+ * card and spent memorized slot are handled in spell-disruption.js).
+ */
+
+import { DECLARATION_CONFIG } from './combat-data.js'
+import { disruptSpell } from './spell-disruption.js'
+
+/** AC bonus for parrying */
+export const PARRY_AC_BONUS = 2
+
+/** AC penalty for charging */
+export const CHARGE_AC_PENALTY = -1
+
+/**
+ * Find the combatant representing an actor in the active combat.
+ * Matched by token and actor IDs rather than combatant.actor, which would build
+ * synthetic actors while this actor is still preparing its data.
+ * @param {Actor} actor - The actor
+ * @returns {Combatant|null}
+ */
+export function getActorCombatant(actor) {
+	const combat = game.combats?.active
+	if (!combat || !actor) return null
+	const matches = actor.isToken
+		? c => c.tokenId === actor.token.id
+		: c => c.actorId === actor.id && c.token?.actorLink
+	return combat.combatants.find(matches) ?? null
+}
+
+/**
+ * The declaration an actor has made for the current round.
+ * @param {Actor} actor - The actor
+ * @returns {string|null} 'magic' | 'flee' | 'charge' | 'parry' | null
+ */
+export function getActorDeclaration(actor) {
+	return getActorCombatant(actor)?.declaration ?? null
+}
+
+/**
+ * AC modifier from an actor's declaration.
+ * @param {Actor} actor - The actor
+ * @returns {object|null} { label, value }, or null if the declaration does not affect AC
+ */
+export function getDeclarationACModifier(actor) {
+	const declaration = getActorDeclaration(actor)
+	if (declaration === 'parry') {
+		return { label: game.i18n.localize(DECLARATION_CONFIG.parry.labelKey), value: PARRY_AC_BONUS }
+	}
+	if (declaration === 'charge') {
+		return { label: game.i18n.localize(DECLARATION_CONFIG.charge.labelKey), value: CHARGE_AC_PENALTY }
+	}
+	return null
+}
+
+/**
+ * Check whether an actor may attack this round, warning if its declaration forbids it.
+ * @param {Actor} actor - The attacking actor
+ * @returns {boolean} True if the attack may go ahead
+ */
+export function canDeclaredAttack(actor) {
+	if (getActorDeclaration(actor) !== 'parry') return true
+	ui.notifications.warn(game.i18n.format('DOLMEN.Combat.Declaration.ParryNoAttack', { name: actor.name }))
+	return false
+}
+
+/**
+ * Prepare an actor's declaration for display on its sheet.
+ * @param {Actor} actor - The actor
+ * @returns {object|null} { type, icon, label, tooltip }, or null without a declaration
+ */
+export function prepareDeclarationBadge(actor) {
+	const declaration = getActorDeclaration(actor)
+	const config = declaration ? DECLARATION_CONFIG[declaration] : null
+	if (!config) return null
+	return {
+		type: declaration,
+		icon: config.icon,
+		label: game.i18n.localize(config.labelKey),
+		tooltip: game.i18n.localize(config.tooltipKey)
+	}
+}
+
+/**
+ * Recompute an actor's derived values and redraw its sheet, so that AC and the
+ * declaration badge follow the declaration.
+ * @param {Actor} actor - The actor
+ */
+function refreshActor(actor) {
+	if (!actor) return
+	actor.reset()
+	if (actor.sheet?.rendered) actor.sheet.render()
+}
+
+/**
+ * Refresh an actor when its combatant's declaration changes.
+ * @param {Combatant} combatant - The updated combatant
+ * @param {object} changes - The update data
+ */
+function onCombatantUpdated(combatant, changes) {
+	const flags = changes.flags?.dolmenwood
+	if (!flags || !('declaration' in flags || '-=declaration' in flags)) return
+	refreshActor(combatant.actor)
+}
+
+/**
+ * Refresh every actor in a combat that has started or ended.
+ * @param {Combat} combat - The combat
+ */
+function refreshCombatActors(combat) {
+	for (const combatant of combat.combatants) refreshActor(combatant.actor)
+}
+
+/**
+ * Disrupt the declared spell of a caster harmed before acting this round, however
+ * its hit points were lowered (damage cards, the sheet, the token HUD or macros).
+ * Handled by the user whose update lowered the caster's hit points; players pass
+ * the disruption to the active GM over the system socket.
+ * @param {Actor} actor - The updated actor
+ * @param {object} changes - The update data
+ * @param {object} options - Update options ('dolmenwoodHp' holds the previous hit points,
+ *   'dolmenwoodLogId' the damage log the change belongs to, if any)
+ * @param {string} userId - The updating user
+ */
+async function onActorDamaged(actor, changes, options, userId) {
+	if (userId !== game.user.id) return
+	const hp = changes.system?.hp?.value
+	if (hp === undefined || options.dolmenwoodHp === undefined || hp >= options.dolmenwoodHp) return
+
+	const combatant = getActorCombatant(actor)
+	if (!combatant?.isCasting || combatant.combat.hasActed(combatant)) return
+	const logId = options.dolmenwoodLogId ?? null
+	if (game.users.activeGM?.isSelf) {
+		await disruptSpell(combatant, { logId })
+	} else {
+		game.socket.emit('system.dolmenwood', {
+			action: 'spellDisruption',
+			combatId: combatant.combat.id,
+			combatantId: combatant.id,
+			logId
+		})
+	}
+}
+
+/**
+ * Register the hooks that keep declarations in effect.
+ * Call this from registerCombatSystem().
+ */
+export function registerDeclarationHooks() {
+	Hooks.on('updateCombatant', onCombatantUpdated)
+	Hooks.on('updateCombat', (combat, changes) => {
+		if ('active' in changes || 'round' in changes) refreshCombatActors(combat)
+	})
+	Hooks.on('deleteCombat', refreshCombatActors)
+	Hooks.once('ready', () => {
+		if (game.combats.active) refreshCombatActors(game.combats.active)
+	})
+
+	// Remember hit points before an update, to tell when a caster is harmed
+	Hooks.on('preUpdateActor', (actor, changes, options) => {
+		if (changes.system?.hp?.value !== undefined) options.dolmenwoodHp = actor.system.hp.value
+	})
+	Hooks.on('updateActor', onActorDamaged)
+}
@@ -0,0 +1,196 @@
+/* global game, ui, canvas, fromUuid, Roll, ChatMessage, CONFIG, Combat, foundry */
+
+/**
+ * Encounter Builder
+ * Turns encounter table results that link to Creature actors into an encounter card:
+ * number appearing, encounter distance, surprise and reaction, with a GM button that
+ * places the creatures on the current scene as a new combat group.
+ */
+
+import { GROUPS } from './combatant.js'
+import { GROUP_CONFIG } from './combat-data.js'
+import { rollSurprise, rollEncounterDistance, rollReaction } from './combat-rolls.js'
+import { isOutdoors } from '../calendar/weather.js'
+
+/** Groups handed out to placed encounters, in order. */
+const ENCOUNTER_GROUPS = [GROUPS.GROUP_A, GROUPS.GROUP_B, GROUPS.GROUP_C, GROUPS.GROUP_D, GROUPS.GROUP_E, GROUPS.GROUP_F]
+
+/**
+ * Build a labelled part of the encounter card.
+ * @param {string} labelKey - Localization key for the part heading
+ * @param {string} body - The part's roll sections
+ * @returns {string} HTML string
+ */
+function buildPart(labelKey, body) {
+	return `
+				<div class="encounter-part">
+					<label>${game.i18n.localize(labelKey)}</label>
+					${body}
+				</div>`
+}
+
+/**
+ * Post an encounter card for each drawn table result that links to a Creature actor.
+ * Results linking to anything else are left to the table's own message.
+ * @param {TableResult[]} results - The drawn table results
+ */
+export async function postEncounterCards(results) {
+	for (const result of results) {
+		const uuid = result.documentUuid
+		if (!uuid) continue
+		const actor = await fromUuid(uuid)
+		if (actor?.documentName !== 'Actor' || actor.type !== 'Creature') continue
+		await postEncounterCard(actor)
+	}
+}
+
+/**
+ * Roll and post the encounter card for a creature.
+ * @param {Actor} actor - The encountered creature
+ * @returns {Promise<ChatMessage>} The created chat message
+ */
+export async function postEncounterCard(actor) {
+	const formula = actor.system.encounters && Roll.validate(actor.system.encounters) ? actor.system.encounters : '1'
+	const numberRoll = await new Roll(formula).evaluate()
+	const count = Math.max(1, numberRoll.total)
+	const numberAnchor = await numberRoll.toAnchor({ classes: ['encounter-inline-roll'] })
+
+	const environment = isOutdoors() ? 'outdoors' : 'dungeon'
+	const distance = await rollEncounterDistance(environment, { chat: false })
+	const surprise = await rollSurprise({ chat: false })
+	const reaction = await rollReaction(0, { chat: false })
+
+	const countLabel = game.i18n.format('DOLMEN.Combat.EncounterBuilder.Appearing', { count })
+	const placeLabel = game.i18n.format('DOLMEN.Combat.EncounterBuilder.Place', { count })
+	const content = `
+		<div class="dolmen combat-roll encounter-card">
+			<div class="roll-header">
+				<img src="${actor.img}" class="encounter-image">
+				<div class="roll-info">
+					<h3>${actor.name}</h3>
+					<span class="roll-type">${countLabel}</span>
+				</div>
+			</div>
+			<div class="roll-body">
+				${buildPart('DOLMEN.Combat.EncounterBuilder.NumberAppearing', `
+					<div class="roll-section">
+						<div class="roll-result">${numberAnchor.outerHTML}</div>
+						<span class="roll-breakdown">${formula}</span>
+					</div>`)}
+				${buildPart('DOLMEN.Combat.EncounterDistance', distance.body)}
+				${buildPart('DOLMEN.Combat.SurpriseRoll', surprise.body)}
+				${buildPart('DOLMEN.Combat.ReactionRoll', reaction.body)}
+				<button type="button" class="place-encounter">
+					<i class="fa-solid fa-chess-knight"></i> ${placeLabel}
+				</button>
+			</div>
+		</div>`
+
+	return ChatMessage.create({
+		content,
+		rolls: [numberRoll, distance.roll, ...surprise.rolls, reaction.roll],
+		sound: CONFIG.sounds.dice,
+		speaker: { alias: game.i18n.localize('DOLMEN.Combat.Encounter') },
+		whisper: game.users.filter(u => u.isGM).map(u => u.id),
+		flags: {
+			dolmenwood: {
+				encounter: { actorUuid: actor.uuid, count, distance: distance.distance, placed: false }
+			}
+		}
+	})
+}
+
+/**
+ * Get a world copy of an encounter's creature, importing it from its compendium
+ * the first time it is met.
+ * @param {string} uuid - The creature's UUID
+ * @returns {Promise<Actor|null>}
+ */
+async function getWorldActor(uuid) {
+	const actor = await fromUuid(uuid)
+	if (!actor?.pack) return actor ?? null
+	const imported = game.actors.find(a => a._stats?.compendiumSource === uuid)
+	if (imported) return imported
+	return game.actors.importFromCompendium(game.packs.get(actor.pack), actor.id)
+}
+
+/**
+ * Place an encounter's creatures in a block at the centre of the view and add them
+ * to the scene's combat in the first free group.
+ * @param {ChatMessage} message - The encounter card message
+ * @returns {Promise<boolean>} True if the encounter was placed
+ */
+export async function placeEncounter(message) {
+	const encounter = message?.getFlag('dolmenwood', 'encounter')
+	if (!encounter || encounter.placed) return false
+	const scene = canvas.scene
+	if (!scene) {
+		ui.notifications.warn(game.i18n.localize('DOLMEN.Combat.EncounterBuilder.NoScene'))
+		return false
+	}
+	const actor = await getWorldActor(encounter.actorUuid)
+	if (!actor) return false
+
+	// Lay the tokens out in a square block around the view centre
+	const size = canvas.grid.size
+	const columns = Math.ceil(Math.sqrt(encounter.count))
+	const origin = canvas.grid.getTopLeftPoint({
+		x: canvas.stage.pivot.x - (columns * size) / 2,
+		y: canvas.stage.pivot.y - (columns * size) / 2
+	})
+	const tokenData = []
+	for (let i = 0; i < encounter.count; i++) {
+		const token = await actor.getTokenDocument({
+			x: origin.x + (i % columns) * size,
+			y: origin.y + Math.floor(i / columns) * size
+		})
+		tokenData.push(token.toObject())
+	}
+	const tokens = await scene.createEmbeddedDocuments('Token', tokenData)
+
+	const combat = game.combats.find(c => c.scene?.id === scene.id)
+		?? await Combat.implementation.create({ scene: scene.id, active: true })
+	const used = new Set(combat.combatants.map(c => c.dispositionGroup))
+	const groupId = ENCOUNTER_GROUPS.find(g => !used.has(g)) ?? GROUPS.GROUP_A
+	const combatants = await combat.createEmbeddedDocuments('Combatant', tokens.map(t => ({
+		tokenId: t.id,
+		sceneId: scene.id,
+		actorId: t.actorId,
+		hidden: t.hidden
+	})))
+
+	const assignments = foundry.utils.deepClone(combat.getFlag('dolmenwood', 'groupAssignments') || {})
+	for (const c of combatants) assignments[c.id] = groupId
+	await combat.setFlag('dolmenwood', 'groupAssignments', assignments)
+
+	await message.setFlag('dolmenwood', 'encounter.placed', true)
+	ui.notifications.info(game.i18n.format('DOLMEN.Combat.EncounterBuilder.Placed', {
+		count: tokens.length,
+		name: actor.name,
+		group: game.i18n.localize(GROUP_CONFIG[groupId].labelKey)
+	}))
+	return true
+}
+
+/**
+ * Wire the "place on scene" button on encounter cards (GM only).
+ * @param {ChatMessage} message - The rendered chat message
+ * @param {HTMLElement} html - Chat message HTML
+ */
+export function setupEncounterButton(message, html) {
+	const button = html.querySelector('.place-encounter')
+	if (!button) return
+	if (!game.user.isGM) {
+		button.remove()
+		return
+	}
+	if (message.getFlag('dolmenwood', 'encounter')?.placed) {
+		button.disabled = true
+		button.innerHTML = `<i class="fa-solid fa-check"></i> ${game.i18n.localize('DOLMEN.Combat.EncounterBuilder.PlacedDone')}`
+		return
+	}
+	button.addEventListener('click', async () => {
+		button.disabled = true
+		if (!await placeEncounter(message)) button.disabled = false
+	})
+}
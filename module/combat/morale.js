@@ -0,0 +1,175 @@
+/* global game, ChatMessage, foundry */
+
+/**
+ * Automated Morale
+ * Watches each combat group and tests its morale when its first member falls and
+ * again when half of it is down. Creatures roll against their morale score,
+ * retainers against their loyalty; those that fail are declared fleeing.
+ */
+
+import { groupCombatants, GROUP_CONFIG } from './combat-data.js'
+import { rollMoraleCheck } from './combat-rolls.js'
+import { rollLoyaltyCheck } from '../retainers.js'
+
+/** Morale triggers, in the order they can occur. */
+const TRIGGERS = {
+	firstDeath: 'DOLMEN.Combat.Morale.FirstDeath',
+	halfDown: 'DOLMEN.Combat.Morale.HalfDown'
+}
+
+/**
+ * Whether a combatant tests morale: creatures with a morale score and retainers.
+ * @param {Combatant} combatant
+ * @returns {boolean}
+ */
+function testsMorale(combatant) {
+	const actor = combatant.actor
+	if (!actor) return false
+	if (actor.type === 'Adventurer') return !!actor.system.retainer
+	return actor.system.morale != null
+}
+
+/**
+ * Work out which morale triggers a group has newly reached.
+ * @param {Combatant[]} members - The group's combatants
+ * @param {string[]} done - Triggers already checked for this group
+ * @returns {string[]} New trigger keys
+ */
+function getNewTriggers(members, done) {
+	const down = members.filter(c => c.isDefeated).length
+	const triggers = []
+	if (down >= 1 && !done.includes('firstDeath')) triggers.push('firstDeath')
+	if (down >= Math.ceil(members.length / 2) && !done.includes('halfDown')) triggers.push('halfDown')
+	return triggers
+}
+
+/**
+ * Roll morale for a group's standing members and declare those that fail as fleeing.
+ * Creatures sharing a morale score roll together; each retainer rolls loyalty.
+ * @param {Combat} combat - The combat
+ * @param {number} groupId - Group constant
+ */
+export async function rollGroupMorale(combat, groupId) {
+	const members = (groupCombatants(combat.combatants).get(groupId) ?? [])
+		.filter(c => testsMorale(c) && !c.isDefeated && !c.getFlag('dolmenwood', 'moraleBroken'))
+
+	const byMorale = new Map()
+	const retainers = []
+	for (const c of members) {
+		if (c.actor.type === 'Adventurer') {
+			retainers.push(c)
+			continue
+		}
+		const morale = c.actor.system.morale
+		if (!byMorale.has(morale)) byMorale.set(morale, [])
+		byMorale.get(morale).push(c)
+	}
+
+	const fleeing = []
+	for (const [morale, combatants] of byMorale) {
+		const names = combatants.map(c => c.name).join(', ')
+		const { passed } = await rollMoraleCheck(morale, { subtitle: names })
+		if (!passed) fleeing.push(...combatants)
+	}
+	for (const c of retainers) {
+		const { passed } = await rollLoyaltyCheck(c.actor)
+		if (!passed) fleeing.push(c)
+	}
+
+	if (fleeing.length) {
+		await combat.updateEmbeddedDocuments('Combatant', fleeing.map(c => ({
+			_id: c.id,
+			'flags.dolmenwood.declaration': 'flee',
+			'flags.dolmenwood.moraleBroken': true
+		})))
+	}
+}
+
+/**
+ * Post a GM-only prompt to roll a group's morale.
+ * @param {Combat} combat - The combat
+ * @param {number} groupId - Group constant
+ * @param {string} reason - Localized trigger description
+ */
+async function postMoralePrompt(combat, groupId, reason) {
+	const label = game.i18n.localize(GROUP_CONFIG[groupId]?.labelKey || 'DOLMEN.Combat.Group.GroupA')
+	await ChatMessage.create({
+		content: `
+		<div class="dolmen combat-roll morale-prompt">
+			<div class="roll-header">
+				<i class="fa-solid fa-flag"></i>
+				<div class="roll-info">
+					<h3>${game.i18n.localize('DOLMEN.Creature.MoraleCheck')}</h3>
+					<span class="roll-type">${label}</span>
+				</div>
+			</div>
+			<div class="roll-body">
+				<div class="group-row" style="border-left: 3px solid ${GROUP_CONFIG[groupId]?.color || '#999'};">${reason}</div>
+				<button type="button" class="roll-group-morale" data-combat-id="${combat.id}" data-group="${groupId}">
+					<i class="fa-solid fa-dice"></i> ${game.i18n.localize('DOLMEN.Combat.Morale.RollGroup')}
+				</button>
+			</div>
+		</div>`,
+		speaker: { alias: game.i18n.localize('DOLMEN.Combat.Encounter') },
+		whisper: game.users.filter(u => u.isGM).map(u => u.id)
+	})
+}
+
+/**
+ * Check a group's morale after one of its members is defeated, rolling or
+ * prompting according to the autoMorale setting. Run by the active GM only.
+ * @param {Combat} combat - The combat
+ * @param {number} groupId - Group constant
+ */
+export async function checkGroupMorale(combat, groupId) {
+	const mode = game.settings.get('dolmenwood', 'autoMorale')
+	if (mode === 'off') return
+
+	const members = groupCombatants(combat.combatants).get(groupId) ?? []
+	if (!members.some(testsMorale)) return
+
+	const checks = foundry.utils.deepClone(combat.getFlag('dolmenwood', 'moraleChecks') ?? {})
+	const done = checks[groupId] ?? []
+	const triggers = getNewTriggers(members, done)
+	if (!triggers.length) return
+
+	checks[groupId] = [...done, ...triggers]
+	await combat.setFlag('dolmenwood', 'moraleChecks', checks)
+
+	// Nobody left standing to rout
+	if (members.every(c => c.isDefeated)) return
+
+	const reason = game.i18n.localize(TRIGGERS[triggers.at(-1)])
+	if (mode === 'roll') await rollGroupMorale(combat, groupId)
+	else await postMoralePrompt(combat, groupId, reason)
+}
+
+/**
+ * updateCombatant hook: check morale when a combatant is marked defeated.
+ * @param {Combatant} combatant - The updated combatant
+ * @param {object} changes - The update delta
+ */
+export function onCombatantUpdated(combatant, changes) {
+	if (changes.defeated !== true || !game.users.activeGM?.isSelf) return
+	checkGroupMorale(combatant.combat, combatant.dispositionGroup)
+}
+
+/**
+ * Wire the "Roll Morale" button on morale prompt cards (GM only).
+ * @param {ChatMessage} message - The rendered chat message
+ * @param {HTMLElement} html - Chat message HTML
+ */
+export function setupMoralePromptButton(message, html) {
+	const button = html.querySelector('.roll-group-morale')
+	if (!button) return
+	if (!game.user.isGM) {
+		button.remove()
+		return
+	}
+	button.addEventListener('click', async () => {
+		const combat = game.combats.get(button.dataset.combatId)
+		if (!combat) return
+		button.disabled = true
+		await rollGroupMorale(combat, Number(button.dataset.group))
+	})
+}
@@ -0,0 +1,208 @@
+/* global game, ChatMessage, fromUuid */
+/**
+ * Spell Disruption
+ * A caster who declared magic and is harmed before their group acts loses the spell:
+ * the declaration is cancelled and the memorized slot is spent as if it had been cast.
+ * Harm is detected in declarations.js; disruptions caused by players are passed to
+ * the active GM over the system socket. Undoing the damage log that caused a
+ * disruption gives the spell back (see undoDisruptions()).
+ */
+
+import { prepareMemorizedSlots, spendMemorizedSlot, restoreMemorizedSlot } from '../sheet/data-context.js'
+
+/** Memorized spell traditions: actor data path, spell item type and highest rank. */
+const MAGIC_PATHS = [
+	{ path: 'arcaneMagic', itemType: 'Spell', maxRank: 6 },
+	{ path: 'holyMagic', itemType: 'HolySpell', maxRank: 5 }
+]
+
+/**
+ * List the spells an actor has memorized, one entry per filled slot.
+ * @param {Actor} actor - The caster
+ * @returns {object[]} { magicPath, rankKey, rank, slotIndex, spellId, name }
+ */
+export function getMemorizedSpells(actor) {
+	const spells = []
+	for (const { path, itemType, maxRank } of MAGIC_PATHS) {
+		const magic = actor.system[path]
+		if (!magic?.enabled || !magic.spellSlots) continue
+		const known = actor.items.contents.filter(i => i.type === itemType)
+		for (const rank of prepareMemorizedSlots(magic.spellSlots, known, maxRank)) {
+			for (const slot of rank.slots) {
+				if (!slot.filled) continue
+				spells.push({
+					magicPath: path,
+					rankKey: rank.key,
+					rank: rank.rank,
+					slotIndex: slot.index,
+					spellId: slot.spell.id,
+					name: slot.spell.name
+				})
+			}
+		}
+	}
+	return spells
+}
+
+/**
+ * Describe a memorized spell, e.g. "Fairy Servant (rank 1)".
+ * @param {object} spell - Entry from getMemorizedSpells()
+ * @returns {string}
+ */
+function describeSpell(spell) {
+	return game.i18n.format('DOLMEN.Combat.Disruption.SpellRank', { spell: spell.name, rank: spell.rank })
+}
+
+/**
+ * Cancel a combatant's declared spell and post the disruption card (GM only).
+ * A caster with a single memorized spell loses it at once; otherwise the card asks
+ * the GM which spell was being cast.
+ * @param {Combatant} combatant - The disrupted caster
+ * @param {object} [options] - Extra options
+ * @param {string|null} [options.logId] - Damage log whose undo gives the spell back
+ */
+export async function disruptSpell(combatant, { logId = null } = {}) {
+	if (!combatant.isCasting) return
+	const actor = combatant.actor
+	await combatant.setDeclaration(null)
+
+	const spells = actor ? getMemorizedSpells(actor) : []
+	let outcome = ''
+	let spentSlot = null
+	if (spells.length === 1) {
+		const [spell] = spells
+		await spendMemorizedSlot(actor, spell.magicPath, spell.rankKey, spell.slotIndex)
+		spentSlot = { magicPath: spell.magicPath, rankKey: spell.rankKey, slotIndex: spell.slotIndex, spellId: spell.spellId }
+		outcome = `<div class="group-row">${game.i18n.format('DOLMEN.Combat.Disruption.Spent', { spell: describeSpell(spell) })}</div>`
+	} else if (spells.length > 1) {
+		const buttons = spells.map(spell => `
+					<button type="button" class="disruption-spend" data-magic-path="${spell.magicPath}"
+						data-rank-key="${spell.rankKey}" data-slot-index="${spell.slotIndex}" data-spell-id="${spell.spellId}">
+						<i class="fa-solid fa-book-skull"></i> ${describeSpell(spell)}
+					</button>`).join('')
+		outcome = `
+				<div class="roll-section">
+					<span class="roll-label">${game.i18n.localize('DOLMEN.Combat.Disruption.Choose')}</span>
+				</div>
+				<div class="disruption-spells">${buttons}</div>`
+	}
+
+	await ChatMessage.create({
+		content: `
+		<div class="dolmen combat-roll spell-disruption">
+			<div class="roll-header">
+				<i class="fa-solid fa-sparkles"></i>
+				<div class="roll-info">
+					<h3>${game.i18n.localize('DOLMEN.Combat.Disruption.Title')}</h3>
+					<span class="roll-type">${game.i18n.format('DOLMEN.Combat.Phase.Round', { round: combatant.combat.round })}</span>
+				</div>
+			</div>
+			<div class="roll-body">
+				<div class="roll-section failure">
+					<span class="roll-label">${game.i18n.format('DOLMEN.Combat.Disruption.Text', { name: combatant.token?.name || combatant.name })}</span>
+				</div>
+				${outcome}
+			</div>
+		</div>`,
+		speaker: ChatMessage.getSpeaker({ actor }),
+		flags: {
+			dolmenwood: {
+				disruption: {
+					actorUuid: actor?.uuid ?? null,
+					combatId: combatant.combat.id,
+					combatantId: combatant.id,
+					round: combatant.combat.round,
+					logId,
+					spent: spells.length < 2,
+					spentSlot,
+					undone: false
+				}
+			}
+		}
+	})
+}
+
+/**
+ * Wire the spell buttons on disruption cards (GM only), and note on the card when
+ * undoing the damage gave the spell back.
+ * @param {ChatMessage} message - The rendered chat message
+ * @param {HTMLElement} html - Chat message HTML
+ */
+export function setupDisruptionButtons(message, html) {
+	const disruption = message.getFlag('dolmenwood', 'disruption')
+	if (disruption?.undone) {
+		html.querySelector('.roll-body')?.insertAdjacentHTML('beforeend', `
+			<div class="roll-section success">
+				<span class="roll-label">${game.i18n.localize('DOLMEN.Combat.Disruption.Restored')}</span>
+			</div>`)
+	}
+	const buttons = html.querySelectorAll('.disruption-spend')
+	if (!buttons.length) return
+	if (!game.user.isGM) {
+		html.querySelector('.disruption-spells')?.remove()
+		return
+	}
+	for (const button of buttons) {
+		button.disabled = !!disruption?.spent || !!disruption?.undone
+		button.addEventListener('click', async () => {
+			const actor = disruption?.actorUuid ? await fromUuid(disruption.actorUuid) : null
+			if (!actor) return
+			const { magicPath, rankKey, spellId } = button.dataset
+			const slotIndex = parseInt(button.dataset.slotIndex)
+			// Only spend the slot if it still holds the spell it held when the card was posted
+			const memorized = actor.system[magicPath]?.spellSlots?.[rankKey]?.memorized || []
+			let spentSlot = null
+			if (memorized[slotIndex] === spellId) {
+				await spendMemorizedSlot(actor, magicPath, rankKey, slotIndex)
+				spentSlot = { magicPath, rankKey, slotIndex, spellId }
+			}
+			await message.update({ 'flags.dolmenwood.disruption.spent': true, 'flags.dolmenwood.disruption.spentSlot': spentSlot })
+		})
+	}
+}
+
+/**
+ * Give back the spells lost to the damage in a damage log being undone: the
+ * declaration is restored if the round has not moved on, and the spent memorized
+ * slot is refilled. Must be run by the GM.
+ * @param {string} logId - The undone damage log's ID
+ */
+export async function undoDisruptions(logId) {
+	if (!logId) return
+	const messages = game.messages.filter(m => {
+		const disruption = m.getFlag('dolmenwood', 'disruption')
+		return disruption?.logId === logId && !disruption.undone
+	})
+	for (const message of messages) {
+		const disruption = message.getFlag('dolmenwood', 'disruption')
+		const combat = game.combats.get(disruption.combatId)
+		const combatant = combat?.combatants.get(disruption.combatantId)
+		if (combatant && combat.round === disruption.round && !combatant.declaration) {
+			await combatant.setDeclaration('magic')
+		}
+		const actor = disruption.actorUuid ? await fromUuid(disruption.actorUuid) : null
+		if (actor && disruption.spentSlot) await restoreMemorizedSlot(actor, disruption.spentSlot)
+		await message.setFlag('dolmenwood', 'disruption.undone', true)
+	}
+}
+
+/**
+ * Check whether a damage log caused any spell disruptions.
+ * @param {string} logId - The damage log's ID
+ * @returns {boolean}
+ */
+export function hasDisruptions(logId) {
+	return !!logId && game.messages.some(m => m.getFlag('dolmenwood', 'disruption')?.logId === logId)
+}
+
+/**
+ * Handle spell disruption socket events. Only the active GM processes them.
+ * @param {object} data - Socket payload
+ */
+export async function handleDisruptionSocket(data) {
+	if (!game.users.activeGM?.isSelf) return
+	if (data.action === 'spellDisruption') {
+		const combatant = game.combats.get(data.combatId)?.combatants.get(data.combatantId)
+		if (combatant && !combatant.combat.hasActed(combatant)) await disruptSpell(combatant, { logId: data.logId })
+	}
+}
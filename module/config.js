@@ -281,4 +281,70 @@ DOLMENWOOD.unseasonWeatherTable = {
 	chame: 'summer'
 }
 
+// Conditions: registered as token status effects (see module/effects/conditions.js)
+// autoHit: attacks against a creature with this condition hit automatically
+DOLMENWOOD.conditions = {
+	charmed: { label: 'DOLMEN.Conditions.charmed', img: 'icons/svg/daze.svg' },
+	paralysed: { label: 'DOLMEN.Conditions.paralysed', img: 'icons/svg/paralysis.svg', autoHit: true },
+	asleep: { label: 'DOLMEN.Conditions.asleep', img: 'icons/svg/sleep.svg', autoHit: true },
+	blinded: { label: 'DOLMEN.Conditions.blinded', img: 'icons/svg/blind.svg' },
+	held: { label: 'DOLMEN.Conditions.held', img: 'icons/svg/net.svg' },
+	frightened: { label: 'DOLMEN.Conditions.frightened', img: 'icons/svg/terror.svg' },
+	unconscious: { label: 'DOLMEN.Conditions.unconscious', img: 'icons/svg/unconscious.svg', autoHit: true }
+}
+
+// Overland travel terrain (see module/travel/travel-panel.js)
+// cost: travel points to enter a hex; lostChance: X-in-6 chance of getting lost off-road
+DOLMENWOOD.travelTerrain = {
+	road: { label: 'DOLMEN.Travel.Terrain.road', cost: 2, lostChance: 0 },
+	light: { label: 'DOLMEN.Travel.Terrain.light', cost: 2, lostChance: 1 },
+	moderate: { label: 'DOLMEN.Travel.Terrain.moderate', cost: 3, lostChance: 2 },
+	difficult: { label: 'DOLMEN.Travel.Terrain.difficult', cost: 4, lostChance: 3 }
+}
+
+// Treasure hoards by code (see module/treasure/hoard.js)
+// Each entry is [percent chance, amount formula]. C = coins, R = riches (gems and art), M = magic items.
+DOLMENWOOD.treasureHoards = {
+	C1: { copper: [100, '1d4*100'], silver: [50, '1d4*10'] },
+	C2: { copper: [100, '1d8*100'], silver: [50, '1d6*100'] },
+	C3: { copper: [50, '2d6*100'], silver: [100, '1d8*100'], gold: [25, '1d4*10'] },
+	C4: { silver: [100, '2d6*100'], gold: [50, '1d6*10'] },
+	C5: { silver: [75, '2d8*100'], gold: [75, '1d8*10'] },
+	C6: { silver: [50, '3d6*100'], gold: [100, '2d6*10'], pellucidium: [10, '1d4'] },
+	C7: { silver: [50, '1d6*1000'], gold: [100, '1d6*100'], pellucidium: [25, '1d6'] },
+	C8: { gold: [100, '2d6*100'], pellucidium: [25, '1d6*10'] },
+	C9: { gold: [100, '4d6*100'], pellucidium: [50, '1d8*10'] },
+	C10: { gold: [100, '1d6*1000'], pellucidium: [75, '2d6*10'] },
+	R1: { gems: [50, '1d4'] },
+	R2: { gems: [50, '1d6'], art: [25, '1d2'] },
+	R3: { gems: [75, '1d6'], art: [25, '1d4'] },
+	R4: { gems: [75, '2d4'], art: [50, '1d4'] },
+	R5: { gems: [100, '2d6'], art: [50, '1d6'] },
+	R6: { gems: [100, '3d6'], art: [75, '1d6'] },
+	R7: { gems: [100, '4d6'], art: [75, '2d4'] },
+	R8: { gems: [100, '5d6'], art: [100, '2d6'] },
+	R9: { gems: [100, '6d6'], art: [100, '3d6'] },
+	R10: { gems: [100, '10d6'], art: [100, '4d6'] },
+	M1: { magic: [10, '1'] },
+	M2: { magic: [15, '1'] },
+	M3: { magic: [25, '1'] },
+	M4: { magic: [30, '1d2'] },
+	M5: { magic: [40, '1d2'] },
+	M6: { magic: [50, '1d3'] },
+	M7: { magic: [60, '1d3'] },
+	M8: { magic: [75, '1d4'] },
+	M9: { magic: [85, '1d4'] },
+	M10: { magic: [100, '1d4+1'] }
+}
+
+// Gem values in gp by d20 roll (highest roll in each band), and the value formula for art objects
+DOLMENWOOD.gemValues = [
+	{ max: 4, value: 10 },
+	{ max: 9, value: 50 },
+	{ max: 15, value: 100 },
+	{ max: 19, value: 500 },
+	{ max: 20, value: 1000 }
+]
+DOLMENWOOD.artValue = '2d6*50'
+
 export default DOLMENWOOD
@@ -0,0 +1,138 @@
+/* global game, ui, canvas, foundry, Hooks, Roll, ChatMessage, CONFIG */
+/**
+ * Creature Hit Points
+ * Gives each unlinked creature token its own hit points from the creature's HP dice
+ * when it is placed, rolled or set to the average or maximum according to a world
+ * setting, and rerolls them for selected tokens on demand. Results are whispered to the GM.
+ */
+
+/** HP modes, keyed by setting value. */
+const HP_MODES = {
+	prototype: 'DOLMEN.CreatureHP.Settings.ModePrototype',
+	rolled: 'DOLMEN.CreatureHP.Settings.ModeRolled',
+	average: 'DOLMEN.CreatureHP.Settings.ModeAverage',
+	max: 'DOLMEN.CreatureHP.Settings.ModeMax'
+}
+
+/** Tokens created since the last chat report, batched so placing a group posts one card. */
+const pendingTokens = []
+
+/**
+ * Register the creature HP setting and the token creation hook.
+ * Call this from Hooks.once('init', ...) in dolmenwood.mjs.
+ */
+export function registerCreatureHPSettings() {
+	game.settings.register('dolmenwood', 'creatureHPMode', {
+		name: 'DOLMEN.CreatureHP.Settings.Mode',
+		hint: 'DOLMEN.CreatureHP.Settings.ModeHint',
+		scope: 'world',
+		config: true,
+		type: String,
+		default: 'prototype',
+		choices: HP_MODES
+	})
+
+	Hooks.on('createToken', onTokenCreated)
+}
+
+/**
+ * Work out a creature's hit points from its HP dice.
+ * @param {string} formula - HP dice, e.g. "2d8" or "3d8+2"
+ * @param {string} mode - 'rolled', 'average' or 'max'
+ * @returns {Promise<object>} { hp, roll } where roll is only set for rolled HP
+ */
+export async function computeCreatureHP(formula, mode) {
+	if (!Roll.validate(formula)) return { hp: 1, roll: null }
+	if (mode === 'rolled') {
+		const roll = await new Roll(formula).evaluate()
+		return { hp: Math.max(1, roll.total), roll }
+	}
+	const max = new Roll(formula).evaluateSync({ maximize: true }).total
+	if (mode === 'max') return { hp: Math.max(1, max), roll: null }
+	const min = new Roll(formula).evaluateSync({ minimize: true }).total
+	return { hp: Math.max(1, Math.floor((min + max) / 2)), roll: null }
+}
+
+/**
+ * Whether a token gets its own hit points: unlinked creature tokens only.
+ * @param {TokenDocument} token
+ * @returns {boolean}
+ */
+function hasOwnHP(token) {
+	return !token.actorLink && token.actor?.type === 'Creature'
+}
+
+/**
+ * Set hit points on creature tokens and whisper the results to the GM.
+ * @param {TokenDocument[]} tokens - Unlinked creature tokens
+ * @param {string} mode - 'rolled', 'average' or 'max'
+ */
+export async function setCreatureTokenHP(tokens, mode) {
+	const rows = []
+	const rolls = []
+	for (const token of tokens) {
+		const formula = token.actor.system.hpDice
+		const { hp, roll } = await computeCreatureHP(formula, mode)
+		await token.actor.update({ 'system.hp.value': hp, 'system.hp.max': hp })
+
+		let result = `${formula} → <strong>${hp}</strong>`
+		if (roll) {
+			rolls.push(roll)
+			const anchor = await roll.toAnchor({ classes: ['hp-inline-roll'] })
+			result = `${formula}: ${anchor.outerHTML}`
+		}
+		rows.push(`<div class="group-row"><strong>${foundry.utils.escapeHTML(token.name)}:</strong> ${result}</div>`)
+	}
+	if (!rows.length) return
+
+	await ChatMessage.create({
+		content: `
+		<div class="dolmen combat-roll creature-hp-card">
+			<div class="roll-header">
+				<i class="fa-solid fa-heart"></i>
+				<div class="roll-info">
+					<h3>${game.i18n.localize('DOLMEN.CreatureHP.Title')}</h3>
+					<span class="roll-type">${game.i18n.localize(HP_MODES[mode])}</span>
+				</div>
+			</div>
+			<div class="roll-body">${rows.join('')}</div>
+		</div>`,
+		rolls,
+		sound: rolls.length ? CONFIG.sounds.dice : undefined,
+		speaker: { alias: game.i18n.localize('DOLMEN.CreatureHP.Title') },
+		whisper: game.users.filter(u => u.isGM).map(u => u.id)
+	})
+}
+
+/** Report the batched new tokens once placement has settled. */
+const flushPendingTokens = foundry.utils.debounce(() => {
+	const tokens = pendingTokens.splice(0).filter(t => t.parent?.tokens.has(t.id))
+	setCreatureTokenHP(tokens, game.settings.get('dolmenwood', 'creatureHPMode'))
+}, 100)
+
+/**
+ * createToken hook: give newly placed creature tokens their own hit points.
+ * Run by the active GM only.
+ * @param {TokenDocument} token - The created token
+ */
+function onTokenCreated(token) {
+	if (!game.users.activeGM?.isSelf) return
+	if (game.settings.get('dolmenwood', 'creatureHPMode') === 'prototype') return
+	if (!hasOwnHP(token)) return
+	pendingTokens.push(token)
+	flushPendingTokens()
+}
+
+/**
+ * Reroll hit points for the selected creature tokens. Uses the world HP mode,
+ * or rolls when tokens keep their prototype's hit points.
+ */
+export async function rerollSelectedHP() {
+	const tokens = canvas.tokens.controlled.map(t => t.document).filter(hasOwnHP)
+	if (!tokens.length) {
+		ui.notifications.warn(game.i18n.localize('DOLMEN.CreatureHP.NoTokens'))
+		return
+	}
+	const mode = game.settings.get('dolmenwood', 'creatureHPMode')
+	await setCreatureTokenHP(tokens, mode === 'prototype' ? 'rolled' : mode)
+}
@@ -228,6 +228,22 @@ function createHolySpellSlotsSchema() {
 	})
 }
 
+/**
+ * Create the structured fields used by spell cast cards.
+ * Blank save type / duration unit and zero counts mean "not applicable".
+ * @returns {Object} Field definitions to spread into a spell-like schema
+ */
+function createSpellEffectFields() {
+	return {
+		saveType: new StringField({ required: true, blank: true, initial: "" }),
+		damageFormula: new StringField({ required: true, blank: true, initial: "" }),
+		area: new StringField({ required: true, blank: true, initial: "" }),
+		targets: new NumberField({ required: true, integer: true, min: 0, initial: 0 }),
+		durationValue: new NumberField({ required: true, integer: true, min: 0, initial: 0 }),
+		durationUnit: new StringField({ required: true, blank: true, initial: "" })
+	}
+}
+
 /* -------------------------------------------- */
 /*  Actor Models                                */
 /* -------------------------------------------- */
@@ -521,6 +537,16 @@ export class AdventurerDataModel extends ActorDataModel {
 			// Retainer treasure share: "" = not a retainer, "quarter" = 1/4, "half" = 1/2, "full" = full share
 			retainer: new StringField({ required: true, initial: '', blank: true }),
 
+			// Retainer employer (Adventurer actor UUID) and wage owed per day or month
+			employer: new StringField({ required: true, initial: '', blank: true }),
+			wage: new SchemaField({
+				amount: new NumberField({ required: true, integer: true, min: 0, initial: 0 }),
+				denomination: new StringField({ required: true, blank: false, initial: 'silver', choices: ['copper', 'silver', 'gold', 'pellucidium'] }),
+				period: new StringField({ required: true, blank: false, initial: 'day', choices: ['day', 'month'] }),
+				// World time wages have been paid up to (null = not yet hired)
+				paidUntil: new NumberField({ required: false, nullable: true, initial: null })
+			}),
+
 			// Coins
 			coins: new SchemaField({
 				copper: new NumberField({ required: true, integer: true, min: 0, initial: 0 }),
@@ -735,6 +761,32 @@ export class CreatureDataModel extends ActorDataModel {
 	}
 }
 
+/**
+ * Data model for Loot actors.
+ * A pile of loot the party can take from, or a merchant who sells its items for their
+ * cost and buys items back at a percentage of it.
+ */
+export class LootDataModel extends foundry.abstract.TypeDataModel {
+	static defineSchema() {
+		return {
+			// loot: items are free to take; merchant: items are bought and sold
+			mode: new StringField({ required: true, blank: false, initial: 'loot', choices: ['loot', 'merchant'] }),
+
+			// Percentage of an item's cost a merchant pays when buying it back
+			sellRate: new NumberField({ required: true, integer: true, min: 0, max: 100, initial: 50 }),
+
+			coins: new SchemaField({
+				copper: new NumberField({ required: true, integer: true, min: 0, initial: 0 }),
+				silver: new NumberField({ required: true, integer: true, min: 0, initial: 0 }),
+				gold: new NumberField({ required: true, integer: true, min: 0, initial: 0 }),
+				pellucidium: new NumberField({ required: true, integer: true, min: 0, initial: 0 })
+			}),
+
+			description: new HTMLField({ required: true, blank: true, initial: "" })
+		}
+	}
+}
+
 /**
  * Data model for Trait actors.
  * Represents kindred, class, or kindred-class abilities that can be dragged to character sheets.
@@ -850,6 +902,13 @@ export class GearDataModel extends ItemDataModel {
 				required: false,
 				blank: true,
 				initial: ""
+			}),
+			// Torch, lantern or lantern oil, for lighting from the inventory
+			lightSource: new StringField({
+				required: false,
+				blank: true,
+				initial: "",
+				choices: CHOICE_KEYS.lightSources
 			})
 		}
 	}
@@ -872,7 +931,14 @@ export class ContainerDataModel extends GearDataModel {
 				initial: 400
 			}),
 			infiniteCapacity: new BooleanField({ required: true, initial: false }),
-			ignoreEncumbrance: new BooleanField({ required: true, initial: false })
+			ignoreEncumbrance: new BooleanField({ required: true, initial: false }),
+			// Coins stored in the container
+			coins: new SchemaField({
+				copper: new NumberField({ required: true, integer: true, min: 0, initial: 0 }),
+				silver: new NumberField({ required: true, integer: true, min: 0, initial: 0 }),
+				gold: new NumberField({ required: true, integer: true, min: 0, initial: 0 }),
+				pellucidium: new NumberField({ required: true, integer: true, min: 0, initial: 0 })
+			})
 		}
 	}
 }
@@ -1027,6 +1093,7 @@ export class SpellDataModel extends ItemDataModel {
 			}),
 			range: new StringField({ required: true, blank: true, initial: "" }),
 			duration: new StringField({ required: true, blank: true, initial: "" }),
+			...createSpellEffectFields(),
 			description: new HTMLField({ required: true, blank: true, initial: "" })
 		}
 	}
@@ -1056,6 +1123,7 @@ export class GlamourDataModel extends ItemDataModel {
 			range: new StringField({ required: true, blank: true, initial: "" }),
 			duration: new StringField({ required: true, blank: true, initial: "" }),
 			usageFrequency: new StringField({ required: true, blank: true, initial: "" }),
+			...createSpellEffectFields(),
 			description: new HTMLField({ required: true, blank: true, initial: "" })
 		}
 	}
@@ -1071,6 +1139,7 @@ export class RuneDataModel extends ItemDataModel {
 				initial: "lesser",
 				choices: CHOICE_KEYS.runeMagnitudes
 			}),
+			...createSpellEffectFields(),
 			description: new HTMLField({ required: true, blank: true, initial: "" }),
 			quantity: new NumberField({
 				required: true,
@@ -0,0 +1,212 @@
+/* global game, CONFIG, CONST, ChatMessage, fromUuid */
+/**
+ * Death & Dying
+ * Handles adventurers dropping to 0 HP: chat card, optional roll on an injury table,
+ * lasting conditions or ability loss, and marking combatants defeated.
+ */
+
+import { findRollTable } from './utils/roll-tables.js'
+import { applyCondition, removeCondition } from './effects/conditions.js'
+
+/** Ability keys with the abbreviations injury table results may use. */
+const ABILITY_ALIASES = {
+	strength: 'str',
+	intelligence: 'int',
+	wisdom: 'wis',
+	dexterity: 'dex',
+	constitution: 'con',
+	charisma: 'cha'
+}
+
+/**
+ * Register world settings for the death and dying workflow.
+ * Call this from Hooks.once('init', ...) in dolmenwood.mjs.
+ */
+export function registerDeathSettings() {
+	game.settings.register('dolmenwood', 'zeroHPMode', {
+		name: 'DOLMEN.Death.Settings.Mode',
+		hint: 'DOLMEN.Death.Settings.ModeHint',
+		scope: 'world',
+		config: true,
+		type: String,
+		default: 'injury',
+		choices: {
+			off: 'DOLMEN.Death.Settings.ModeOff',
+			injury: 'DOLMEN.Death.Settings.ModeInjury',
+			instant: 'DOLMEN.Death.Settings.ModeInstant'
+		}
+	})
+
+	game.settings.register('dolmenwood', 'injuryTable', {
+		name: 'DOLMEN.Death.Settings.InjuryTable',
+		hint: 'DOLMEN.Death.Settings.InjuryTableHint',
+		scope: 'world',
+		config: true,
+		type: String,
+		default: ''
+	})
+}
+
+/**
+ * Read the lasting consequences of an injury table result from its
+ * flags.dolmenwood.injury data: { death, condition, ability, amount }.
+ * The result text is never read, so "the wound is not fatal" cannot kill anyone;
+ * results without the flag have no automatic consequences.
+ * @param {TableResult} result - The drawn table result
+ * @returns {object} { death, condition, ability, amount }
+ */
+export function readInjuryResult(result) {
+	const data = result?.getFlag?.('dolmenwood', 'injury') ?? {}
+	const condition = data.condition in CONFIG.DOLMENWOOD.conditions ? data.condition : null
+	const key = String(data.ability ?? '').toLowerCase()
+	const ability = Object.keys(ABILITY_ALIASES).find(k => k === key || ABILITY_ALIASES[k] === key) ?? null
+	const amount = Math.max(parseInt(data.amount) || 0, 0)
+	return { death: data.death === true, condition, ability, amount }
+}
+
+/**
+ * Mark an actor as dead: defeated overlay on its tokens and defeated in every combat.
+ * @param {Actor} actor - The actor
+ * @returns {Promise<string[]>} UUIDs of the combatants newly marked defeated
+ */
+async function markDead(actor) {
+	await actor.toggleStatusEffect(CONFIG.specialStatusEffects.DEFEATED, { active: true, overlay: true })
+	return markDefeated(actor)
+}
+
+/**
+ * Mark an actor's combatants as defeated in every combat it takes part in.
+ * @param {Actor} actor - The actor
+ * @returns {Promise<string[]>} UUIDs of the combatants newly marked defeated
+ */
+async function markDefeated(actor) {
+	const defeated = []
+	for (const combat of game.combats) {
+		const ids = await combat.markDefeated?.(actor) ?? []
+		defeated.push(...ids.map(id => combat.combatants.get(id)?.uuid).filter(Boolean))
+	}
+	return defeated
+}
+
+/**
+ * Apply the lasting consequences of an injury result to an actor.
+ * Ability loss is recorded as a permanent Active Effect so it shows on the Effects tab.
+ * @param {Actor} actor - The injured actor
+ * @param {string} source - Name for the injury effect (the table result text)
+ * @param {object} injury - Result of readInjuryResult()
+ * @param {object} outcome - Zero-HP outcome to record the new condition and effects on
+ * @returns {Promise<string[]>} Localized descriptions of what was applied
+ */
+async function applyInjury(actor, source, injury, outcome) {
+	const applied = []
+	if (injury.condition) {
+		if (!actor.statuses.has(injury.condition)) outcome.condition = injury.condition
+		await applyCondition(actor, injury.condition)
+		applied.push(game.i18n.format('DOLMEN.Death.ConditionApplied', {
+			condition: game.i18n.localize(CONFIG.DOLMENWOOD.conditions[injury.condition].label)
+		}))
+	}
+	if (injury.ability && injury.amount > 0) {
+		const [effect] = await actor.createEmbeddedDocuments('ActiveEffect', [{
+			name: game.i18n.localize('DOLMEN.Death.InjuryEffect'),
+			img: 'icons/svg/blood.svg',
+			origin: actor.uuid,
+			description: source,
+			changes: [{
+				key: `system.adjustments.abilities.${injury.ability}.score`,
+				mode: CONST.ACTIVE_EFFECT_MODES.ADD,
+				value: String(-injury.amount)
+			}]
+		}])
+		if (effect) outcome.effectIds.push(effect.id)
+		applied.push(game.i18n.format('DOLMEN.Death.AbilityLost', {
+			amount: injury.amount,
+			ability: game.i18n.localize(`DOLMEN.Abilities.${injury.ability.charAt(0).toUpperCase() + injury.ability.slice(1)}`)
+		}))
+	}
+	return applied
+}
+
+/**
+ * Handle an actor dropping to 0 HP. Must be run by the active GM.
+ * Creatures are simply marked defeated; adventurers follow the world's zero-HP mode.
+ * Returns what was done so undoing the damage can reverse it (see undoZeroHP()).
+ * @param {Actor} actor - The actor that dropped to 0 HP
+ * @returns {Promise<object|null>} Outcome { dead, defeated, condition, effectIds }
+ */
+export async function handleZeroHP(actor) {
+	if (!actor) return null
+	const mode = game.settings.get('dolmenwood', 'zeroHPMode')
+	const outcome = { dead: false, defeated: [], condition: null, effectIds: [] }
+	if (actor.type !== 'Adventurer') {
+		outcome.defeated = await markDefeated(actor)
+		return outcome
+	}
+	if (mode === 'off') return null
+
+	const details = []
+	let dead = mode === 'instant'
+	let title = game.i18n.format(dead ? 'DOLMEN.Death.Died' : 'DOLMEN.Death.Fallen', { name: actor.name })
+
+	const tableName = game.settings.get('dolmenwood', 'injuryTable')
+	const table = !dead && tableName ? await findRollTable(tableName) : null
+	if (table) {
+		const draw = await table.draw({ displayChat: true })
+		const result = draw.results[0]
+		const resultText = result ? result.description || result.name : null
+		if (resultText) {
+			const injury = readInjuryResult(result)
+			details.push(resultText)
+			if (injury.death) {
+				dead = true
+				title = game.i18n.format('DOLMEN.Death.Died', { name: actor.name })
+			} else {
+				details.push(...await applyInjury(actor, resultText, injury, outcome))
+			}
+		}
+	}
+
+	outcome.dead = dead
+	if (dead) {
+		outcome.defeated = await markDead(actor)
+	} else {
+		outcome.defeated = await markDefeated(actor)
+		details.push(game.i18n.localize('DOLMEN.Death.OutOfCombat'))
+	}
+
+	const content = `
+		<div class="dolmen death-card">
+			<div class="death-header">
+				<i class="fa-duotone fa-solid ${dead ? 'fa-skull' : 'fa-face-dizzy'}"></i>
+				<h3>${title}</h3>
+			</div>
+			${details.length ? `<ul class="death-details">${details.map(d => `<li>${d}</li>`).join('')}</ul>` : ''}
+		</div>`
+
+	await ChatMessage.create({
+		speaker: ChatMessage.getSpeaker({ actor }),
+		content,
+		style: CONST.CHAT_MESSAGE_STYLES.OTHER
+	})
+	return outcome
+}
+
+/**
+ * Reverse what handleZeroHP() did to an actor: lift the death overlay, clear the
+ * defeated flag on its combatants, and remove injury conditions and ability loss.
+ * @param {Actor} actor - The actor brought back above 0 HP
+ * @param {object|null} outcome - Result of handleZeroHP()
+ */
+export async function undoZeroHP(actor, outcome) {
+	if (!actor || !outcome) return
+	if (outcome.dead) {
+		await actor.toggleStatusEffect(CONFIG.specialStatusEffects.DEFEATED, { active: false, overlay: true })
+	}
+	for (const uuid of outcome.defeated ?? []) {
+		const combatant = await fromUuid(uuid)
+		if (combatant?.defeated) await combatant.update({ defeated: false })
+	}
+	if (outcome.condition) await removeCondition(actor, outcome.condition)
+	const effectIds = (outcome.effectIds ?? []).filter(id => actor.effects.has(id))
+	if (effectIds.length) await actor.deleteEmbeddedDocuments('ActiveEffect', effectIds)
+}
@@ -1,6 +1,7 @@
 /*global Actor, ui, game, Roll, ChatMessage, CONST, CONFIG */
 import { drawFromTableSilent } from './utils/roll-tables.js'
-import { computeEncumbrance, computeAdjustedValues } from './sheet/data-context.js'
+import { computeEncumbrance, computeAdjustedValues, ENCUMBRANCE_TIERS } from './sheet/data-context.js'
+import { toCopper, makeChange, addCoinBags, coinsToCopper, formatCopper, postCoinTransaction } from './treasure/coins.js'
 
 class DolmenActor extends Actor {
 
@@ -30,6 +31,76 @@ class DolmenActor extends Actor {
 		const adjusted = computeAdjustedValues(this, encumbrance.speed)
 		this.system.final = adjusted
 		this.system.encumbranceResult = encumbrance
+		this.system.encumbranceTier = encumbrance.tier
+		this._encumbranceTier ??= encumbrance.tier
+	}
+
+	/** @override */
+	_onUpdate(changed, options, userId) {
+		super._onUpdate(changed, options, userId)
+		this._checkEncumbranceTier(userId)
+	}
+
+	/** @override */
+	_onCreateDescendantDocuments(parent, collection, documents, data, options, userId) {
+		super._onCreateDescendantDocuments(parent, collection, documents, data, options, userId)
+		if (collection === 'items' || collection === 'effects') this._checkEncumbranceTier(userId)
+	}
+
+	/** @override */
+	_onUpdateDescendantDocuments(parent, collection, documents, changes, options, userId) {
+		super._onUpdateDescendantDocuments(parent, collection, documents, changes, options, userId)
+		if (collection === 'items' || collection === 'effects') this._checkEncumbranceTier(userId)
+	}
+
+	/** @override */
+	_onDeleteDescendantDocuments(parent, collection, documents, ids, options, userId) {
+		super._onDeleteDescendantDocuments(parent, collection, documents, ids, options, userId)
+		if (collection === 'items' || collection === 'effects') this._checkEncumbranceTier(userId)
+	}
+
+	/**
+	 * After any change to the actor, its items or its effects, post a chat warning if the
+	 * adventurer has moved into a different encumbrance tier. Only the user who made the
+	 * change posts it.
+	 * @param {string} userId - The user who made the change
+	 * @private
+	 */
+	_checkEncumbranceTier(userId) {
+		if (this.type !== 'Adventurer' || !game?.settings) return
+		const previous = this._encumbranceTier
+		const encumbrance = computeEncumbrance(this)
+		this._encumbranceTier = encumbrance.tier
+		if (!previous || !encumbrance.tier || previous === encumbrance.tier) return
+		if (userId !== game.user.id) return
+
+		const heavier = ENCUMBRANCE_TIERS.indexOf(encumbrance.tier) > ENCUMBRANCE_TIERS.indexOf(previous)
+		const adjusted = computeAdjustedValues(this, encumbrance.speed)
+		const tierLabel = tier => game.i18n.localize(`DOLMEN.Encumbrance.Tiers.${tier}`)
+		const movement = game.i18n.format('DOLMEN.Encumbrance.TierMovement', {
+			speed: adjusted.speed,
+			exploring: adjusted.movement.exploring,
+			overland: adjusted.movement.overland
+		})
+		ChatMessage.create({
+			content: `
+			<div class="dolmen combat-roll encumbrance-tier">
+				<div class="roll-header">
+					<i class="fa-solid fa-weight-hanging"></i>
+					<div class="roll-info">
+						<h3>${game.i18n.format('DOLMEN.Encumbrance.TierChanged', { name: this.name })}</h3>
+						<span class="roll-type">${game.i18n.localize('DOLMEN.Encumbrance.Title')}</span>
+					</div>
+				</div>
+				<div class="roll-body">
+					<div class="roll-section ${heavier ? 'failure' : 'success'}">
+						<span class="roll-label">${tierLabel(previous)} &rarr; ${tierLabel(encumbrance.tier)}</span>
+						<span class="roll-breakdown">${movement}</span>
+					</div>
+				</div>
+			</div>`,
+			speaker: ChatMessage.getSpeaker({ actor: this })
+		})
 	}
 
 	/** @override */
@@ -272,6 +343,53 @@ class DolmenActor extends Actor {
 		})
 	}
 
+	/**
+	 * Check whether the actor's coins cover an amount, counting every denomination.
+	 * @param {number} amount - Amount to pay
+	 * @param {string} [denomination='gp'] - Coin key ('gold') or abbreviation ('gp')
+	 * @returns {boolean}
+	 */
+	canAfford(amount, denomination = 'gp') {
+		return coinsToCopper(this.system.coins) >= toCopper(amount, denomination)
+	}
+
+	/**
+	 * Pay an amount in any denomination out of the actor's coins, spending smaller coins
+	 * first and breaking a larger coin for change when needed.
+	 * @param {number} amount - Amount to pay
+	 * @param {string} [denomination='gp'] - Coin key ('gold') or abbreviation ('gp')
+	 * @param {object} [options]
+	 * @param {string} [options.reason] - What the payment is for, shown in chat
+	 * @param {boolean} [options.chat=true] - Post the transaction to chat
+	 * @returns {Promise<boolean>} True if paid, false if the actor cannot afford it
+	 */
+	async pay(amount, denomination = 'gp', { reason = '', chat = true } = {}) {
+		const copper = toCopper(amount, denomination)
+		const before = { ...this.system.coins }
+		const after = makeChange(before, copper)
+		if (!after) {
+			ui.notifications.warn(game.i18n.format('DOLMEN.Coins.CannotAfford', { name: this.name, value: formatCopper(copper) }))
+			return false
+		}
+		await this.update({ 'system.coins': after })
+		if (chat) await postCoinTransaction(this, { amount: -copper, before, after, reason })
+		return true
+	}
+
+	/**
+	 * Add coins to the actor's purse.
+	 * @param {object} coins - { copper, silver, gold, pellucidium }
+	 * @param {object} [options]
+	 * @param {string} [options.reason] - Where the coins came from, shown in chat
+	 * @param {boolean} [options.chat=true] - Post the transaction to chat
+	 */
+	async receiveCoins(coins, { reason = '', chat = true } = {}) {
+		const before = { ...this.system.coins }
+		const after = addCoinBags(before, coins)
+		await this.update({ 'system.coins': after })
+		if (chat) await postCoinTransaction(this, { amount: coinsToCopper(coins), before, after, reason })
+	}
+
 	/**
 	 * Check if item size is compatible with actor size.
 	 * @param {Item} item - The item to check
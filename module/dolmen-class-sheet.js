@@ -1,6 +1,7 @@
 /* global foundry, game, FilePicker, fromUuid */
 import { buildChoices, buildWeaponProfOptions, buildArmorProfOptions, buildClassSkillOptions, WEAPON_PROF_GROUPS, getWeaponTypesForGroup } from './utils/choices.js'
 import { extractJSON } from './utils/form-helpers.js'
+import { prepareEffectCategories, setupEffectListeners } from './effects/effects-tab.js'
 
 const { HandlebarsApplicationMixin } = foundry.applications.api
 const { ItemSheetV2 } = foundry.applications.sheets
@@ -49,6 +50,10 @@ class DolmenClassSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 		traits: {
 			template: 'systems/dolmenwood/templates/items/parts/class-traits.html',
 			scrollable: ['']
+		},
+		effects: {
+			template: 'systems/dolmenwood/templates/shared/tab-effects.html',
+			scrollable: ['']
 		}
 	}
 
@@ -56,7 +61,8 @@ class DolmenClassSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 		primary: {
 			tabs: [
 				{ id: 'details', icon: 'fas fa-list', label: 'DOLMEN.Class.TabDetails' },
-				{ id: 'traits', icon: 'fas fa-star', label: 'DOLMEN.Class.TabTraits' }
+				{ id: 'traits', icon: 'fas fa-star', label: 'DOLMEN.Class.TabTraits' },
+				{ id: 'effects', icon: 'fas fa-bolt', label: 'DOLMEN.Tabs.Effects' }
 			],
 			initial: 'details'
 		}
@@ -142,12 +148,15 @@ class DolmenClassSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 		context.saveProgressionsJSON = formatCompactJSON(this.item.system.saveProgressions)
 		context.skillProgressionsJSON = formatCompactJSON(this.item.system.skillProgressions)
 
+		context.effectCategories = prepareEffectCategories(this.item)
+		context.effectsHint = 'DOLMEN.Effects.HintTraits'
+
 		return context
 	}
 
 	async _preparePartContext(partId, context) {
 		context = await super._preparePartContext(partId, context)
-		if (['details', 'traits'].includes(partId)) {
+		if (['details', 'traits', 'effects'].includes(partId)) {
 			context.tab = context.tabs?.primary?.[partId] || {
 				id: partId,
 				cssClass: this.tabGroups.primary === partId ? 'active' : ''
@@ -189,6 +198,8 @@ class DolmenClassSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 			})
 		})
 
+		setupEffectListeners(this, this.item)
+
 		// Portrait picker
 		const portrait = this.element.querySelector('.portrait-image')
 		if (portrait) {
@@ -4,8 +4,12 @@ const { DialogV2 } = foundry.applications.api
 import { buildChoices, CHOICE_KEYS } from './utils/choices.js'
 import { onSaveRoll } from './sheet/roll-handlers.js'
 import { createContextMenu } from './sheet/context-menu.js'
-import { getDieIconFromFormula } from './sheet/attack-rolls.js'
+import { getDieIconFromFormula, resolveAttackTargets, buildNaturalRollHtml, buildTargetResultsHtml, buildAttackFlags } from './sheet/attack-rolls.js'
 import { parseSaveLinks } from './chat-save.js'
+import { prepareEffectCategories, setupEffectListeners, stripEffectOverrides } from './effects/effects-tab.js'
+import { prepareConditionBadges, setupConditionListeners } from './effects/conditions.js'
+import { rollCreatureHoard } from './treasure/hoard.js'
+import { prepareDeclarationBadge, canDeclaredAttack } from './combat/declarations.js'
 
 const { HandlebarsApplicationMixin } = foundry.applications.api
 const { ActorSheetV2 } = foundry.applications.sheets
@@ -28,7 +32,8 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			addAttack: DolmenCreatureSheet._onAddAttack,
 			removeAttack: DolmenCreatureSheet._onRemoveAttack,
 			addAbility: DolmenCreatureSheet._onAddAbility,
-			removeAbility: DolmenCreatureSheet._onRemoveAbility
+			removeAbility: DolmenCreatureSheet._onRemoveAbility,
+			rollHoard: DolmenCreatureSheet._onRollHoard
 		}
 	}
 
@@ -47,6 +52,10 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		notes: {
 			template: 'systems/dolmenwood/templates/creature/parts/tab-notes.html',
 			scrollable: ['']
+		},
+		effects: {
+			template: 'systems/dolmenwood/templates/shared/tab-effects.html',
+			scrollable: ['']
 		}
 	}
 
@@ -55,7 +64,8 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			tabs: [
 				{ id: 'stats', icon: 'fas fa-dragon', label: 'DOLMEN.Tabs.Stats' },
 				{ id: 'notes', icon: 'fas fa-eye', label: 'DOLMEN.Tabs.Details' },
-				{ id: 'description', icon: 'fas fa-book-open', label: 'DOLMEN.Tabs.Description' }
+				{ id: 'description', icon: 'fas fa-book-open', label: 'DOLMEN.Tabs.Description' },
+				{ id: 'effects', icon: 'fas fa-bolt', label: 'DOLMEN.Tabs.Effects' }
 			],
 			initial: 'stats'
 		}
@@ -91,6 +101,8 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		context.actor = actor
 		context.system = actor.system
 		context.tabs = this._getTabs()
+		context.isGM = game.user.isGM
+		context.declaration = prepareDeclarationBadge(actor)
 
 		// Dropdown choices
 		context.sizeChoices = buildChoices('DOLMEN.Sizes', CHOICE_KEYS.sizes)
@@ -132,12 +144,16 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			}))
 		)
 
+		context.effectCategories = prepareEffectCategories(actor)
+		context.conditions = prepareConditionBadges(actor)
+		context.effectsHint = 'DOLMEN.Effects.HintCreature'
+
 		return context
 	}
 
 	async _preparePartContext(partId, context) {
 		context = await super._preparePartContext(partId, context)
-		const tabIds = ['stats', 'description', 'notes']
+		const tabIds = ['stats', 'description', 'notes', 'effects']
 		if (tabIds.includes(partId)) {
 			context.tab = context.tabs?.primary?.[partId] || {
 				id: partId,
@@ -157,6 +173,11 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		this.render()
 	}
 
+	_processFormData(event, form, formData) {
+		const data = super._processFormData(event, form, formData)
+		return stripEffectOverrides(this.actor, data)
+	}
+
 	/* -------------------------------------------- */
 	/*  Event Listeners                             */
 	/* -------------------------------------------- */
@@ -173,6 +194,9 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			})
 		})
 
+		setupEffectListeners(this, this.actor)
+		setupConditionListeners(this)
+
 		// Portrait picker
 		const portrait = this.element.querySelector('.portrait-image')
 		if (portrait) {
@@ -305,6 +329,10 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		this.actor.update({ 'system.specialAbilities': abilities })
 	}
 
+	static _onRollHoard() {
+		rollCreatureHoard(this.actor)
+	}
+
 	/* -------------------------------------------- */
 	/*  Attack Edit Dialog                          */
 	/* -------------------------------------------- */
@@ -519,6 +547,7 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 	_openAttackSelectionMenu(event) {
 		const attacks = this.actor.system.attacks
 		if (!attacks.length) return
+		if (!canDeclaredAttack(this.actor)) return
 
 		// Single attack: skip menu, roll directly
 		if (attacks.length === 1) {
@@ -680,6 +709,7 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 
 		const atkAnchor = await atkRoll.toAnchor({ classes: ['attack-inline-roll'] })
 		const dmgAnchor = await dmgRoll.toAnchor({ classes: ['damage-inline-roll'] })
+		const resolution = resolveAttackTargets(atkRoll)
 
 		const diceIcon = getDieIconFromFormula(attack.attackDamage)
 
@@ -693,7 +723,7 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 				<div class="roll-results">
 					<div class="roll-section attack-section">
 						<label>${game.i18n.localize('DOLMEN.Attack.AttackRoll')}</label>
-						<div class="roll-result">${atkAnchor.outerHTML}</div>
+						<div class="roll-result">${atkAnchor.outerHTML}${buildNaturalRollHtml(resolution)}</div>
 						<span class="roll-breakdown">${atkFormula}</span>
 					</div>
 					<div class="roll-section damage-section">
@@ -702,6 +732,7 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 						<span class="roll-breakdown">${attack.attackDamage}</span>
 					</div>
 					${effectSection}
+					${buildTargetResultsHtml(resolution, { canApplyDamage: true })}
 				</div>
 			</div>
 		`
@@ -710,7 +741,8 @@ class DolmenCreatureSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			speaker: ChatMessage.getSpeaker({ actor: this.actor }),
 			content,
 			sound: CONFIG.sounds.dice,
-			style: CONST.CHAT_MESSAGE_STYLES.OTHER
+			style: CONST.CHAT_MESSAGE_STYLES.OTHER,
+			flags: buildAttackFlags(resolution)
 		})
 	}
 
@@ -1,5 +1,7 @@
 /* global foundry, game, FilePicker, fromUuid */
 import { buildChoices, buildChoicesWithBlank, buildQualityOptions, CHOICE_KEYS } from './utils/choices.js'
+import { prepareEffectCategories, setupEffectListeners } from './effects/effects-tab.js'
+import { DURATION_UNITS } from './effects/active-effect.js'
 
 const { HandlebarsApplicationMixin } = foundry.applications.api
 const { ItemSheetV2 } = foundry.applications.sheets
@@ -27,10 +29,10 @@ class DolmenItemSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 			Armor: 400,
 			Treasure: 425,
 			Foraged: 445,
-			Spell: 325,
-			HolySpell: 325,
-			Glamour: 325,
-			Rune: 325,
+			Spell: 445,
+			HolySpell: 445,
+			Glamour: 445,
+			Rune: 445,
 			Item: 325,
 			Container: 365
 		}
@@ -55,6 +57,10 @@ class DolmenItemSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 		description: {
 			template: 'systems/dolmenwood/templates/items/parts/item-description.html',
 			scrollable: ['']
+		},
+		effects: {
+			template: 'systems/dolmenwood/templates/shared/tab-effects.html',
+			scrollable: ['']
 		}
 	}
 
@@ -62,7 +68,8 @@ class DolmenItemSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 		primary: {
 			tabs: [
 				{ id: 'body', icon: 'fas fa-list', label: 'DOLMEN.Item.TabStats' },
-				{ id: 'description', icon: 'fas fa-scroll', label: 'DOLMEN.Item.TabDescription' }
+				{ id: 'description', icon: 'fas fa-scroll', label: 'DOLMEN.Item.TabDescription' },
+				{ id: 'effects', icon: 'fas fa-bolt', label: 'DOLMEN.Tabs.Effects' }
 			],
 			initial: 'body'
 		}
@@ -144,6 +151,24 @@ class DolmenItemSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 		// Rune choices
 		context.runeMagnitudeChoices = buildChoices('DOLMEN.Magic.Fairy.Magnitudes', CHOICE_KEYS.runeMagnitudes)
 
+		// Spell cast card choices (blank = no save / no timed duration)
+		context.spellSaveChoices = {
+			'': game.i18n.localize('DOLMEN.None'),
+			...Object.fromEntries(['doom', 'ray', 'hold', 'blast', 'spell'].map(key =>
+				[key, game.i18n.localize(`DOLMEN.Saves.${key.charAt(0).toUpperCase() + key.slice(1)}`)]
+			))
+		}
+		context.spellDurationUnitChoices = {
+			'': game.i18n.localize('DOLMEN.None'),
+			...buildChoices('DOLMEN.Effects.Units', DURATION_UNITS)
+		}
+
+		// Light source choices (blank = not a light source)
+		context.lightSourceChoices = {
+			'': game.i18n.localize('DOLMEN.None'),
+			...buildChoices('DOLMEN.Item.LightSource', CHOICE_KEYS.lightSources)
+		}
+
 		// Cost denomination choices
 		context.costDenominationChoices = buildChoices('DOLMEN.Item.Denomination', CHOICE_KEYS.costDenominations)
 
@@ -157,12 +182,15 @@ class DolmenItemSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 			}))
 		}
 
+		context.effectCategories = prepareEffectCategories(this.item)
+		context.effectsHint = context.isGear ? 'DOLMEN.Effects.HintGear' : 'DOLMEN.Effects.HintSpell'
+
 		return context
 	}
 
 	async _preparePartContext(partId, context) {
 		context = await super._preparePartContext(partId, context)
-		if (['body', 'description'].includes(partId)) {
+		if (['body', 'description', 'effects'].includes(partId)) {
 			context.tab = context.tabs?.primary?.[partId] || {
 				id: partId,
 				cssClass: this.tabGroups.primary === partId ? 'active' : ''
@@ -188,6 +216,8 @@ class DolmenItemSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 			})
 		})
 
+		setupEffectListeners(this, this.item)
+
 		// Portrait picker
 		const portrait = this.element.querySelector('.portrait-image')
 		if (portrait) {
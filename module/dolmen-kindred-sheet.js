@@ -1,6 +1,7 @@
 /* global foundry, game, FilePicker, fromUuid */
 import { buildChoices, CHOICE_KEYS } from './utils/choices.js'
 import { rewriteCSV, extractJSON } from './utils/form-helpers.js'
+import { prepareEffectCategories, setupEffectListeners } from './effects/effects-tab.js'
 
 const { HandlebarsApplicationMixin } = foundry.applications.api
 const { ItemSheetV2 } = foundry.applications.sheets
@@ -32,6 +33,10 @@ class DolmenKindredSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 		traits: {
 			template: 'systems/dolmenwood/templates/items/parts/kindred-traits.html',
 			scrollable: ['']
+		},
+		effects: {
+			template: 'systems/dolmenwood/templates/shared/tab-effects.html',
+			scrollable: ['']
 		}
 	}
 
@@ -39,7 +44,8 @@ class DolmenKindredSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 		primary: {
 			tabs: [
 				{ id: 'details', icon: 'fas fa-list', label: 'DOLMEN.Kindred.TabDetails' },
-				{ id: 'traits', icon: 'fas fa-star', label: 'DOLMEN.Kindred.TabTraits' }
+				{ id: 'traits', icon: 'fas fa-star', label: 'DOLMEN.Kindred.TabTraits' },
+				{ id: 'effects', icon: 'fas fa-bolt', label: 'DOLMEN.Tabs.Effects' }
 			],
 			initial: 'details'
 		}
@@ -92,12 +98,15 @@ class DolmenKindredSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 		context.traitsJSON = JSON.stringify(this.item.system.traits, null, 2)
 		context.nameRollGroupsJSON = JSON.stringify(this.item.system.nameRollGroups, null, 2)
 
+		context.effectCategories = prepareEffectCategories(this.item)
+		context.effectsHint = 'DOLMEN.Effects.HintTraits'
+
 		return context
 	}
 
 	async _preparePartContext(partId, context) {
 		context = await super._preparePartContext(partId, context)
-		if (['details', 'traits'].includes(partId)) {
+		if (['details', 'traits', 'effects'].includes(partId)) {
 			context.tab = context.tabs?.primary?.[partId] || {
 				id: partId,
 				cssClass: this.tabGroups.primary === partId ? 'active' : ''
@@ -132,6 +141,8 @@ class DolmenKindredSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 			})
 		})
 
+		setupEffectListeners(this, this.item)
+
 		// Portrait picker
 		const portrait = this.element.querySelector('.portrait-image')
 		if (portrait) {
@@ -0,0 +1,194 @@
+/* global foundry, game, ui, canvas, Item */
+import { requestTransaction, formatPrice, sellPrice } from './treasure/loot.js'
+import { itemPriceInCopper } from './treasure/coins.js'
+
+const { HandlebarsApplicationMixin, DialogV2 } = foundry.applications.api
+const { ActorSheetV2 } = foundry.applications.sheets
+const TextEditor = foundry.applications.ux.TextEditor.implementation
+
+class DolmenLootSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
+	static DEFAULT_OPTIONS = {
+		classes: ['dolmen', 'sheet', 'loot'],
+		tag: 'form',
+		form: {
+			submitOnChange: true
+		},
+		position: {
+			width: 520,
+			height: 560
+		},
+		window: {
+			resizable: true
+		},
+		actions: {
+			openItem: DolmenLootSheet._onOpenItem,
+			takeItem: DolmenLootSheet._onTakeItem,
+			deleteItem: DolmenLootSheet._onDeleteItem
+		}
+	}
+
+	static PARTS = {
+		body: {
+			template: 'systems/dolmenwood/templates/loot/loot-sheet.html',
+			scrollable: ['']
+		}
+	}
+
+	async _prepareContext(options) {
+		const context = await super._prepareContext(options)
+		const actor = this.actor
+
+		context.actor = actor
+		context.system = actor.system
+		context.isGM = game.user.isGM
+		context.isMerchant = actor.system.mode === 'merchant'
+		context.modeChoices = {
+			loot: game.i18n.localize('DOLMEN.Loot.Modes.loot'),
+			merchant: game.i18n.localize('DOLMEN.Loot.Modes.merchant')
+		}
+		context.items = actor.items.contents
+			.sort((a, b) => a.sort - b.sort)
+			.map(item => ({
+				id: item.id,
+				name: item.name,
+				img: item.img,
+				quantity: item.system.quantity ?? 1,
+				price: item.system.cost ? formatPrice(itemPriceInCopper(item)) : '-'
+			}))
+		context.enrichedDescription = await TextEditor.enrichHTML(
+			actor.system.description || '', { async: true, secrets: game.user.isGM }
+		)
+		return context
+	}
+
+	/**
+	 * Anyone who can see the sheet may drop items on it to give or sell them.
+	 * @override
+	 */
+	_canDragDrop() {
+		return true
+	}
+
+	async _onDrop(event) {
+		const data = TextEditor.getDragEventData(event)
+		if (data.type !== 'Item') return
+		const item = await Item.fromDropData(data)
+		if (!item) return
+
+		// Items from an adventurer are given to the pile or sold to the merchant
+		const seller = item.parent
+		if (seller && seller !== this.actor) {
+			if (!seller.isOwner || seller.type !== 'Adventurer') return
+			const type = this.actor.system.mode === 'merchant' ? 'sell' : 'give'
+			const quantity = await this._chooseQuantity(item, type)
+			if (!quantity) return
+			await requestTransaction({
+				type,
+				lootUuid: this.actor.uuid,
+				itemUuid: item.uuid,
+				actorUuid: seller.uuid,
+				quantity
+			})
+			return
+		}
+
+		// Items from the sidebar or a compendium stock the pile (GM only)
+		if (!seller && this.actor.isOwner) {
+			const itemData = item.toObject()
+			delete itemData._id
+			await this.actor.createEmbeddedDocuments('Item', [itemData])
+		}
+	}
+
+	/**
+	 * The adventurer taking or buying items: the selected token's, else the user's character.
+	 * @returns {Actor|null}
+	 */
+	_getActingActor() {
+		const token = canvas.tokens?.controlled.find(t => t.actor?.type === 'Adventurer' && t.actor.isOwner)
+		const actor = token?.actor ?? game.user.character
+		if (!actor) ui.notifications.warn(game.i18n.localize('DOLMEN.Loot.NoCharacter'))
+		return actor ?? null
+	}
+
+	/**
+	 * Ask how many of a stacked item to take, give, buy or sell.
+	 * @param {Item} item - The item
+	 * @param {string} type - 'take', 'give', 'buy' or 'sell'
+	 * @returns {Promise<number|null>} The quantity, or null if cancelled
+	 */
+	async _chooseQuantity(item, type) {
+		const max = item.system.quantity ?? 1
+		const merchant = this.actor.system.mode === 'merchant'
+		const each = !merchant ? ''
+			: type === 'sell'
+				? formatPrice(sellPrice(this.actor, item, 1))
+				: formatPrice(itemPriceInCopper(item))
+		if (max <= 1) {
+			if (!merchant) return 1
+			const confirmed = await DialogV2.confirm({
+				window: { title: item.name },
+				content: `<p>${game.i18n.format(`DOLMEN.Loot.Confirm.${type}`, { item: item.name, price: each })}</p>`,
+				rejectClose: false
+			})
+			return confirmed ? 1 : null
+		}
+
+		const priceNote = merchant ? `<p class="hint">${game.i18n.format('DOLMEN.Loot.PriceEach', { price: each })}</p>` : ''
+		return DialogV2.prompt({
+			window: { title: item.name },
+			content: `
+				<div class="form-group">
+					<label>${game.i18n.localize('DOLMEN.Item.Quantity')}</label>
+					<input type="number" name="quantity" value="1" min="1" max="${max}">
+				</div>
+				${priceNote}`,
+			ok: {
+				label: game.i18n.localize(`DOLMEN.Loot.Actions.${type}`),
+				callback: (event, button) => Math.clamp(parseInt(button.form.elements.quantity.value) || 0, 0, max) || null
+			},
+			rejectClose: false
+		})
+	}
+
+	/* -------------------------------------------- */
+	/*  Static Action Handlers                      */
+	/* -------------------------------------------- */
+
+	static _onOpenItem(_event, target) {
+		const itemId = target.closest('[data-item-id]')?.dataset.itemId
+		this.actor.items.get(itemId)?.sheet.render(true)
+	}
+
+	static async _onTakeItem(event, target) {
+		event.stopPropagation()
+		const item = this.actor.items.get(target.closest('[data-item-id]')?.dataset.itemId)
+		const actor = this._getActingActor()
+		if (!item || !actor) return
+		const type = this.actor.system.mode === 'merchant' ? 'buy' : 'take'
+		const quantity = await this._chooseQuantity(item, type)
+		if (!quantity) return
+		await requestTransaction({
+			type,
+			lootUuid: this.actor.uuid,
+			itemUuid: item.uuid,
+			actorUuid: actor.uuid,
+			quantity
+		})
+	}
+
+	static async _onDeleteItem(event, target) {
+		event.stopPropagation()
+		const item = this.actor.items.get(target.closest('[data-item-id]')?.dataset.itemId)
+		if (!item) return
+		const confirmed = await DialogV2.confirm({
+			window: { title: game.i18n.localize('DOLMEN.Inventory.DeleteConfirmTitle') },
+			content: game.i18n.format('DOLMEN.Inventory.DeleteConfirmContent', { name: item.name }),
+			rejectClose: false,
+			modal: true
+		})
+		if (confirmed) await item.delete()
+	}
+}
+
+export default DolmenLootSheet
@@ -1,13 +1,19 @@
-/* global foundry, game, Dialog, CONFIG, ui, Item, ChatMessage, CONST */
+/* global foundry, game, Dialog, CONFIG, ui, Item */
 import { buildChoices, buildChoicesWithBlank, formatWeaponProficiency, formatArmorProficiency, CHOICE_KEYS } from './utils/choices.js'
-import { parseSaveLinks } from './chat-save.js'
+import { postSpellCard } from './chat-spell.js'
+import { getEmployer, getWageChoices, computeWagesOwed, formatWage, payWages, rollLoyaltyCheck, hireRetainer, dismissRetainer } from './retainers.js'
+import { formatCoins } from './party-viewer/party-viewer.js'
+import { addCoinBags } from './treasure/coins.js'
+import { getLightType, findItemLight, requestLightAction } from './dungeon-tracker/light-items.js'
+import { prepareDeclarationBadge } from './combat/declarations.js'
 
 // Sheet module imports
 import {
 	computeXPModifier, computeMoonSign,
 	prepareSpellSlots, prepareKnackAbilities, prepareSpellData,
-	groupSpellsByRank, prepareMemorizedSlots, groupRunesByMagnitude,
-	groupItemsByType, prepareItemData, getRuneUsage, computeSkillPoints
+	groupSpellsByRank, prepareMemorizedSlots, spendMemorizedSlot, groupRunesByMagnitude,
+	groupItemsByType, prepareItemData, getRuneUsage, computeSkillPoints,
+	computeContainerLoad, computeItemLoad, isNestedIn
 } from './sheet/data-context.js'
 import {
 	isKindredClass, getAlignmentRestrictions, buildCustomSections,
@@ -24,7 +30,9 @@ import {
 	setupRuneUsageListeners, setupKnackUsageListeners,
 	setupChargesListeners
 } from './sheet/listeners.js'
-import { openAddSkillDialog, removeSkill } from './sheet/dialogs.js'
+import { openAddSkillDialog, removeSkill, openContainerCoinsDialog } from './sheet/dialogs.js'
+import { prepareEffectCategories, setupEffectListeners, stripEffectOverrides } from './effects/effects-tab.js'
+import { prepareConditionBadges, setupConditionListeners } from './effects/conditions.js'
 
 const TextEditor = foundry.applications.ux.TextEditor.implementation
 const { HandlebarsApplicationMixin } = foundry.applications.api
@@ -83,7 +91,14 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			castSpell: DolmenSheet._onCastSpell,
 			setExhaustion: DolmenSheet._onSetExhaustion,
 			toggleContainer: DolmenSheet._onToggleContainer,
-			removeFromContainer: DolmenSheet._onRemoveFromContainer
+			removeFromContainer: DolmenSheet._onRemoveFromContainer,
+			storeCoins: DolmenSheet._onStoreCoins,
+			lightItem: DolmenSheet._onLightItem,
+			dropLight: DolmenSheet._onDropLight,
+			hireRetainer: DolmenSheet._onHireRetainer,
+			dismissRetainer: DolmenSheet._onDismissRetainer,
+			payWages: DolmenSheet._onPayWages,
+			rollLoyalty: DolmenSheet._onRollLoyalty
 		}
 	}
 
@@ -115,6 +130,10 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			template: 'systems/dolmenwood/templates/adventurer/parts/tab-notes.html',
 			scrollable: ['']
 		},
+		effects: {
+			template: 'systems/dolmenwood/templates/shared/tab-effects.html',
+			scrollable: ['']
+		},
 		adjustments: {
 			template: 'systems/dolmenwood/templates/adventurer/parts/tab-adjustments.html',
 			scrollable: ['']
@@ -134,6 +153,7 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 				{ id: 'traits', icon: 'fas fa-person-rays', label: 'DOLMEN.Tabs.Traits' },
 				{ id: 'details', icon: 'fas fa-eye', label: 'DOLMEN.Tabs.Details' },
 				{ id: 'notes', icon: 'fas fa-note-sticky', label: 'DOLMEN.Tabs.Notes' },
+				{ id: 'effects', icon: 'fas fa-bolt', label: 'DOLMEN.Tabs.Effects' },
 				{ id: 'adjustments', icon: 'fas fa-sliders', label: 'DOLMEN.Tabs.Adjustments' },
 				{ id: 'settings', icon: 'fas fa-cog', label: '' }
 			],
@@ -176,6 +196,9 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		// Prepare tabs for the tabs part
 		context.tabs = this._getTabs()
 
+		// Declaration made for the current combat round
+		context.declaration = prepareDeclarationBadge(actor)
+
 		// Kindred and Class items
 		const kindredItem = actor.getKindredItem()
 		const classItem = actor.getClassItem()
@@ -377,39 +400,57 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		const excludedTypes = ['Spell', 'HolySpell', 'Glamour', 'Rune', 'Kindred', 'Class']
 		const items = actor.items.contents.filter(i => !excludedTypes.includes(i.type))
 		const equippedItems = items.filter(i => i.system.equipped && i.type !== 'Container').map(i => prepareItemData(i))
+		// Carried torches and lanterns can be lit from the sheet
+		for (const data of equippedItems) {
+			const item = actor.items.get(data.id)
+			data.lightType = getLightType(item)
+			data.isLit = !!(data.lightType && findItemLight(item))
+		}
 		const allStowedItems = items.filter(i => !i.system.equipped && i.type !== 'Container').map(i => prepareItemData(i))
 
-		// Separate containers and build container data for stowed section
+		// Separate containers and build container data for stowed section.
+		// Containers are listed depth-first so nested containers follow their parent.
 		const containerItems = items.filter(i => i.type === 'Container')
 		const encumbranceMethod = game.settings.get('dolmenwood', 'encumbranceMethod')
-		context.containers = containerItems.map(c => {
+		const isSlots = encumbranceMethod === 'slots'
+		const containerIds = new Set(containerItems.map(c => c.id))
+		const orderedContainers = []
+		const addContainers = (parentId, depth) => {
+			for (const c of containerItems) {
+				if (orderedContainers.some(o => o.container === c)) continue
+				const cParent = containerIds.has(c.system.containerId) ? c.system.containerId : ''
+				if (cParent !== parentId) continue
+				orderedContainers.push({ container: c, depth })
+				addContainers(c.id, depth + 1)
+			}
+		}
+		addContainers('', 0)
+		// Containers caught in a loop of nesting are listed at the top level
+		for (const c of containerItems) {
+			if (!orderedContainers.some(o => o.container === c)) orderedContainers.push({ container: c, depth: 0 })
+		}
+		context.containers = orderedContainers.map(({ container: c, depth }) => {
 			const prepared = prepareItemData(c)
 			const contents = allStowedItems.filter(i => i.system.containerId === c.id)
-			const slotsUsed = contents.reduce((sum, i) => {
-				const w = i.system.weightSlots || 0
-				if (!w) return sum
-				const qty = i.system.quantity || 1
-				const stack = i.system.stackSize || 1
-				return sum + (stack > 1 ? w * Math.ceil(qty / stack) : w * qty)
-			}, 0)
-			const coinsUsed = contents.reduce((sum, i) => sum + (i.system.weightCoins || 0) * (i.system.quantity || 1), 0)
+			const load = computeContainerLoad(c, items, isSlots)
+			const coins = c.system.coins
+			const hasCoins = Object.values(coins).some(v => v > 0)
 			return {
 				...prepared,
 				contents: groupItemsByType(contents),
-				hasContents: contents.length > 0,
-				slotsUsed,
-				slotsMax: c.system.capacitySlots,
-				coinsUsed,
-				coinsMax: c.system.capacityCoins,
+				hasContents: contents.length > 0 || hasCoins,
+				depth,
+				load,
+				hasCoins,
+				coinsLabel: hasCoins ? formatCoins(coins) : '',
 				infiniteCapacity: c.system.infiniteCapacity,
 				ignoreEncumbrance: c.system.ignoreEncumbrance,
-				isSlots: encumbranceMethod === 'slots'
+				isSlots
 			}
 		})
 		context.hasContainers = context.containers.length > 0
 
 		// Loose stowed items (not in any container)
-		const containerIds = new Set(containerItems.map(c => c.id))
 		const looseStowedItems = allStowedItems.filter(i => !i.system.containerId || !containerIds.has(i.system.containerId))
 
 		// Group items by type
@@ -498,8 +539,18 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 
 		// Read precomputed final values from prepareDerivedData
 		context.encumbrance = actor.system.encumbranceResult || { current: 0, max: 0, speed: null }
+		context.encumbranceTier = context.encumbrance.tier || null
+		context.encumbranceTierLabel = context.encumbranceTier
+			? game.i18n.localize(`DOLMEN.Encumbrance.Tiers.${context.encumbranceTier}`)
+			: ''
 		context.adjusted = actor.system.final || {}
 
+		// Adjustments tab edits source values; active effect bonuses are listed on the Effects tab
+		context.sourceAdjustments = actor._source.system.adjustments
+		context.effectCategories = prepareEffectCategories(actor)
+		context.conditions = prepareConditionBadges(actor)
+		context.effectsHint = 'DOLMEN.Effects.HintActor'
+
 		// Compute XP modifier from prime abilities + custom adjustment
 		const baseXPMod = computeXPModifier(actor, context.adjusted.abilities)
 		const xpModAdj = actor.system.adjustments.xpModifier || 0
@@ -509,6 +560,19 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			: `${context.xpModifier}%`
 		context.xpModifierLabel+= ` ${game.i18n.localize('DOLMEN.Modifier')}`
 
+		// Retainer employment: employer, wage choices and wages owed
+		if (actor.system.retainer) {
+			const owed = computeWagesOwed(actor)
+			const { denominations, periods } = getWageChoices()
+			context.retainer = {
+				employer: getEmployer(actor)?.name ?? null,
+				denominationChoices: denominations,
+				periodChoices: periods,
+				owed: owed.periods > 0 ? formatWage(actor.system.wage, owed.periods) : '—',
+				hasOwed: owed.periods > 0
+			}
+		}
+
 		// Check if ready to level up
 		context.canLevelUp = actor.system.xp.nextLevel > 0 && actor.system.xp.value >= actor.system.xp.nextLevel
 
@@ -543,7 +607,7 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		context = await super._preparePartContext(partId, context)
 
 		// For tab content parts, add the tab object
-		const tabIds = ['stats', 'inventory', 'magic', 'traits', 'details', 'notes', 'adjustments', 'settings']
+		const tabIds = ['stats', 'inventory', 'magic', 'traits', 'details', 'notes', 'effects', 'adjustments', 'settings']
 		if (tabIds.includes(partId)) {
 			context.tab = context.tabs?.primary?.[partId] || {
 				id: partId,
@@ -567,6 +631,11 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		this.render()
 	}
 
+	_processFormData(event, form, formData) {
+		const data = super._processFormData(event, form, formData)
+		return stripEffectOverrides(this.actor, data)
+	}
+
 	async render(options = {}) {
 		// Prevent renders during kindred/class update
 		if (this._updatingKindredClass && !options.force) {
@@ -611,6 +680,8 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		setupKnackUsageListeners(this)
 		setupChargesListeners(this)
 		setupAdjustableInputListeners(this)
+		setupEffectListeners(this, this.actor)
+		setupConditionListeners(this)
 
 		// Setup kindred and class select listeners
 		// These are handled separately to prevent form submission interference
@@ -724,11 +795,16 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 					modal: true
 				})
 				if (confirmed) {
-					// Clean up contained items when deleting a container
+					// Unpack a deleted container into its own container (or loose), and
+					// return its stored coins to the purse
 					if (item.type === 'Container') {
 						const contained = this.actor.items.filter(i => i.system.containerId === itemId)
 						for (const ci of contained) {
-							await ci.update({ 'system.containerId': '' })
+							await ci.update({ 'system.containerId': item.system.containerId || '' })
+						}
+						const stored = item.system.coins
+						if (Object.values(stored).some(v => v > 0)) {
+							await this.actor.update({ 'system.coins': addCoinBags(this.actor.system.coins, stored) })
 						}
 					}
 					// Clean up memorized spell slots before deleting
@@ -796,6 +872,24 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		}
 	}
 
+	static _onStoreCoins(event, target) {
+		event.stopPropagation()
+		const container = this.actor.items.get(target.dataset.itemId)
+		if (container) openContainerCoinsDialog(this, container)
+	}
+
+	static async _onLightItem(event, target) {
+		event.stopPropagation()
+		const item = this.actor.items.get(target.dataset.itemId)
+		if (item) await requestLightAction(item, findItemLight(item) ? 'extinguish' : 'light')
+	}
+
+	static async _onDropLight(event, target) {
+		event.stopPropagation()
+		const item = this.actor.items.get(target.dataset.itemId)
+		if (item) await requestLightAction(item, 'drop')
+	}
+
 	static async _onMemorizeSpell(_event, target) {
 		const itemId = target.dataset.itemId
 		const spellType = target.dataset.spellType || 'arcane'
@@ -924,13 +1018,7 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		// For arcane/holy memorized spells: remove from slot and increment used
 		if (spellType && !isNaN(slotIndex) && rankKey) {
 			const magicPath = spellType === 'holy' ? 'holyMagic' : 'arcaneMagic'
-			const slotData = this.actor.system[magicPath].spellSlots[rankKey]
-			const memorized = [...(slotData.memorized || [])]
-			memorized[slotIndex] = null
-			await this.actor.update({
-				[`system.${magicPath}.spellSlots.${rankKey}.memorized`]: memorized,
-				[`system.${magicPath}.spellSlots.${rankKey}.used`]: slotData.used + 1
-			})
+			await spendMemorizedSlot(this.actor, magicPath, rankKey, slotIndex)
 		}
 
 		// For runes: increment usage and delete "once ever" runes
@@ -943,62 +1031,15 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			runeData.max = usage.max
 			runeUsage[itemId] = runeData
 			await this.actor.update({ 'system.runeUsage': runeUsage })
+			await postSpellCard(this.actor, item)
 
 			if (usage.deleteOnUse && runeData.used >= usage.max) {
 				await item.delete()
 			}
+			return
 		}
 
-		// Build chat message
-		const sys = item.system
-		const typeLabels = {
-			Spell: 'DOLMEN.Magic.Arcane.Title',
-			HolySpell: 'DOLMEN.Magic.Holy.Title',
-			Glamour: 'DOLMEN.Magic.Fairy.Glamours',
-			Rune: 'DOLMEN.Magic.Fairy.Runes'
-		}
-		const typeLabel = game.i18n.localize(typeLabels[item.type] || typeLabels.Spell)
-
-		let fields = ''
-		if (sys.rank !== undefined) {
-			fields += `<div class="spell-field"><strong>${game.i18n.localize('DOLMEN.Magic.SpellRank')}:</strong> ${sys.rank}</div>`
-		}
-		if (sys.prayerName) {
-			fields += `<div class="spell-field"><strong>${game.i18n.localize('DOLMEN.Magic.Prayer')}:</strong> ${sys.prayerName}</div>`
-		}
-		if (sys.magnitude) {
-			fields += `<div class="spell-field"><strong>${game.i18n.localize('DOLMEN.Magic.Fairy.Magnitude')}:</strong> ${game.i18n.localize(`DOLMEN.Magic.Fairy.Magnitudes.${sys.magnitude}`)}</div>`
-		}
-		if (sys.range) {
-			fields += `<div class="spell-field"><strong>${game.i18n.localize('DOLMEN.Magic.Range')}:</strong> ${sys.range}</div>`
-		}
-		if (sys.duration) {
-			fields += `<div class="spell-field"><strong>${game.i18n.localize('DOLMEN.Magic.Duration')}:</strong> ${sys.duration}</div>`
-		}
-		if (sys.description) {
-			fields += `<div class="spell-description">${parseSaveLinks(sys.description)}</div>`
-		}
-		if (sys.codexUuid) {
-			fields += `<div class="spell-codex-link">@UUID[${sys.codexUuid}]{${game.i18n.localize('DOLMEN.Magic.CodexLink')}}</div>`
-		}
-
-		const content = `
-			<div class="dolmen spell-card">
-				<div class="spell-header">
-					<img src="${item.img}" class="spell-card-image">
-					<div class="spell-info">
-						<h3>${item.name}</h3>
-						<span class="spell-type-label">${typeLabel}</span>
-					</div>
-				</div>
-				<div class="spell-body">${fields}</div>
-			</div>`
-
-		await ChatMessage.create({
-			speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-			content,
-			style: CONST.CHAT_MESSAGE_STYLES.OTHER
-		})
+		await postSpellCard(this.actor, item)
 	}
 
 	static async _onSetExhaustion(_event, target) {
@@ -1006,6 +1047,22 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		await this.actor.update({ 'system.exhaustion': value })
 	}
 
+	static async _onHireRetainer() {
+		await hireRetainer(this.actor)
+	}
+
+	static async _onDismissRetainer() {
+		await dismissRetainer(this.actor)
+	}
+
+	static async _onPayWages() {
+		await payWages(this.actor)
+	}
+
+	static async _onRollLoyalty() {
+		await rollLoyaltyCheck(this.actor)
+	}
+
 	// Divide item cost by qty, converting to lower denomination if needed
 	static _divideCost(system, qty) {
 		if (!system.cost || qty <= 1) return
@@ -1025,6 +1082,49 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		system.costDenomination = 'cp'
 	}
 
+	/**
+	 * Check whether an item may be packed into a container. A container cannot be
+	 * packed inside itself or its own contents, and overfilling warns or is refused
+	 * according to the container capacity setting.
+	 * @param {Item} container - The container
+	 * @param {Item|object} item - The item, or the data of an item being added
+	 * @returns {boolean} True if the item may be packed
+	 */
+	_canPackItem(container, item) {
+		const items = this.actor.items.contents
+		if (item.type === 'Container' && item.id && isNestedIn(items, container.id, item.id)) {
+			ui.notifications.warn(game.i18n.localize('DOLMEN.Inventory.ContainerLoop'))
+			return false
+		}
+		const isSlots = game.settings.get('dolmenwood', 'encumbranceMethod') === 'slots'
+		// Moving an item out of a nested container only changes the load in slots
+		const alreadyInside = !isSlots && item.id && isNestedIn(items, item.system.containerId, container.id)
+		return this._checkCapacity(container, alreadyInside ? 0 : computeItemLoad(item, items, isSlots), item.name)
+	}
+
+	/**
+	 * Check whether a container has room for some extra load, warning when it would
+	 * be overfilled and refusing when the container capacity setting blocks it.
+	 * @param {Item} container - The container
+	 * @param {number} added - The extra load, in slots or coin weight
+	 * @param {string} name - What is being packed, for the notification
+	 * @returns {boolean} True if the load may be added
+	 */
+	_checkCapacity(container, added, name) {
+		const method = game.settings.get('dolmenwood', 'encumbranceMethod')
+		if (method === 'disabled' || added <= 0) return true
+		const load = computeContainerLoad(container, this.actor.items.contents, method === 'slots')
+		const used = load.used + added
+		if (load.infinite || used <= load.max) return true
+		const data = { item: name, container: container.name, used, max: load.max }
+		if (game.settings.get('dolmenwood', 'containerCapacity') === 'block') {
+			ui.notifications.warn(game.i18n.format('DOLMEN.Inventory.CapacityBlocked', data))
+			return false
+		}
+		ui.notifications.warn(game.i18n.format('DOLMEN.Inventory.CapacityExceeded', data))
+		return true
+	}
+
 	async _onDrop(event) {
 		const data = TextEditor.getDragEventData(event)
 
@@ -1083,9 +1183,10 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 					}
 				}
 				// If dropped onto a container, set containerId on the new item
-				const containerGroup = event.target.closest('.container-group')
-				if (containerGroup && itemData.type !== 'Container') {
-					itemData.system.containerId = containerGroup.dataset.containerId
+				const container = this.actor.items.get(event.target.closest('.container-group')?.dataset.containerId)
+				if (container) {
+					if (!this._canPackItem(container, itemData)) return
+					itemData.system.containerId = container.id
 					itemData.system.equipped = false
 				}
 				await this.actor.createEmbeddedDocuments('Item', [itemData])
@@ -1093,10 +1194,11 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 				// If dropped within the same actor
 				const containerGroup = event.target.closest('.container-group')
 				if (containerGroup) {
-					// Dropped onto a container � assign to it
-					const containerId = containerGroup.dataset.containerId
-					if (item.type !== 'Container' && item.system.containerId !== containerId) {
-						await item.update({ 'system.containerId': containerId, 'system.equipped': false })
+					// Dropped onto a container — pack it, unless it is already there
+					const container = this.actor.items.get(containerGroup.dataset.containerId)
+					if (container && container !== item && item.system.containerId !== container.id
+						&& this._canPackItem(container, item)) {
+						await item.update({ 'system.containerId': container.id, 'system.equipped': false })
 					}
 				} else {
 					// Dropped onto equipped/stowed list � toggle equipped and clear container
@@ -1,6 +1,10 @@
-/* global game, Hooks, foundry, Roll, ChatMessage, CONFIG */
+/* global game, Hooks, foundry, fromUuidSync, Roll, ChatMessage, CONFIG */
 
 import { findRollTable } from '../utils/roll-tables.js'
+import { hasWeatherEffect, isOutdoors, buildWeatherNote } from '../calendar/weather.js'
+import { postTimerExpiry, formatTimerLabel } from '../effects/timers.js'
+import { postEncounterCards } from '../combat/encounter-builder.js'
+import { extinguishLight, updatePausedLight, leaveLightOnScene } from './light-items.js'
 
 const { DialogV2 } = foundry.applications.api
 
@@ -12,6 +16,14 @@ const SLIDE_FAST = 150 // 1 hour (6 turns)
 const TORCH_DURATION = 6 // 6 turns = 1 hour
 const LANTERN_DURATION = 24 // 24 turns = 4 hours
 
+/**
+ * Whether torches are burning in the wet: wet weather, out under the sky.
+ * @returns {boolean}
+ */
+function torchesWet() {
+	return isOutdoors() && hasWeatherEffect('W')
+}
+
 let previousWorldTime = null
 let widgetEl = null
 let animating = false
@@ -102,28 +114,65 @@ export function isDungeonTrackerAnimating() {
 	return animating
 }
 
-function addLightSource(type) {
+/**
+ * Add a burning torch or lantern. A light lit from an item (see light-items.js) is bound
+ * to its carrier, whose token is lit while it burns.
+ * @param {string} type - 'torch' or 'lantern'
+ * @param {object} [carrier] - The carrier, for lights lit from an item
+ * @param {string} [carrier.owner] - Name of the carrier
+ * @param {string} [carrier.actorUuid] - The carrying actor
+ * @param {string} [carrier.itemUuid] - The lit torch or lantern
+ * @param {string} [carrier.tokenUuid] - The carrier's token, lit while the light burns
+ * @param {object} [carrier.previousLight] - The token's own light, restored afterwards
+ */
+export function addLightSource(type, { owner = '', actorUuid = null, itemUuid = null, tokenUuid = null, previousLight = null } = {}) {
 	if (!game.user.isGM) return
 	const duration = type === 'torch' ? TORCH_DURATION : LANTERN_DURATION
 	lightSources.push({
 		id: foundry.utils.randomID(),
 		type,
 		remaining: duration,
-		paused: false
+		paused: false,
+		owner,
+		actorUuid,
+		itemUuid,
+		tokenUuid,
+		previousLight,
+		lightUuid: null
 	})
 	saveLightSources()
 	renderLightBars()
 	renderLightPanel()
 }
 
-function addTimer(name, duration) {
+/**
+ * The light sources and timers currently burning.
+ * @returns {object[]}
+ */
+export function getLightSources() {
+	return lightSources
+}
+
+/**
+ * Add a countdown timer measured in dungeon turns.
+ * @param {string} name - Timer name
+ * @param {number} duration - Duration in turns
+ * @param {object} [link] - Optional owner and linked effects (see effects/timers.js)
+ * @param {string} [link.owner] - Name of the owning actor
+ * @param {string} [link.origin] - UUID of the item whose effects expire with the timer
+ * @param {string[]} [link.actorUuids] - Actors carrying the linked effects
+ */
+export function addTimer(name, duration, { owner = '', origin = null, actorUuids = [] } = {}) {
 	if (!game.user.isGM) return
 	lightSources.push({
 		id: foundry.utils.randomID(),
 		type: 'timer',
 		remaining: duration,
 		paused: false,
-		name
+		name,
+		owner,
+		origin,
+		actorUuids
 	})
 	saveLightSources()
 	renderLightBars()
@@ -289,25 +338,54 @@ async function showSettingsDialog() {
 	}
 }
 
-function removeLightSource(id) {
+/**
+ * Remove a light source or timer, putting out the light it gives.
+ * @param {string} id - The light source ID
+ */
+export async function removeLightSource(id) {
 	if (!game.user.isGM) return
+	const source = lightSources.find(s => s.id === id)
 	lightSources = lightSources.filter(s => s.id !== id)
+	if (source) await extinguishLight(source, lightSources)
 	saveLightSources()
 	renderLightBars()
 	renderLightPanel()
 }
 
-function togglePauseLight(id) {
+/**
+ * Pause or resume a light source, turning its light off or back on.
+ * @param {string} id - The light source ID
+ */
+async function togglePauseLight(id) {
 	if (!game.user.isGM) return
 	const source = lightSources.find(s => s.id === id)
 	if (source) {
 		source.paused = !source.paused
+		await updatePausedLight(source, lightSources)
 		saveLightSources()
 		renderLightBars()
 		renderLightPanel()
 	}
 }
 
+/**
+ * Drop a carried light, leaving it burning on the scene where its carrier stands.
+ * @param {string} id - The light source ID
+ * @returns {Promise<boolean>} True if the light was left on the scene
+ */
+export async function dropLightSource(id) {
+	if (!game.user.isGM) return false
+	const source = lightSources.find(s => s.id === id)
+	if (!source?.tokenUuid) return false
+	const lightUuid = await leaveLightOnScene(source, lightSources)
+	if (!lightUuid) return false
+	source.lightUuid = lightUuid
+	source.tokenUuid = null
+	saveLightSources()
+	renderLightPanel()
+	return true
+}
+
 /**
  * Update the pause button icon/state to match trackerPaused.
  */
@@ -368,7 +446,7 @@ function renderLightBars() {
 				const icon = document.createElement('i')
 				icon.className = 'fa-solid fa-hourglass-end timer-end'
 				if (timer.remaining <= 2) icon.classList.add('warning')
-				icon.title = timer.name
+				icon.title = formatTimerLabel(timer)
 				row.appendChild(icon)
 			}
 			sq.appendChild(row)
@@ -443,21 +521,38 @@ function renderLightPanel() {
 		let iconClass, label
 		if (source.type === 'timer') {
 			iconClass = 'fa-hourglass'
-			label = source.name
+			label = formatTimerLabel(source)
 		} else {
 			iconClass = source.type === 'torch' ? 'fa-fire-flame-curved' : 'fa-lightbulb'
-			label = game.i18n.localize(source.type === 'torch'
-				? 'DOLMEN.DungeonTracker.Torch'
-				: 'DOLMEN.DungeonTracker.Lantern')
+			label = formatTimerLabel({
+				name: game.i18n.localize(source.type === 'torch'
+					? 'DOLMEN.DungeonTracker.Torch'
+					: 'DOLMEN.DungeonTracker.Lantern'),
+				owner: source.owner
+			})
 		}
 
+		const wetIcon = source.type === 'torch' && torchesWet()
+			? `<i class="fa-solid fa-droplet light-wet" title="${game.i18n.localize('DOLMEN.Calendar.Weather.WetShort')}"></i>`
+			: ''
+		const droppedIcon = source.lightUuid
+			? `<i class="fa-solid fa-location-dot light-dropped" title="${game.i18n.localize('DOLMEN.Light.Dropped')}"></i>`
+			: ''
 		item.innerHTML = `
 			<i class="fa-solid ${iconClass} light-icon ${source.type}"></i>
-			<span class="light-label">${label}</span>
+			<span class="light-label">${label}</span>${wetIcon}${droppedIcon}
 			<span class="light-remaining">${source.remaining}</span>`
 
-		// GM controls: pause toggle + delete button
+		// GM controls: drop (carried lights), pause toggle + delete button
 		if (game.user.isGM) {
+			if (source.tokenUuid) {
+				const dropBtn = document.createElement('i')
+				dropBtn.className = 'fa-solid fa-arrow-down-to-bracket light-drop'
+				dropBtn.title = game.i18n.localize('DOLMEN.Light.Drop')
+				dropBtn.addEventListener('click', () => dropLightSource(source.id))
+				item.appendChild(dropBtn)
+			}
+
 			const pauseIcon = source.paused ? 'fa-play' : 'fa-pause'
 			const pauseBtn = document.createElement('i')
 			pauseBtn.className = `fa-solid ${pauseIcon} light-pause`
@@ -488,49 +583,62 @@ function injectLightPanel() {
 
 /**
  * Decrement remaining turns on non-paused light sources.
- * Expired sources post a chat message and are removed.
+ * Torches burn twice as fast in wet weather outdoors.
+ * Expired sources are put out and removed, then post a chat message.
  */
-function decrementLightSources() {
+async function decrementLightSources() {
 	if (!game.user.isGM) return
 	if (lightSources.length === 0) return
 
+	const wet = torchesWet()
 	const expired = []
 	for (const source of lightSources) {
 		if (source.paused) continue
-		source.remaining--
+		source.remaining -= wet && source.type === 'torch' ? 2 : 1
 		if (source.remaining <= 0) {
 			expired.push(source)
 		}
 	}
 
-	if (expired.length > 0) {
-		lightSources = lightSources.filter(s => s.remaining > 0)
-		for (const source of expired) {
-			postLightExpiryMessage(source)
-		}
+	if (expired.length > 0) lightSources = lightSources.filter(s => s.remaining > 0)
+	saveLightSources()
+
+	for (const source of expired) {
+		await extinguishLight(source, lightSources)
+		await postLightExpiryMessage(source)
 	}
+}
 
-	saveLightSources()
+/**
+ * Burn down light sources for a turn advanced by the animation, which cannot wait on it.
+ */
+function burnLightSources() {
+	decrementLightSources().catch(err => console.error('Dolmenwood: Failed to burn down light sources', err))
 }
 
 /**
  * Post a chat message when a light source burns out.
+ * Timers go through postTimerExpiry(), which also removes their linked effects.
  */
 async function postLightExpiryMessage(source) {
 	if (!game.user.isGM) return
 
-	let message, title, icon
 	if (source.type === 'timer') {
-		message = game.i18n.format('DOLMEN.DungeonTracker.TimerExpired', { name: source.name })
-		title = game.i18n.localize('DOLMEN.DungeonTracker.Timer')
-		icon = 'fa-solid fa-hourglass'
-	} else {
-		message = game.i18n.localize(source.type === 'torch'
+		await postTimerExpiry(source,
+			game.i18n.localize('DOLMEN.DungeonTracker.Timer'),
+			game.i18n.format('DOLMEN.DungeonTracker.TimerExpired', { name: formatTimerLabel(source) }))
+		return
+	}
+
+	const message = source.owner
+		? game.i18n.format(source.type === 'torch'
+			? 'DOLMEN.DungeonTracker.TorchExpiredOwner'
+			: 'DOLMEN.DungeonTracker.LanternExpiredOwner', { owner: source.owner })
+		: game.i18n.localize(source.type === 'torch'
 			? 'DOLMEN.DungeonTracker.TorchExpired'
 			: 'DOLMEN.DungeonTracker.LanternExpired')
-		title = game.i18n.localize('DOLMEN.DungeonTracker.LightExpiryTitle')
-		icon = source.type === 'torch' ? 'fa-solid fa-fire-flame-curved' : 'fa-solid fa-lightbulb'
-	}
+	const title = game.i18n.localize('DOLMEN.DungeonTracker.LightExpiryTitle')
+	const icon = source.type === 'torch' ? 'fa-solid fa-fire-flame-curved' : 'fa-solid fa-lightbulb'
 
 	await ChatMessage.create({
 		content: `
@@ -545,6 +653,7 @@ async function postLightExpiryMessage(source) {
 				<div class="roll-section failure">
 					<span class="roll-label failure">${message}</span>
 				</div>
+				${source.type === 'torch' && torchesWet() ? buildWeatherNote('W') : ''}
 			</div>
 		</div>`,
 		speaker: { alias: title }
@@ -555,9 +664,15 @@ async function postLightExpiryMessage(source) {
  * Setting onChange handler — updates local state and re-renders.
  */
 export function onLightSourcesChanged(value) {
+	// Carriers' sheets show which of their lights are lit
+	const carriers = new Set([...lightSources, ...(value ?? [])].map(s => s.actorUuid).filter(Boolean))
 	lightSources = value ?? []
 	renderLightBars()
 	renderLightPanel()
+	for (const uuid of carriers) {
+		const sheet = fromUuidSync(uuid)?.sheet
+		if (sheet?.rendered) sheet.render()
+	}
 }
 
 /**
@@ -609,7 +724,8 @@ async function postTurnMessage(turnNum) {
 					if (draw.results.length) {
 						const tblPublic = game.settings.get('dolmenwood', 'tablePublicRoll')
 						const msgOpts = tblPublic ? {} : { rollMode: 'gmroll' }
-						table.toMessage(draw.results, { roll: draw.roll, messageData: { sound: '' }, messageOptions: msgOpts })
+						await table.toMessage(draw.results, { roll: draw.roll, messageData: { sound: '' }, messageOptions: msgOpts })
+						await postEncounterCards(draw.results)
 					}
 				}
 			} else if (tableName) {
@@ -777,7 +893,7 @@ function animateOneTurn() {
 		for (let i = 0; i < total; i++) {
 			turnCounter++
 			postTurnMessage(turnCounter)
-			decrementLightSources()
+			burnLightSources()
 		}
 		pendingTurns = 0
 		animating = false
@@ -813,7 +929,7 @@ function animateOneTurn() {
 		// Advance the turn counter and check for encounters / rest
 		turnCounter++
 		postTurnMessage(turnCounter)
-		decrementLightSources()
+		burnLightSources()
 
 		// Suppress the CSS transition so the reset is instant (no snap-back)
 		strip.classList.add('no-transition')
@@ -968,7 +1084,7 @@ async function showRestDialog(turns) {
 		// Silently process turns without animation
 		for (let i = 0; i < turns; i++) {
 			turnCounter++
-			decrementLightSources()
+			await decrementLightSources()
 		}
 		saveTurnCounter()
 		rebuildSquares()
@@ -1028,7 +1144,8 @@ async function onRollEncounterTableButton(tableName, button) {
 	if (draw.results.length) {
 		const tblPublic = game.settings.get('dolmenwood', 'tablePublicRoll')
 		const msgOpts = tblPublic ? {} : { rollMode: 'gmroll' }
-		table.toMessage(draw.results, { roll: draw.roll, messageData: { sound: '' }, messageOptions: msgOpts })
+		await table.toMessage(draw.results, { roll: draw.roll, messageData: { sound: '' }, messageOptions: msgOpts })
+		await postEncounterCards(draw.results)
 	}
 	button.disabled = true
 }
@@ -1040,9 +1157,10 @@ export function initDungeonTracker() {
 	trackerPaused = game.settings.get('dolmenwood', 'trackerPaused')
 	turnCounter = game.settings.get('dolmenwood', 'trackerTurn') || 1
 	const show = game.settings.get('dolmenwood', 'showDungeonTracker')
+	// Lights are tracked (and bound to tokens) even while the widget is hidden
+	loadLightSources()
 	if (show) {
 		document.body.classList.add('dungeon-tracker-active')
-		loadLightSources()
 		injectWidget()
 	}
 
@@ -1050,6 +1168,13 @@ export function initDungeonTracker() {
 
 	Hooks.on('updateWorldTime', onUpdateWorldTime)
 
+	// Wet weather marks torches as burning faster
+	const onWeatherChange = (setting) => {
+		if (setting.key === 'dolmenwood.currentWeather') renderLightPanel()
+	}
+	Hooks.on('createSetting', onWeatherChange)
+	Hooks.on('updateSetting', onWeatherChange)
+
 	Hooks.on('renderChatMessageHTML', (message, html) => {
 		const btn = html.querySelector('.roll-encounter-table')
 		if (btn) {
@@ -0,0 +1,257 @@
+/* global game, ui, fromUuid */
+/**
+ * Light Source Items
+ * Lighting a carried torch or lantern registers the light in the dungeon tracker bound
+ * to the carrier and lights the carrier's token; a lantern burns a flask of oil from the
+ * carrier's inventory. The lit torch stays in the inventory until it burns out, is put
+ * out or is dropped, when it is used up. The token goes dark again when the light ends,
+ * and a dropped light is left burning on the scene as an ambient light.
+ * Players' requests are carried out by the active GM over the system socket.
+ */
+
+import { addLightSource, getLightSources, removeLightSource, dropLightSource } from './dungeon-tracker.js'
+
+/** Token and ambient light for each kind of light source (radii in scene units). */
+const LIGHT_CONFIG = {
+	torch: {
+		bright: 20,
+		dim: 30,
+		color: '#ff9b3d',
+		alpha: 0.4,
+		animation: { type: 'torch', speed: 4, intensity: 4 }
+	},
+	lantern: {
+		bright: 20,
+		dim: 30,
+		color: '#ffc36b',
+		alpha: 0.35,
+		animation: { type: 'torch', speed: 2, intensity: 2 }
+	}
+}
+
+/** Light used to put out a token that had none of its own. */
+const NO_LIGHT = { bright: 0, dim: 0 }
+
+/**
+ * The kind of light an item gives: torches (including torch weapons) and lanterns.
+ * @param {Item} item
+ * @returns {string|null} 'torch', 'lantern', or null if the item gives no light
+ */
+export function getLightType(item) {
+	const type = item?.system?.lightSource
+	if (type === 'torch' || type === 'lantern') return type
+	if (item?.type === 'Weapon' && item.system.weaponType === 'torch') return 'torch'
+	return null
+}
+
+/**
+ * The light an item is giving while carried, if it is lit.
+ * @param {Item} item
+ * @returns {object|undefined} The tracker's light source entry
+ */
+export function findItemLight(item) {
+	return getLightSources().find(s => s.itemUuid === item.uuid && !s.lightUuid)
+}
+
+/**
+ * The token carrying an actor's lights: its synthetic token, or its first token on the
+ * viewed scene.
+ * @param {Actor} actor
+ * @returns {TokenDocument|null}
+ */
+function getCarrierToken(actor) {
+	if (actor.isToken) return actor.token
+	return actor.getActiveTokens(false, true)[0] ?? null
+}
+
+/**
+ * Check whether an item can be lit, put out or dropped.
+ * @param {Item} item - The torch or lantern
+ * @param {string} action - 'light', 'extinguish' or 'drop'
+ * @returns {string|null} Localized reason it cannot, or null if it can
+ */
+export function validateLightAction(item, action) {
+	const actor = item?.parent
+	if (!actor || !getLightType(item)) return game.i18n.localize('DOLMEN.Light.NotALight')
+	const lit = findItemLight(item)
+	if (action === 'light') {
+		if (lit) return game.i18n.format('DOLMEN.Light.AlreadyLit', { item: item.name })
+		if (getLightType(item) === 'lantern' && !actor.items.some(i => i.system.lightSource === 'oil')) {
+			return game.i18n.format('DOLMEN.Light.NoOil', { name: actor.name })
+		}
+	} else if (!lit) {
+		return game.i18n.format('DOLMEN.Light.NotLit', { item: item.name })
+	} else if (action === 'drop' && !lit.tokenUuid) {
+		return game.i18n.format('DOLMEN.Light.NoToken', { name: actor.name })
+	}
+	return null
+}
+
+/**
+ * Light, put out or drop a carried light, directly for the GM and through the active GM
+ * for players.
+ * @param {Item} item - The torch or lantern
+ * @param {string} action - 'light', 'extinguish' or 'drop'
+ */
+export async function requestLightAction(item, action) {
+	const problem = validateLightAction(item, action)
+	if (problem) {
+		ui.notifications.warn(problem)
+		return
+	}
+	if (game.user.isGM) {
+		await runLightAction(item, action)
+	} else if (game.users.activeGM) {
+		game.socket.emit('system.dolmenwood', { action: 'lightItem', mode: action, itemUuid: item.uuid, userId: game.user.id })
+	} else {
+		ui.notifications.warn(game.i18n.localize('DOLMEN.Damage.NoActiveGM'))
+	}
+}
+
+/**
+ * Use up one of an item, deleting it when the last is gone.
+ * @param {Item} item
+ */
+async function consumeOne(item) {
+	const quantity = item.system.quantity ?? 1
+	if (quantity > 1) await item.update({ 'system.quantity': quantity - 1 })
+	else await item.delete()
+}
+
+/**
+ * Carry out a light action (GM only).
+ * @param {Item} item - The torch or lantern
+ * @param {string} action - 'light', 'extinguish' or 'drop'
+ */
+async function runLightAction(item, action) {
+	if (validateLightAction(item, action)) return
+	const actor = item.parent
+	const type = getLightType(item)
+
+	if (action === 'extinguish') {
+		await removeLightSource(findItemLight(item).id)
+		return
+	}
+	if (action === 'drop') {
+		const dropped = await dropLightSource(findItemLight(item).id)
+		if (dropped && type === 'torch') await consumeOne(item)
+		return
+	}
+
+	// A lantern burns a flask of oil; a torch is used up when its light ends
+	if (type === 'lantern') await consumeOne(actor.items.find(i => i.system.lightSource === 'oil'))
+	const itemUuid = item.uuid
+
+	// A token already carrying a light keeps the light it had before any were lit
+	const token = getCarrierToken(actor)
+	const carried = token && getLightSources().find(s => s.tokenUuid === token.uuid)
+	const previousLight = carried ? carried.previousLight : token?.toObject().light ?? null
+	addLightSource(type, {
+		owner: actor.name,
+		actorUuid: actor.uuid,
+		itemUuid,
+		tokenUuid: token?.uuid ?? null,
+		previousLight
+	})
+	if (token) await token.update({ light: LIGHT_CONFIG[type] })
+}
+
+/**
+ * Light a token from the lights it still carries, or give it back the light it had
+ * before any were lit.
+ * @param {string} tokenUuid - The carrier's token
+ * @param {object|null} previousLight - The token's own light
+ * @param {object[]} sources - The tracker's light sources
+ */
+async function refreshTokenLight(tokenUuid, previousLight, sources) {
+	const token = await fromUuid(tokenUuid)
+	if (!token) return
+	const carried = sources.find(s => s.tokenUuid === tokenUuid && !s.paused && s.type !== 'timer')
+	await token.update({ light: carried ? LIGHT_CONFIG[carried.type] : previousLight ?? NO_LIGHT })
+}
+
+/**
+ * Put out a light that has burned out or been removed from the tracker, using up a
+ * carried torch.
+ * @param {object} source - The removed light source
+ * @param {object[]} sources - The light sources still burning
+ */
+export async function extinguishLight(source, sources) {
+	if (source.lightUuid) {
+		const light = await fromUuid(source.lightUuid)
+		await light?.delete()
+		return
+	}
+	if (source.type === 'torch' && source.itemUuid) {
+		const torch = await fromUuid(source.itemUuid)
+		if (torch) await consumeOne(torch)
+	}
+	if (source.tokenUuid) await refreshTokenLight(source.tokenUuid, source.previousLight, sources)
+}
+
+/**
+ * Turn a light off while it is paused and back on when it resumes.
+ * @param {object} source - The paused or resumed light source
+ * @param {object[]} sources - All light sources
+ */
+export async function updatePausedLight(source, sources) {
+	if (source.lightUuid) {
+		const light = await fromUuid(source.lightUuid)
+		await light?.update({ hidden: source.paused })
+	} else if (source.tokenUuid) {
+		await refreshTokenLight(source.tokenUuid, source.previousLight, sources)
+	}
+}
+
+/**
+ * Leave a carried light burning on the scene where its carrier stands.
+ * @param {object} source - The carried light source
+ * @param {object[]} sources - All light sources
+ * @returns {Promise<string|null>} The new ambient light's UUID
+ */
+export async function leaveLightOnScene(source, sources) {
+	const token = await fromUuid(source.tokenUuid)
+	if (!token?.parent) return null
+	const size = token.parent.grid.size
+	const [light] = await token.parent.createEmbeddedDocuments('AmbientLight', [{
+		x: token.x + token.width * size / 2,
+		y: token.y + token.height * size / 2,
+		hidden: source.paused,
+		config: LIGHT_CONFIG[source.type]
+	}])
+	await refreshTokenLight(source.tokenUuid, source.previousLight, sources.filter(s => s !== source))
+	return light?.uuid ?? null
+}
+
+/**
+ * Check a player's socket request and carry it out. The requesting user must own
+ * the carrier; a refused request is reported back to them.
+ * @param {object} data - Socket payload { mode, itemUuid, userId }
+ */
+async function runRequestedLightAction({ mode, itemUuid, userId }) {
+	const item = await fromUuid(itemUuid)
+	const user = game.users.get(userId)
+	let problem = validateLightAction(item, mode)
+	if (!problem && !(user && item.parent.testUserPermission(user, 'OWNER'))) {
+		problem = game.i18n.format('DOLMEN.Light.NotOwner', { name: item.parent.name })
+	}
+	if (problem) {
+		game.socket.emit('system.dolmenwood', { action: 'lightItemRefused', userId, reason: problem })
+		return
+	}
+	await runLightAction(item, mode)
+}
+
+/**
+ * Handle light socket events. The active GM carries out requested light actions;
+ * the requesting user is told why a refused one did not go ahead.
+ * @param {object} data - Socket payload
+ */
+export async function handleLightSocket(data) {
+	if (data.action === 'lightItemRefused') {
+		if (data.userId === game.user.id) ui.notifications.warn(data.reason)
+		return
+	}
+	if (!game.users.activeGM?.isSelf) return
+	if (data.action === 'lightItem') await runRequestedLightAction(data)
+}
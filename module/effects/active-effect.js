@@ -0,0 +1,196 @@
+/* global ActiveEffect, CONFIG, game, Hooks, fromUuidSync */
+/**
+ * Active Effects
+ * Document class, duration helpers and expiry handling for Active Effects.
+ * Effects normally target system.adjustments.* so they stack with manual and trait
+ * adjustments in computeAdjustedValues().
+ */
+
+import { registerConditions } from './conditions.js'
+
+/** Dolmenwood units an effect duration can be expressed in. */
+export const DURATION_UNITS = ['rounds', 'turns', 'days']
+
+/**
+ * Seconds per world-time unit. Rounds are tracked by the running combat, falling
+ * back to world time when none is running.
+ */
+const UNIT_SECONDS = {
+	rounds: 10,
+	turns: 600,
+	days: 86400
+}
+
+/**
+ * Item types whose effects only transfer to the owner while the item is equipped.
+ * Every other item type (spells, kindreds, classes) transfers unconditionally.
+ */
+const EQUIPPABLE_TYPES = ['Item', 'Treasure', 'Weapon', 'Armor', 'Foraged', 'Container']
+
+export class DolmenActiveEffect extends ActiveEffect {
+
+	/**
+	 * Item effects are suppressed while the parent item is not equipped.
+	 * @override
+	 */
+	get isSuppressed() {
+		const item = this.parent
+		if (item?.documentName !== 'Item') return false
+		return EQUIPPABLE_TYPES.includes(item.type) && !item.system.equipped
+	}
+
+	/**
+	 * The Dolmenwood unit this effect's duration was set in.
+	 * @returns {string|null} 'rounds', 'turns', 'days', or null for permanent effects
+	 */
+	get durationUnit() {
+		const unit = this.getFlag('dolmenwood', 'durationUnit')
+		if (unit) return unit
+		if (this.duration.rounds) return 'rounds'
+		if (this.duration.seconds) return this.duration.seconds % UNIT_SECONDS.days === 0 ? 'days' : 'turns'
+		return null
+	}
+
+	/**
+	 * Remaining duration expressed in this effect's unit (rounded up).
+	 * @returns {number|null} Remaining units, or null for permanent effects
+	 */
+	get remainingUnits() {
+		const unit = this.durationUnit
+		if (!unit) return null
+		const remaining = this.duration.remaining
+		if (remaining === null || remaining === undefined) return null
+		if (unit === 'rounds' && this.duration.rounds) return Math.max(0, Math.ceil(remaining))
+		return Math.max(0, Math.ceil(remaining / UNIT_SECONDS[unit]))
+	}
+
+	/**
+	 * Whether a temporary effect has run out.
+	 * @returns {boolean} True if the effect's duration has elapsed
+	 */
+	get isExpired() {
+		if (!this.isTemporary) return false
+		const remaining = this.duration.remaining
+		return remaining !== null && remaining !== undefined && remaining <= 0
+	}
+}
+
+/**
+ * Build duration data for an effect lasting a number of Dolmenwood time units.
+ * Rounds are tied to the running combat; turns and days (and rounds outside combat)
+ * are measured in world time, which the dungeon tracker and calendar advance.
+ * @param {number} value - Number of units
+ * @param {string} unit - 'rounds', 'turns', or 'days'
+ * @returns {object} Update data for the effect's duration and duration-unit flag
+ */
+export function buildEffectDuration(value, unit) {
+	const amount = Math.max(0, parseInt(value) || 0)
+	const duration = { rounds: null, turns: null, seconds: null, startTime: game.time.worldTime }
+	if (amount > 0) {
+		if (unit === 'rounds' && game.combat?.started) {
+			const combat = game.combat
+			duration.rounds = amount
+			duration.combat = combat.id
+			duration.startRound = combat.round
+			duration.startTurn = combat.turn ?? 0
+		} else {
+			duration.seconds = amount * (UNIT_SECONDS[unit] ?? UNIT_SECONDS.turns)
+		}
+	}
+	return {
+		duration,
+		'flags.dolmenwood.durationUnit': amount > 0 ? unit : null
+	}
+}
+
+/** UUIDs of actors known to carry temporary effects, so expiry checks skip everyone else. */
+const timedActors = new Set()
+
+/**
+ * Whether an actor or any of its items has a temporary effect.
+ * @param {Actor} actor - The actor to check
+ * @returns {boolean} True if a temporary effect is present
+ */
+function hasTemporaryEffects(actor) {
+	return actor.effects.some(e => e.isTemporary) || actor.items.some(i => i.effects.some(e => e.isTemporary))
+}
+
+/**
+ * Start tracking an actor if it carries temporary effects.
+ * @param {Actor|null} actor - The actor to check
+ */
+function trackActor(actor) {
+	if (actor && hasTemporaryEffects(actor)) timedActors.add(actor.uuid)
+}
+
+/**
+ * createActiveEffect/updateActiveEffect hook: track the actor a temporary effect sits on.
+ * @param {ActiveEffect} effect - The created or updated effect
+ */
+function onEffectChanged(effect) {
+	if (!effect.isTemporary) return
+	const parent = effect.parent
+	trackActor(parent?.documentName === 'Item' ? parent.parent : parent)
+}
+
+/**
+ * Track world actors and unlinked tokens on the viewed scene that already carry
+ * temporary effects. Run once when the world loads and again on scene change.
+ */
+function scanTimedActors() {
+	if (!game.user.isGM) return
+	for (const actor of game.actors) trackActor(actor)
+	for (const token of game.scenes.viewed?.tokens ?? []) {
+		if (!token.actorLink) trackActor(token.actor)
+	}
+}
+
+/**
+ * Delete expired temporary effects on an actor and its items.
+ * @param {Actor} actor - The actor to check
+ */
+async function expireActorEffects(actor) {
+	const expired = actor.effects.filter(e => e.isExpired).map(e => e.id)
+	if (expired.length) await actor.deleteEmbeddedDocuments('ActiveEffect', expired)
+	for (const item of actor.items) {
+		const itemExpired = item.effects.filter(e => e.isExpired).map(e => e.id)
+		if (itemExpired.length) await item.deleteEmbeddedDocuments('ActiveEffect', itemExpired)
+	}
+}
+
+/**
+ * Remove expired effects from the actors known to carry temporary effects,
+ * dropping actors that no longer have any. Only the active GM performs the cleanup.
+ */
+export async function expireEffects() {
+	if (!game.users.activeGM?.isSelf) return
+	for (const uuid of [...timedActors]) {
+		const actor = fromUuidSync(uuid)
+		if (actor) await expireActorEffects(actor)
+		if (!actor || !hasTemporaryEffects(actor)) timedActors.delete(uuid)
+	}
+}
+
+/**
+ * Register the Active Effect document class, conditions and expiry hooks.
+ * Call this from Hooks.once('init', ...) in dolmenwood.mjs.
+ */
+export function registerEffectSystem() {
+	CONFIG.ActiveEffect.documentClass = DolmenActiveEffect
+	CONFIG.ActiveEffect.legacyTransferral = false
+	registerConditions()
+
+	// Track which actors carry temporary effects
+	Hooks.on('createActiveEffect', onEffectChanged)
+	Hooks.on('updateActiveEffect', onEffectChanged)
+	Hooks.once('ready', scanTimedActors)
+	Hooks.on('canvasReady', scanTimedActors)
+
+	// Turns and days expire as world time advances (dungeon tracker, calendar, rests)
+	Hooks.on('updateWorldTime', () => expireEffects())
+
+	// Rounds expire as the combat round advances
+	Hooks.on('updateCombat', (combat, changed) => {
+		if ('round' in changed || 'turn' in changed) expireEffects()
+	})
+}
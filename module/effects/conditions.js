@@ -0,0 +1,132 @@
+/* global CONFIG, game */
+/**
+ * Conditions
+ * Dolmenwood conditions (charmed, paralysed, asleep, ...) registered as token status
+ * effects, with helpers for applying them and querying their mechanical effects.
+ */
+
+import { buildEffectDuration } from './active-effect.js'
+import { createContextMenu } from '../sheet/context-menu.js'
+
+/** Core status effects replaced by a Dolmenwood condition. */
+const REPLACED_CORE_STATUSES = ['unconscious', 'sleep', 'paralysis', 'blind', 'frightened', 'restrain']
+
+/**
+ * Register the condition registry as token status effects.
+ * Called from registerEffectSystem().
+ */
+export function registerConditions() {
+	const conditions = Object.entries(CONFIG.DOLMENWOOD.conditions).map(([id, condition]) => ({
+		id,
+		name: condition.label,
+		img: condition.img
+	}))
+	CONFIG.statusEffects = [
+		...conditions,
+		...CONFIG.statusEffects.filter(s => !REPLACED_CORE_STATUSES.includes(s.id))
+	]
+	CONFIG.specialStatusEffects.BLIND = 'blinded'
+}
+
+/**
+ * Apply a condition to an actor, optionally for a limited duration.
+ * Durations tick down with combat rounds and dungeon turns (see active-effect.js).
+ * @param {Actor} actor - The actor
+ * @param {string} id - Condition key from CONFIG.DOLMENWOOD.conditions
+ * @param {object} [options] - Extra options
+ * @param {number} [options.duration=0] - Duration in units (0 = until removed)
+ * @param {string} [options.unit='rounds'] - 'rounds', 'turns', or 'days'
+ */
+export async function applyCondition(actor, id, { duration = 0, unit = 'rounds' } = {}) {
+	if (!actor.statuses.has(id)) await actor.toggleStatusEffect(id, { active: true })
+	if (duration > 0) {
+		const effect = actor.effects.find(e => e.statuses.has(id))
+		await effect?.update(buildEffectDuration(duration, unit))
+	}
+}
+
+/**
+ * Remove a condition from an actor.
+ * @param {Actor} actor - The actor
+ * @param {string} id - Condition key from CONFIG.DOLMENWOOD.conditions
+ */
+export async function removeCondition(actor, id) {
+	if (actor.statuses.has(id)) await actor.toggleStatusEffect(id, { active: false })
+}
+
+/**
+ * Find a condition on the actor that makes attacks against it hit automatically.
+ * @param {Actor} actor - The defending actor
+ * @returns {string|null} Condition key, or null if attacks must be rolled normally
+ */
+export function getAutoHitCondition(actor) {
+	if (!actor?.statuses) return null
+	const conditions = CONFIG.DOLMENWOOD.conditions
+	return Object.keys(conditions).find(id => conditions[id].autoHit && actor.statuses.has(id)) ?? null
+}
+
+/**
+ * Prepare condition badges for an actor sheet.
+ * @param {Actor} actor - The actor
+ * @returns {object[]} Active conditions { id, label, img, remaining }
+ */
+export function prepareConditionBadges(actor) {
+	const badges = []
+	for (const [id, condition] of Object.entries(CONFIG.DOLMENWOOD.conditions)) {
+		if (!actor.statuses.has(id)) continue
+		const effect = actor.effects.find(e => e.statuses.has(id))
+		const remaining = effect?.remainingUnits
+		const unit = effect?.durationUnit
+		badges.push({
+			id,
+			label: game.i18n.localize(condition.label),
+			img: condition.img,
+			remaining: remaining !== null && remaining !== undefined
+				? `${remaining} ${game.i18n.localize(`DOLMEN.Effects.Units.${unit}`)}`
+				: ''
+		})
+	}
+	return badges
+}
+
+/**
+ * Setup listeners for the condition badges on an actor sheet.
+ * Clicking a badge removes the condition; the add button lists inactive conditions.
+ * @param {ApplicationV2} sheet - The sheet instance
+ */
+export function setupConditionListeners(sheet) {
+	const actor = sheet.actor
+	if (!sheet.isEditable) return
+
+	sheet.element.querySelectorAll('.condition-badge').forEach(badge => {
+		badge.addEventListener('click', (event) => {
+			event.preventDefault()
+			removeCondition(actor, badge.dataset.condition)
+		})
+	})
+
+	const addBtn = sheet.element.querySelector('.condition-add')
+	if (!addBtn) return
+	addBtn.addEventListener('click', (event) => {
+		event.preventDefault()
+		event.stopPropagation()
+		const html = Object.entries(CONFIG.DOLMENWOOD.conditions)
+			.filter(([id]) => !actor.statuses.has(id))
+			.map(([id, condition]) => `
+				<div class="weapon-menu-item" data-condition="${id}">
+					<img class="condition-menu-icon" src="${condition.img}">
+					<span class="weapon-name">${game.i18n.localize(condition.label)}</span>
+				</div>`).join('')
+		if (!html) return
+		const rect = addBtn.getBoundingClientRect()
+		createContextMenu(sheet, {
+			html,
+			position: { top: rect.bottom, left: rect.right },
+			excludeFromClose: addBtn,
+			onItemClick: (item, menu) => {
+				applyCondition(actor, item.dataset.condition)
+				menu.remove()
+			}
+		})
+	})
+}
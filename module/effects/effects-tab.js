@@ -0,0 +1,185 @@
+/* global foundry, game, CONST, fromUuidSync */
+/**
+ * Effects Tab
+ * Shared context preparation and listeners for the Effects tab on actor and item sheets.
+ */
+
+import { DURATION_UNITS, buildEffectDuration } from './active-effect.js'
+
+const ADJUSTMENT_PREFIX = 'system.adjustments.'
+
+/**
+ * Format a single effect change for display, e.g. "ac +1" or "saves.doom = 10".
+ * @param {object} change - The effect change { key, mode, value }
+ * @returns {string} Human-readable change
+ */
+function formatChange(change) {
+	const path = change.key.startsWith(ADJUSTMENT_PREFIX)
+		? change.key.slice(ADJUSTMENT_PREFIX.length)
+		: change.key.replace(/^system\./, '')
+	const modes = CONST.ACTIVE_EFFECT_MODES
+	const value = change.value
+	switch (change.mode) {
+	case modes.ADD: {
+		const num = Number(value)
+		return `${path} ${!isNaN(num) && num >= 0 ? '+' : ''}${value}`
+	}
+	case modes.MULTIPLY:
+		return `${path} ×${value}`
+	case modes.UPGRADE:
+		return `${path} ≥ ${value}`
+	case modes.DOWNGRADE:
+		return `${path} ≤ ${value}`
+	default:
+		return `${path} = ${value}`
+	}
+}
+
+/**
+ * Total of an effect's additive changes to one manual adjustment, e.g. 'ac'.
+ * @param {ActiveEffect} effect - The effect
+ * @param {string} path - Adjustment path below system.adjustments
+ * @returns {number} Summed bonus (0 if the effect does not touch it)
+ */
+function sumAdjustment(effect, path) {
+	return effect.changes
+		.filter(c => c.key === `${ADJUSTMENT_PREFIX}${path}` && c.mode === CONST.ACTIVE_EFFECT_MODES.ADD)
+		.reduce((sum, c) => sum + (Number(c.value) || 0), 0)
+}
+
+/**
+ * Build display data for a single effect.
+ * @param {ActiveEffect} effect - The effect
+ * @param {Document} document - The document whose sheet is being rendered
+ * @returns {object} Effect row data
+ */
+function prepareEffect(effect, document) {
+	const unit = effect.durationUnit
+	const remaining = effect.remainingUnits
+	return {
+		id: effect.id,
+		uuid: effect.uuid,
+		name: effect.name,
+		img: effect.img,
+		disabled: effect.disabled,
+		suppressed: effect.isSuppressed,
+		isTemporary: effect.isTemporary,
+		changes: effect.changes.map(formatChange).join(', '),
+		acBonus: sumAdjustment(effect, 'ac'),
+		sourceName: effect.parent === document ? '' : effect.parent?.name,
+		durationValue: remaining ?? '',
+		durationUnits: DURATION_UNITS.map(u => ({
+			value: u,
+			label: game.i18n.localize(`DOLMEN.Effects.Units.${u}`),
+			selected: u === (unit ?? 'turns')
+		}))
+	}
+}
+
+/**
+ * Prepare categorised effect data for the Effects tab.
+ * Actor sheets list the actor's own effects plus those transferred from items.
+ * @param {Actor|Item} document - The actor or item
+ * @returns {object[]} Categories { id, label, effects }
+ */
+export function prepareEffectCategories(document) {
+	const categories = {
+		temporary: { id: 'temporary', label: game.i18n.localize('DOLMEN.Effects.Temporary'), effects: [] },
+		passive: { id: 'passive', label: game.i18n.localize('DOLMEN.Effects.Passive'), effects: [] },
+		inactive: { id: 'inactive', label: game.i18n.localize('DOLMEN.Effects.Inactive'), effects: [] }
+	}
+
+	const effects = document.documentName === 'Actor'
+		? [...document.allApplicableEffects()]
+		: document.effects.contents
+
+	for (const effect of effects) {
+		const data = prepareEffect(effect, document)
+		if (effect.disabled || effect.isSuppressed) categories.inactive.effects.push(data)
+		else if (effect.isTemporary) categories.temporary.effects.push(data)
+		else categories.passive.effects.push(data)
+	}
+
+	return Object.values(categories)
+}
+
+/**
+ * Remove fields overridden by active effects from sheet submit data, so effect
+ * bonuses are never written back into the document's source values.
+ * Manual adjustments are exempt: the Adjustments tab always edits source values.
+ * @param {Actor} actor - The actor being edited
+ * @param {object} submitData - Expanded form submit data
+ * @returns {object} The submit data with overridden fields removed
+ */
+export function stripEffectOverrides(actor, submitData) {
+	const overrides = foundry.utils.flattenObject(actor.overrides || {})
+	for (const path of Object.keys(overrides)) {
+		if (path.startsWith(ADJUSTMENT_PREFIX)) continue
+		const parts = path.split('.')
+		const key = parts.pop()
+		const parent = foundry.utils.getProperty(submitData, parts.join('.'))
+		if (parent && typeof parent === 'object') delete parent[key]
+	}
+	return submitData
+}
+
+/**
+ * Create a new effect on a document.
+ * Item effects transfer to the owning actor (while equipped, for gear).
+ * @param {Actor|Item} document - The parent document
+ * @param {string} category - 'temporary', 'passive', or 'inactive'
+ */
+async function createEffect(document, category) {
+	const data = {
+		name: game.i18n.localize('DOLMEN.Effects.New'),
+		img: 'icons/svg/aura.svg',
+		origin: document.uuid,
+		transfer: document.documentName === 'Item',
+		disabled: category === 'inactive'
+	}
+	if (category === 'temporary') Object.assign(data, buildEffectDuration(1, 'turns'))
+	const [effect] = await document.createEmbeddedDocuments('ActiveEffect', [data])
+	effect?.sheet.render(true)
+}
+
+/**
+ * Setup listeners for the Effects tab.
+ * @param {ApplicationV2} sheet - The sheet instance
+ * @param {Actor|Item} document - The document the sheet edits
+ */
+export function setupEffectListeners(sheet, document) {
+	const tab = sheet.element.querySelector('.tab-effects')
+	if (!tab) return
+
+	tab.querySelectorAll('.effect-create').forEach(btn => {
+		btn.addEventListener('click', (event) => {
+			event.preventDefault()
+			createEffect(document, btn.dataset.category)
+		})
+	})
+
+	tab.querySelectorAll('.effect-row').forEach(row => {
+		const effect = fromUuidSync(row.dataset.effectUuid)
+		if (!effect) return
+
+		row.querySelector('.effect-toggle')?.addEventListener('click', (event) => {
+			event.preventDefault()
+			effect.update({ disabled: !effect.disabled })
+		})
+		row.querySelector('.effect-edit')?.addEventListener('click', (event) => {
+			event.preventDefault()
+			effect.sheet.render(true)
+		})
+		row.querySelector('.effect-delete')?.addEventListener('click', (event) => {
+			event.preventDefault()
+			effect.delete()
+		})
+
+		// Duration inputs have no name, so they never reach the sheet's form submission
+		const valueInput = row.querySelector('.effect-duration-value')
+		const unitSelect = row.querySelector('.effect-duration-unit')
+		const updateDuration = () => effect.update(buildEffectDuration(valueInput.value, unitSelect.value))
+		valueInput?.addEventListener('change', updateDuration)
+		unitSelect?.addEventListener('change', updateDuration)
+	})
+}
@@ -0,0 +1,115 @@
+/* global game, fromUuid, ChatMessage */
+/**
+ * Duration Timers
+ * Timers owned by a caster that count down a spell's (or light's) duration in the
+ * dungeon tracker (turns) or the active combat (rounds). Expiring a timer posts a chat
+ * message and removes the effects it is linked to.
+ */
+
+import { addTimer } from '../dungeon-tracker/dungeon-tracker.js'
+
+/** Combat rounds in a ten-minute dungeon turn. */
+const ROUNDS_PER_TURN = 60
+
+/** Seconds of world time per unit. */
+const UNIT_SECONDS = { rounds: 10, turns: 600 }
+
+/**
+ * Units that have passed since a timed effect started.
+ * @param {object|null} start - The effect's duration data { startTime, combat, startRound }
+ * @param {string} unit - 'rounds' or 'turns'
+ * @returns {number} Whole units elapsed
+ */
+function elapsedSince(start, unit) {
+	if (!start) return 0
+	if (unit === 'rounds' && start.combat && start.combat === game.combat?.id) {
+		return Math.max(0, game.combat.round - (start.startRound ?? game.combat.round))
+	}
+	const seconds = Math.max(0, game.time.worldTime - (start.startTime ?? game.time.worldTime))
+	return Math.floor(seconds / (UNIT_SECONDS[unit] ?? UNIT_SECONDS.turns))
+}
+
+/**
+ * Register a duration timer in the tracker matching its unit.
+ * Turns go to the dungeon tracker; rounds go to the running combat, or are rounded
+ * up to whole dungeon turns when no combat is running. Other units (days) are left
+ * to the effects' own world-time durations. Only the GM can register timers.
+ * @param {object} timer - Timer data
+ * @param {string} timer.name - Display name (e.g. the spell name)
+ * @param {number} timer.value - Duration in units
+ * @param {string} timer.unit - 'rounds' or 'turns'
+ * @param {string} [timer.owner] - Name of the owning actor
+ * @param {string} [timer.origin] - UUID of the item whose effects the timer controls
+ * @param {string[]} [timer.actorUuids] - Actors carrying the linked effects
+ * @param {object} [timer.start] - Duration data of the linked effects, so the timer
+ *   counts from when they started rather than from now
+ * @returns {Promise<boolean>} True if a timer was registered
+ */
+export async function registerDurationTimer({ name, value, unit, owner = '', origin = null, actorUuids = [], start = null }) {
+	if (!game.user.isGM) return false
+	value -= elapsedSince(start, unit)
+	if (!(value > 0)) return false
+	const link = { owner, origin, actorUuids }
+	if (unit === 'turns') {
+		addTimer(name, value, link)
+		return true
+	}
+	if (unit === 'rounds') {
+		if (game.combat?.started) await game.combat.addTimer(name, value, link)
+		else addTimer(name, Math.ceil(value / ROUNDS_PER_TURN), link)
+		return true
+	}
+	return false
+}
+
+/**
+ * Delete the effects a timer is linked to (those originating from its item).
+ * @param {object} timer - Timer data with origin and actorUuids
+ */
+export async function removeLinkedEffects(timer) {
+	if (!timer.origin) return
+	for (const uuid of timer.actorUuids || []) {
+		const actor = await fromUuid(uuid)
+		if (!actor) continue
+		const ids = actor.effects.filter(e => e.origin === timer.origin).map(e => e.id)
+		if (ids.length) await actor.deleteEmbeddedDocuments('ActiveEffect', ids)
+	}
+}
+
+/**
+ * Post a chat message when a duration timer runs out and remove its linked effects.
+ * @param {object} timer - Timer data
+ * @param {string} title - Card title (e.g. the tracker's timer label)
+ * @param {string} message - Expiry text
+ */
+export async function postTimerExpiry(timer, title, message) {
+	if (!game.user.isGM) return
+	await removeLinkedEffects(timer)
+
+	await ChatMessage.create({
+		content: `
+		<div class="dolmen encounter-roll">
+			<div class="roll-header">
+				<i class="fa-solid fa-hourglass"></i>
+				<div class="roll-info">
+					<h3>${title}</h3>
+				</div>
+			</div>
+			<div class="roll-body">
+				<div class="roll-section failure">
+					<span class="roll-label failure">${message}</span>
+				</div>
+			</div>
+		</div>`,
+		speaker: { alias: timer.owner || title }
+	})
+}
+
+/**
+ * Format a timer's label with its owner, e.g. "Light (Sister Ydris)".
+ * @param {object} timer - Timer data
+ * @returns {string} Display label
+ */
+export function formatTimerLabel(timer) {
+	return timer.owner ? `${timer.name} (${timer.owner})` : timer.name
+}
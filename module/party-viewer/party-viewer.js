@@ -1,6 +1,8 @@
 /* global game, foundry, canvas, ui, Hooks, ChatMessage, Actor */
 
 import { computeXPModifier } from '../sheet/data-context.js'
+import { getEmployer, computeWagesOwed, formatWage, rollLoyaltyCheck } from '../retainers.js'
+import { COIN_VALUES, coinsToCopper } from '../treasure/coins.js'
 
 const { DialogV2 } = foundry.applications.api
 
@@ -81,10 +83,20 @@ function renderParty() {
 	}
 	resolved.sort((a, b) => a.sort - b.sort)
 
-	for (const { entry, tokenDoc, actor } of resolved) {
+	// Group retainers under their employer; unemployed retainers follow the players
+	const grouped = []
+	for (const member of resolved.filter(m => m.sort === 0)) {
+		grouped.push(member)
+		grouped.push(...resolved.filter(m => m.sort === 1 && m.actor.system.employer === member.actor.uuid))
+	}
+	grouped.push(...resolved.filter(m => !grouped.includes(m)))
+
+	for (const { entry, tokenDoc, actor } of grouped) {
+		const employer = actor.type === 'Adventurer' ? getEmployer(actor) : null
 
 		const card = document.createElement('div')
 		card.className = 'party-member-card'
+		if (employer && grouped.some(m => m.actor === employer)) card.classList.add('under-employer')
 		card.dataset.tokenId = entry.tokenId
 		card.dataset.sceneId = entry.sceneId
 
@@ -96,6 +108,18 @@ function renderParty() {
 		nameEl.className = nameClass
 		nameEl.textContent = tokenDoc.name
 		nameEl.title = tokenDoc.name
+		if (actor.type === 'Adventurer' && actor.system.retainer) {
+			const details = [getRetainerLabel(actor)]
+			if (employer) details.push(game.i18n.format('DOLMEN.Retainer.EmployedBy', { employer: employer.name }))
+			const owed = computeWagesOwed(actor)
+			if (owed.periods > 0) {
+				details.push(game.i18n.format('DOLMEN.Retainer.WagesOwed', { wages: formatWage(actor.system.wage, owed.periods) }))
+				const owedIcon = document.createElement('i')
+				owedIcon.className = 'fa-solid fa-coins wages-owed-icon'
+				nameEl.appendChild(owedIcon)
+			}
+			nameEl.title = `${tokenDoc.name} (${details.join(', ')})`
+		}
 		card.appendChild(nameEl)
 
 		// Row 2-3: Portrait (spanning) + HP/AC stacked
@@ -122,6 +146,13 @@ function renderParty() {
 
 		stats.innerHTML = `<span class="party-hp ${hpClass}"><i class="fa-solid fa-heart"></i> ${hp.value}/${hpMax}</span>`
 			+ `<span class="party-ac"><i class="fa-solid fa-shield"></i> ${adjusted?.ac ?? actor.system.ac}</span>`
+		// Encumbrance tier, shown with the speed it leaves
+		const tier = actor.type === 'Adventurer' ? actor.system.encumbranceTier : null
+		if (tier) {
+			const tierLabel = game.i18n.localize(`DOLMEN.Encumbrance.Tiers.${tier}`)
+			stats.innerHTML += `<span class="party-encumbrance tier-${tier}" title="${tierLabel}">`
+				+ `<i class="fa-solid fa-weight-hanging"></i> ${adjusted.speed}</span>`
+		}
 		body.appendChild(stats)
 		card.appendChild(body)
 
@@ -235,6 +266,19 @@ function resolveAdventurers() {
 	return actors
 }
 
+/**
+ * Roll loyalty checks for every retainer in the party, e.g. when danger strikes.
+ */
+async function rollPartyLoyalty() {
+	if (!game.user.isGM) return
+	const retainers = resolveAdventurers().filter(a => a.system.retainer)
+	if (retainers.length === 0) {
+		ui.notifications.warn(game.i18n.localize('DOLMEN.PartyViewer.NoRetainers'))
+		return
+	}
+	for (const actor of retainers) await rollLoyaltyCheck(actor)
+}
+
 /**
  * Attach a live-updating preview to a distribute dialog.
  * @param {DialogV2} dialog
@@ -338,12 +382,12 @@ async function addXP() {
 	}))
 }
 
-// Denomination order from highest to lowest, with conversion to next lower
+// Denomination order from highest to lowest
 const DENOM_ORDER = [
-	{ key: 'pellucidium', abbr: 'pp', icon: 'coin-pellucidium', toLower: 10 },
-	{ key: 'gold', abbr: 'gp', icon: 'coin-gold', toLower: 10 },
-	{ key: 'silver', abbr: 'sp', icon: 'coin-silver', toLower: 10 },
-	{ key: 'copper', abbr: 'cp', icon: 'coin-copper', toLower: 0 }
+	{ key: 'pellucidium', abbr: 'pp', icon: 'coin-pellucidium' },
+	{ key: 'gold', abbr: 'gp', icon: 'coin-gold' },
+	{ key: 'silver', abbr: 'sp', icon: 'coin-silver' },
+	{ key: 'copper', abbr: 'cp', icon: 'coin-copper' }
 ]
 
 /**
@@ -375,9 +419,9 @@ function computeCoinShares(totals, weights, denominate) {
 		}
 
 		let remainder = available - distributed
-		if (remainder > 0 && denominate && denom.toLower > 0) {
-			const next = DENOM_ORDER[d + 1]
-			pool[next.key] = (pool[next.key] || 0) + remainder * denom.toLower
+		const next = DENOM_ORDER[d + 1]
+		if (remainder > 0 && denominate && next) {
+			pool[next.key] = (pool[next.key] || 0) + remainder * COIN_VALUES[denom.key] / COIN_VALUES[next.key]
 			remainder = 0
 		}
 		extras[denom.key] = remainder
@@ -389,7 +433,7 @@ function computeCoinShares(totals, weights, denominate) {
 /**
  * Format a coin bag as a string like "3 gp, 5 sp".
  */
-function formatCoins(bag) {
+export function formatCoins(bag) {
 	const parts = []
 	for (const d of DENOM_ORDER) {
 		if (bag[d.key]) parts.push(`${bag[d.key]} ${d.abbr}`)
@@ -399,13 +443,15 @@ function formatCoins(bag) {
 
 /**
  * Show a dialog to distribute coins evenly among party members.
+ * @param {object} [preset] - Coins to fill in, e.g. from a treasure hoard
+ * @returns {Promise<boolean>} True if coins were distributed
  */
-async function addCoins() {
-	if (!game.user.isGM) return
+export async function addCoins(preset = {}) {
+	if (!game.user.isGM) return false
 	const validActors = resolveAdventurers()
 	if (validActors.length === 0) {
 		ui.notifications.warn(game.i18n.localize('DOLMEN.PartyViewer.NoMembers'))
-		return
+		return false
 	}
 
 	const weights = validActors.map(a => getTreasureShare(a))
@@ -414,7 +460,7 @@ async function addCoins() {
 		const label = game.i18n.localize(`DOLMEN.Coins.${d.key.charAt(0).toUpperCase() + d.key.slice(1)}`)
 		return `<div class="party-coin-cell">
 				<label title="${label}"><i class="fa-duotone fa-light fa-coin coin-icon ${d.icon}"></i></label>
-				<input type="number" name="${d.key}" placeholder="0" min="0">
+				<input type="number" name="${d.key}" placeholder="0" min="0" value="${preset[d.key] || ''}">
 			</div>`
 	}).join('')
 
@@ -430,6 +476,11 @@ async function addCoins() {
 
 	const randomLabel = game.i18n.localize('DOLMEN.PartyViewer.DistributedRandomly')
 
+	// Coins can be paid out of another actor's purse, such as a loot pile or party treasury
+	const sources = game.actors.filter(a => a.system.coins && !validActors.includes(a))
+	const sourceOptions = [`<option value="">${game.i18n.localize('DOLMEN.PartyViewer.NewCoins')}</option>`,
+		...sources.map(a => `<option value="${a.uuid}">${a.name}</option>`)].join('')
+
 	const hookId = Hooks.once('renderDialogV2', (dialog) => {
 		const el = dialog.element
 		const inputs = el.querySelectorAll('input[type="number"], input[name="denominate"]')
@@ -465,6 +516,7 @@ async function addCoins() {
 			input.addEventListener('input', update)
 			input.addEventListener('change', update)
 		}
+		update()
 	})
 
 	const result = await DialogV2.prompt({
@@ -474,6 +526,10 @@ async function addCoins() {
 			<div class="party-denominate">
 				<label><input type="checkbox" name="denominate"> ${denominateLabel}</label>
 			</div>
+			<div class="form-group party-coin-source">
+				<label>${game.i18n.localize('DOLMEN.PartyViewer.CoinSource')}</label>
+				<select name="source">${sourceOptions}</select>
+			</div>
 			<div class="distribute-preview">${previewRows}</div>
 			<div class="preview-remainder" style="display:none"></div>`,
 		ok: {
@@ -488,7 +544,8 @@ async function addCoins() {
 						silver: parseInt(form.silver.value) || 0,
 						copper: parseInt(form.copper.value) || 0
 					},
-					denominate: form.denominate?.checked ?? false
+					denominate: form.denominate?.checked ?? false,
+					source: form.source.value
 				}
 			}
 		},
@@ -497,10 +554,14 @@ async function addCoins() {
 
 	Hooks.off('renderDialogV2', hookId)
 
-	if (!result) return
-	const { totals, denominate } = result
+	if (!result) return false
+	const { totals, denominate, source } = result
 	const hasAny = totals.copper || totals.silver || totals.gold || totals.pellucidium
-	if (!hasAny) return
+	if (!hasAny) return false
+
+	const title = game.i18n.localize('DOLMEN.PartyViewer.DivideCoins')
+	const sourceActor = source ? sources.find(a => a.uuid === source) : null
+	if (sourceActor && !await sourceActor.pay(coinsToCopper(totals), 'cp', { reason: title })) return false
 
 	const { grants, extras } = computeCoinShares(totals, weights, denominate)
 
@@ -517,17 +578,10 @@ async function addCoins() {
 
 	// Apply updates
 	for (let i = 0; i < validActors.length; i++) {
-		const actor = validActors[i]
-		const g = grants[i]
-		const update = {}
-		for (const d of DENOM_ORDER) {
-			if (g[d.key]) update[`system.coins.${d.key}`] = actor.system.coins[d.key] + g[d.key]
-		}
-		if (Object.keys(update).length) await actor.update(update)
+		if (DENOM_ORDER.some(d => grants[i][d.key])) await validActors[i].receiveCoins(grants[i], { chat: false })
 	}
 
 	// Post chat summary
-	const title = game.i18n.localize('DOLMEN.PartyViewer.DivideCoins')
 	const totalStr = formatCoins(totals)
 	const memberLines = validActors.map((a, i) => {
 		const coinStr = formatCoins(grants[i])
@@ -552,6 +606,7 @@ async function addCoins() {
 		</div>`,
 		speaker: { alias: title }
 	})
+	return true
 }
 
 /**
@@ -580,7 +635,14 @@ function injectWidget() {
 		gpBtn.className = 'party-ctrl-btn'
 		gpBtn.innerHTML = '<i class="fa-solid fa-coins"></i>'
 		gpBtn.title = game.i18n.localize('DOLMEN.PartyViewer.DivideCoins')
-		gpBtn.addEventListener('click', addCoins)
+		gpBtn.addEventListener('click', () => addCoins())
+
+		const loyaltyBtn = document.createElement('button')
+		loyaltyBtn.type = 'button'
+		loyaltyBtn.className = 'party-ctrl-btn'
+		loyaltyBtn.innerHTML = '<i class="fa-solid fa-handshake"></i>'
+		loyaltyBtn.title = game.i18n.localize('DOLMEN.PartyViewer.LoyaltyChecks')
+		loyaltyBtn.addEventListener('click', rollPartyLoyalty)
 
 		const addBtn = document.createElement('button')
 		addBtn.type = 'button'
@@ -598,6 +660,7 @@ function injectWidget() {
 
 		controls.appendChild(xpBtn)
 		controls.appendChild(gpBtn)
+		controls.appendChild(loyaltyBtn)
 		controls.appendChild(addBtn)
 		controls.appendChild(clearBtn)
 		widgetEl.appendChild(controls)
@@ -652,8 +715,8 @@ function onUpdateActor(actor) {
 }
 
 /**
- * Handle updateItem hook — refresh party cards if the item's parent actor is in the party.
- * Catches AC changes from equipping/unequipping armor, etc.
+ * Handle item hooks — refresh party cards if the item's parent actor is in the party.
+ * Catches AC changes from equipping/unequipping armor, encumbrance changes, etc.
  */
 function onUpdateItem(item) {
 	if (!widgetEl) return
@@ -694,8 +757,12 @@ export function initPartyViewer() {
 	}
 
 	Hooks.on('updateActor', onUpdateActor)
+	Hooks.on('createItem', onUpdateItem)
 	Hooks.on('updateItem', onUpdateItem)
+	Hooks.on('deleteItem', onUpdateItem)
 	Hooks.on('updateToken', onUpdateToken)
+	// Retainers' wages fall due as time passes
+	Hooks.on('updateWorldTime', () => renderParty())
 }
 
 /**
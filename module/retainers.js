@@ -0,0 +1,257 @@
+/* global foundry, game, ui, Roll, ChatMessage, CONFIG, fromUuidSync */
+/**
+ * Retainers
+ * Links retainers to their employer, tracks the wages they are owed by day or month,
+ * and handles loyalty checks and hiring.
+ */
+
+import { worldTimeToCalendar } from './calendar/calendar-time.js'
+import { rollReaction } from './combat/combat-rolls.js'
+
+const { DialogV2 } = foundry.applications.api
+
+const COIN_LABELS = {
+	copper: 'DOLMEN.Coins.Copper',
+	silver: 'DOLMEN.Coins.Silver',
+	gold: 'DOLMEN.Coins.Gold',
+	pellucidium: 'DOLMEN.Coins.Pellucidium'
+}
+
+/**
+ * Build the select choices for a retainer's wage.
+ * @returns {object} { denominations, periods } mapping keys to localized labels
+ */
+export function getWageChoices() {
+	return {
+		denominations: Object.fromEntries(Object.entries(COIN_LABELS).map(([key, label]) => [key, game.i18n.localize(label)])),
+		periods: {
+			day: game.i18n.localize('DOLMEN.Retainer.Periods.day'),
+			month: game.i18n.localize('DOLMEN.Retainer.Periods.month')
+		}
+	}
+}
+
+/**
+ * Get a retainer's employer.
+ * @param {Actor} actor - The retainer
+ * @returns {Actor|null} The employer, or null if unemployed
+ */
+export function getEmployer(actor) {
+	const uuid = actor?.system.employer
+	if (!uuid) return null
+	return fromUuidSync(uuid) ?? null
+}
+
+/**
+ * Get the retainers employed by an actor.
+ * @param {Actor} employer - The employer
+ * @returns {Actor[]} Retainers whose employer is this actor
+ */
+export function getRetainers(employer) {
+	return game.actors.filter(a => a.type === 'Adventurer' && a.system.retainer && a.system.employer === employer.uuid)
+}
+
+/**
+ * Format a wage as text, e.g. "5 Silver / day".
+ * @param {object} wage - The retainer's system.wage
+ * @param {number} [periods=1] - Number of periods
+ * @returns {string}
+ */
+export function formatWage(wage, periods = 1) {
+	const coin = game.i18n.localize(COIN_LABELS[wage.denomination])
+	const period = game.i18n.localize(`DOLMEN.Retainer.Periods.${wage.period}`)
+	return periods === 1
+		? `${wage.amount} ${coin} / ${period}`
+		: `${wage.amount * periods} ${coin} (${periods} × ${period})`
+}
+
+/**
+ * Work out the wages a retainer is owed since they were last paid.
+ * Daily wages accrue per full day; monthly wages per calendar month started.
+ * @param {Actor} actor - The retainer
+ * @returns {object} { periods, amount, denomination }
+ */
+export function computeWagesOwed(actor) {
+	const wage = actor.system.wage
+	const none = { periods: 0, amount: 0, denomination: wage.denomination }
+	if (!actor.system.retainer || wage.paidUntil == null || wage.amount <= 0) return none
+
+	const now = game.time.worldTime
+	let periods = 0
+	if (wage.period === 'month') {
+		const paid = worldTimeToCalendar(wage.paidUntil)
+		const cal = worldTimeToCalendar(now)
+		periods = (cal.year * 12 + cal.monthIndex) - (paid.year * 12 + paid.monthIndex)
+	} else {
+		periods = Math.floor((now - wage.paidUntil) / CONFIG.DOLMENWOOD.SECONDS_PER_DAY)
+	}
+	if (periods <= 0) return none
+	return { periods, amount: periods * wage.amount, denomination: wage.denomination }
+}
+
+/**
+ * Post a retainer chat card in the style of the combat roll cards.
+ * @param {Actor} actor - The retainer (speaker)
+ * @param {string} icon - Header icon class
+ * @param {string} title - Card title
+ * @param {string} body - Roll body HTML
+ * @param {Roll[]} [rolls] - Rolls on the card
+ */
+async function postRetainerCard(actor, icon, title, body, rolls = []) {
+	await ChatMessage.create({
+		content: `
+		<div class="dolmen combat-roll retainer-card">
+			<div class="roll-header">
+				<i class="${icon}"></i>
+				<div class="roll-info">
+					<h3>${title}</h3>
+					<span class="roll-type">${actor.name}</span>
+				</div>
+			</div>
+			<div class="roll-body">${body}</div>
+		</div>`,
+		rolls,
+		sound: rolls.length ? CONFIG.sounds.dice : undefined,
+		speaker: ChatMessage.getSpeaker({ actor })
+	})
+}
+
+/**
+ * Pay a retainer the wages they are owed out of their employer's coins, making change
+ * from whatever denominations the employer carries.
+ * @param {Actor} actor - The retainer
+ * @returns {Promise<boolean>} True if wages were paid
+ */
+export async function payWages(actor) {
+	const employer = getEmployer(actor)
+	if (!employer) {
+		ui.notifications.warn(game.i18n.format('DOLMEN.Retainer.NoEmployer', { name: actor.name }))
+		return false
+	}
+	const owed = computeWagesOwed(actor)
+	if (owed.periods <= 0) {
+		ui.notifications.info(game.i18n.format('DOLMEN.Retainer.NothingOwed', { name: actor.name }))
+		return false
+	}
+	if (!employer.isOwner) {
+		ui.notifications.warn(game.i18n.format('DOLMEN.Retainer.NotEmployerOwner', { employer: employer.name }))
+		return false
+	}
+	const wage = actor.system.wage
+	if (!employer.canAfford(owed.amount, owed.denomination)) {
+		ui.notifications.warn(game.i18n.format('DOLMEN.Retainer.CannotAfford', {
+			employer: employer.name, wages: formatWage(wage, owed.periods)
+		}))
+		return false
+	}
+
+	const paidUntil = wage.period === 'month'
+		? game.time.worldTime
+		: wage.paidUntil + owed.periods * CONFIG.DOLMENWOOD.SECONDS_PER_DAY
+	const reason = game.i18n.format('DOLMEN.Retainer.WagesFor', { name: actor.name, wages: formatWage(wage, owed.periods) })
+	await employer.pay(owed.amount, owed.denomination, { reason })
+	await actor.update({ 'system.wage.paidUntil': paidUntil })
+	return true
+}
+
+/**
+ * Roll a loyalty check (2d6 vs loyalty) for a retainer, e.g. when facing danger
+ * or when their side's morale is tested.
+ * @param {Actor} actor - The retainer
+ * @param {number} [modifier=0] - Modifier to the loyalty score
+ * @returns {Promise<object>} { roll, loyalty, passed }
+ */
+export async function rollLoyaltyCheck(actor, modifier = 0) {
+	const loyalty = (actor.system.loyalty ?? 7) + modifier
+	const roll = await new Roll('2d6').evaluate()
+	const passed = roll.total <= loyalty
+	const resultClass = passed ? 'success' : 'failure'
+	const anchor = await roll.toAnchor({ classes: ['morale-inline-roll'] })
+
+	await postRetainerCard(actor, 'fa-solid fa-handshake', game.i18n.localize('DOLMEN.Retainer.LoyaltyCheck'), `
+		<div class="roll-section ${resultClass}">
+			<div class="roll-result">${anchor.outerHTML}</div>
+			<span class="roll-target">${game.i18n.localize('DOLMEN.Retainer.Loyalty')}: ${loyalty}</span>
+			<span class="roll-label ${resultClass}">${game.i18n.localize(passed ? 'DOLMEN.Retainer.LoyaltyHolds' : 'DOLMEN.Retainer.LoyaltyBreaks')}</span>
+		</div>`, [roll])
+
+	return { roll, loyalty, passed }
+}
+
+/**
+ * Choose an employer for a retainer from the adventurers the user owns
+ * (all non-retainer adventurers for the GM).
+ * @param {Actor} actor - The retainer to be hired
+ * @returns {Promise<Actor|null>} The chosen employer
+ */
+async function chooseEmployer(actor) {
+	const candidates = game.actors.filter(a =>
+		a.type === 'Adventurer' && !a.system.retainer && a.id !== actor.id && a.isOwner)
+	if (!candidates.length) {
+		ui.notifications.warn(game.i18n.localize('DOLMEN.Retainer.NoCandidates'))
+		return null
+	}
+	const preferred = game.user.character?.id
+	const options = candidates.map(a =>
+		`<option value="${a.uuid}" ${a.id === preferred ? 'selected' : ''}>${a.name}</option>`).join('')
+
+	const uuid = await DialogV2.prompt({
+		window: { title: game.i18n.format('DOLMEN.Retainer.HireTitle', { name: actor.name }) },
+		content: `
+			<div class="form-group">
+				<label>${game.i18n.localize('DOLMEN.Retainer.Employer')}</label>
+				<select name="employer">${options}</select>
+			</div>`,
+		ok: {
+			label: game.i18n.localize('DOLMEN.Retainer.Hire'),
+			icon: 'fa-solid fa-handshake',
+			callback: (event, button) => button.form.elements.employer.value
+		},
+		rejectClose: false
+	})
+	return uuid ? fromUuidSync(uuid) : null
+}
+
+/**
+ * Attempt to hire a retainer: a reaction roll with the employer's CHA modifier.
+ * 9+ accepts (12+ eagerly, with +1 loyalty), 6–8 is undecided and may be offered
+ * again, 5 or less refuses.
+ * @param {Actor} actor - The would-be retainer
+ * @returns {Promise<boolean>} True if hired
+ */
+export async function hireRetainer(actor) {
+	const employer = await chooseEmployer(actor)
+	if (!employer) return false
+
+	const chaMod = employer.system.final?.abilities.charisma.mod ?? 0
+	const { category } = await rollReaction(chaMod, {
+		title: game.i18n.format('DOLMEN.Retainer.HireTitle', { name: actor.name }),
+		subtitle: employer.name,
+		labels: {
+			attacks: game.i18n.localize('DOLMEN.Retainer.HireInsulted'),
+			hostile: game.i18n.localize('DOLMEN.Retainer.HireRefused'),
+			uncertain: game.i18n.localize('DOLMEN.Retainer.HireUndecided'),
+			indifferent: game.i18n.localize('DOLMEN.Retainer.HireAccepted'),
+			friendly: game.i18n.localize('DOLMEN.Retainer.HireEager')
+		},
+		speaker: ChatMessage.getSpeaker({ actor: employer })
+	})
+
+	if (!['indifferent', 'friendly'].includes(category.key)) return false
+	const update = {
+		'system.employer': employer.uuid,
+		'system.wage.paidUntil': game.time.worldTime
+	}
+	if (!actor.system.retainer) update['system.retainer'] = 'half'
+	if (category.key === 'friendly') update['system.loyalty'] = Math.min(12, (actor.system.loyalty ?? 7) + 1)
+	await actor.update(update)
+	return true
+}
+
+/**
+ * Dismiss a retainer from their employer's service.
+ * @param {Actor} actor - The retainer
+ */
+export async function dismissRetainer(actor) {
+	await actor.update({ 'system.employer': '', 'system.wage.paidUntil': null })
+}
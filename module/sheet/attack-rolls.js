@@ -1,4 +1,4 @@
-/* global game, ui, Roll, ChatMessage, CONST, CONFIG */
+/* global game, ui, foundry, Roll, ChatMessage, CONST, CONFIG */
 /**
  * Attack Roll Handlers
  * All melee/missile attack flows, context menu attacks, and roll utilities.
@@ -9,6 +9,8 @@ import { createContextMenu } from './context-menu.js'
 import { getAllActiveTraits, resolveDamageProgression } from './trait-helpers.js'
 import { parseSaveLinks } from '../chat-save.js'
 import { getWeaponTypesForGroup, WEAPON_PROF_GROUPS } from '../utils/choices.js'
+import { getAutoHitCondition } from '../effects/conditions.js'
+import { getActorDeclaration, getDeclarationACModifier, canDeclaredAttack } from '../combat/declarations.js'
 
 /* -------------------------------------------- */
 /*  Weapon Helpers                              */
@@ -151,6 +153,113 @@ export function buildAttackFormula(totalMod) {
 	return totalMod >= 0 ? `1d20 + ${totalMod}` : `1d20 - ${Math.abs(totalMod)}`
 }
 
+/* -------------------------------------------- */
+/*  Target Resolution                           */
+/* -------------------------------------------- */
+
+/**
+ * Get the effective Armour Class of an actor.
+ * Adventurers use the computed AC (armour, DEX, traits, adjustments, declaration);
+ * creatures use the AC from their stat block, adjusted for parrying or charging.
+ * @param {Actor} actor - The actor being attacked
+ * @returns {number|null} Armour Class, or null if unavailable
+ */
+export function getActorAC(actor) {
+	if (!actor) return null
+	if (actor.type === 'Adventurer') return actor.system.final?.ac ?? actor.system.ac ?? null
+	if (actor.system.ac == null) return null
+	return actor.system.ac + (getDeclarationACModifier(actor)?.value ?? 0)
+}
+
+/**
+ * Resolve an evaluated attack roll against the current user's targeted tokens.
+ * A natural 20 always hits and a natural 1 always misses, unless the defender has a
+ * condition that grants automatic hits (e.g. paralysed or asleep).
+ * @param {Roll} roll - The evaluated attack roll
+ * @returns {object} { natural, isCritical, isFumble, targets: [{ tokenUuid, actorUuid, name, ac, hit, autoHit }] }
+ */
+export function resolveAttackTargets(roll) {
+	const natural = roll.dice[0]?.total ?? null
+	const isCritical = natural === 20
+	const isFumble = natural === 1
+
+	const targets = []
+	for (const token of game.user.targets) {
+		const ac = getActorAC(token.actor)
+		if (ac === null) continue
+		const autoHit = getAutoHitCondition(token.actor)
+		let hit = roll.total >= ac
+		if (isCritical || autoHit) hit = true
+		else if (isFumble) hit = false
+		targets.push({
+			tokenUuid: token.document.uuid,
+			actorUuid: token.actor.uuid,
+			name: token.name,
+			ac,
+			hit,
+			autoHit
+		})
+	}
+
+	return { natural, isCritical, isFumble, targets }
+}
+
+/**
+ * Build the natural 1/20 callout shown under an attack roll.
+ * @param {object|null} resolution - Result of resolveAttackTargets()
+ * @returns {string} HTML string (empty if not a natural 1 or 20)
+ */
+export function buildNaturalRollHtml(resolution) {
+	if (resolution?.isCritical) {
+		return `<span class="roll-label success">${game.i18n.localize('DOLMEN.Attack.NaturalTwenty')}</span>`
+	}
+	if (resolution?.isFumble) {
+		return `<span class="roll-label failure">${game.i18n.localize('DOLMEN.Attack.NaturalOne')}</span>`
+	}
+	return ''
+}
+
+/**
+ * Build the per-target hit/miss section for an attack chat card.
+ * @param {object|null} resolution - Result of resolveAttackTargets()
+ * @param {object} [options] - Extra options
+ * @param {boolean} [options.canApplyDamage=false] - Whether the card has a damage roll to apply to hit targets
+ * @returns {string} HTML string (empty if no targets)
+ */
+export function buildTargetResultsHtml(resolution, { canApplyDamage = false } = {}) {
+	if (!resolution?.targets?.length) return ''
+	const hitLabel = game.i18n.localize('DOLMEN.Attack.Hit')
+	const missLabel = game.i18n.localize('DOLMEN.Attack.Miss')
+	const rows = resolution.targets.map(t => `
+		<div class="target-row" data-token-uuid="${t.tokenUuid}">
+			<span class="target-name">${foundry.utils.escapeHTML(t.name)}</span>
+			<span class="target-ac">${t.autoHit
+		? game.i18n.format('DOLMEN.Attack.AutoHit', { condition: game.i18n.localize(CONFIG.DOLMENWOOD.conditions[t.autoHit].label) })
+		: game.i18n.format('DOLMEN.Attack.VsAC', { ac: t.ac })}</span>
+			<span class="roll-label ${t.hit ? 'success' : 'failure'}">${t.hit ? hitLabel : missLabel}</span>
+		</div>`).join('')
+	const applyButton = canApplyDamage && resolution.targets.some(t => t.hit)
+		? `<button type="button" class="apply-hit-damage"><i class="fa-duotone fa-regular fa-heart-crack"></i> ${game.i18n.localize('DOLMEN.Damage.ApplyToTargets')}</button>`
+		: ''
+	return `
+		<div class="roll-section target-section">
+			<label>${game.i18n.localize('DOLMEN.Attack.Targets')}</label>
+			${rows}
+			${applyButton}
+		</div>`
+}
+
+/**
+ * Build chat message flags recording an attack's per-target results,
+ * used by the apply-damage button on the card.
+ * @param {object|null} resolution - Result of resolveAttackTargets()
+ * @returns {object} Flags object for ChatMessage.create()
+ */
+export function buildAttackFlags(resolution) {
+	if (!resolution?.targets?.length) return {}
+	return { dolmenwood: { attack: { targets: resolution.targets } } }
+}
+
 export function getDieIconFromFormula(formula) {
 	const dieMatch = formula.match(/(\d*)d(\d+)/)
 	if (dieMatch) {
@@ -194,6 +303,7 @@ export function buildAttackChatHtml({ weapon, attackType, attack, damage }) {
 				<label>${game.i18n.localize('DOLMEN.Attack.AttackRoll')}</label>
 				<div class="roll-result">
 					${attack.anchor.outerHTML}
+					${buildNaturalRollHtml(attack.resolution)}
 				</div>
 				<span class="roll-breakdown">${attack.formula}</span>
 			</div>`
@@ -218,6 +328,8 @@ export function buildAttackChatHtml({ weapon, attackType, attack, damage }) {
 		? `<div class="roll-section special-section"><span class="roll-breakdown">${attack.specialText}</span></div>`
 		: ''
 
+	const targetSection = buildTargetResultsHtml(attack?.resolution, { canApplyDamage: !!damage })
+
 	return `
 		<div class="dolmen attack-roll">
 			<div class="attack-header">
@@ -227,7 +339,7 @@ export function buildAttackChatHtml({ weapon, attackType, attack, damage }) {
 					<span class="attack-type">${attackTypeName}</span>
 				</div>
 			</div>
-			<div class="roll-results">${rollSections}${specialSection}</div>
+			<div class="roll-results">${rollSections}${specialSection}${targetSection}</div>
 		</div>
 	`
 }
@@ -261,9 +373,9 @@ async function performAttackRoll(sheet, weapon, attackType, {
 		const roll = new Roll(formula)
 		await roll.evaluate()
 
-
 		attackData = {
 			anchor: await roll.toAnchor({ classes: ['attack-inline-roll'] }),
+			resolution: resolveAttackTargets(roll),
 			formula,
 			traitName,
 			modifierNames,
@@ -299,7 +411,8 @@ async function performAttackRoll(sheet, weapon, attackType, {
 		speaker: ChatMessage.getSpeaker({ actor: sheet.actor }),
 		content: chatContent,
 		sound: CONFIG.sounds.dice,
-		style: CONST.CHAT_MESSAGE_STYLES.OTHER
+		style: CONST.CHAT_MESSAGE_STYLES.OTHER,
+		flags: buildAttackFlags(attackData?.resolution)
 	})
 }
 
@@ -314,6 +427,7 @@ async function performAttackRoll(sheet, weapon, attackType, {
  * @param {Event} event - The click event
  */
 export function onMeleeAttackRoll(sheet, event) {
+	if (!canDeclaredAttack(sheet.actor)) return
 	const weapons = getEquippedWeaponsByQuality(sheet, 'melee')
 	const position = {
 		top: event.currentTarget.getBoundingClientRect().top,
@@ -324,6 +438,7 @@ export function onMeleeAttackRoll(sheet, event) {
 
 /**
  * Step 1: Open attack type selection menu (Normal / Charge / Push).
+ * A declared charge is pre-selected.
  * @param {DolmenSheet} sheet - The sheet instance
  * @param {Item[]} weapons - Equipped melee weapons
  * @param {object} position - Position {top, left}
@@ -336,8 +451,9 @@ export function openAttackTypeMenu(sheet, weapons, position, rollType = null) {
 		{ id: 'push', icon: 'fa-hand-wave', nameKey: 'DOLMEN.Attack.Type.Push' }
 	]
 
+	const declared = getActorDeclaration(sheet.actor) === 'charge' ? 'charge' : null
 	const html = types.map(t => `
-		<div class="weapon-menu-item" data-attack-mode="${t.id}">
+		<div class="weapon-menu-item${t.id === declared ? ' selected' : ''}" data-attack-mode="${t.id}">
 			<i class="fas ${t.icon}"></i>
 			<span class="weapon-name">${game.i18n.localize(t.nameKey)}</span>
 		</div>
@@ -689,6 +805,7 @@ async function executeMeleeAttack(sheet, weapon, attackMode, selectedModifiers,
  * @param {Event} event - The click event
  */
 export function onMissileAttackRoll(sheet, event) {
+	if (!canDeclaredAttack(sheet.actor)) return
 	const weapons = getEquippedWeaponsByQuality(sheet, 'missile')
 
 	if (weapons.length === 0) {
@@ -1000,6 +1117,7 @@ async function executeMissileAttack(sheet, weapon, selectedModifiers, numericMod
  * @param {Event} event - The contextmenu event
  */
 export function onAttackRollContextMenu(sheet, attackType, event) {
+	if (!canDeclaredAttack(sheet.actor)) return
 	const weapons = getEquippedWeaponsByQuality(sheet, attackType)
 
 	// Only check for empty weapons on missile (melee always has unarmed)
@@ -7,6 +7,8 @@
 
 import { AdventurerDataModel } from '../data-models.mjs'
 import { computeTraitAdjustments, getAllActiveTraits, isWearingHeavyArmor } from './trait-helpers.js'
+import { getDeclarationACModifier } from '../combat/declarations.js'
+import { prepareEffectCategories } from '../effects/effects-tab.js'
 
 /**
  * Compute XP modifier from prime abilities.
@@ -47,25 +49,58 @@ export function computeMoonSign(month, day) {
 	return null
 }
 
+/** Encumbrance tiers from lightest to heaviest. */
+export const ENCUMBRANCE_TIERS = ['unencumbered', 'burdened', 'heavilyBurdened', 'overloaded']
+
+/**
+ * Work out the encumbrance tier from an encumbrance result. Carrying more than the
+ * maximum load (in either slot section) is overloaded, otherwise the tier follows speed.
+ * @param {object} encumbrance - Result of computeEncumbrance
+ * @returns {string|null} One of ENCUMBRANCE_TIERS, or null when encumbrance is disabled
+ */
+export function computeEncumbranceTier(encumbrance) {
+	if (encumbrance.speed === null || encumbrance.speed === undefined) return null
+	const overMax = encumbrance.equipped
+		? encumbrance.equipped.current > encumbrance.equipped.max || encumbrance.stowed.current > encumbrance.stowed.max
+		: encumbrance.current > encumbrance.max
+	if (overMax || encumbrance.speed <= 0) return 'overloaded'
+	if (encumbrance.speed <= 20) return 'heavilyBurdened'
+	if (encumbrance.speed <= 30) return 'burdened'
+	return 'unencumbered'
+}
+
 /**
  * Compute encumbrance from inventory items and coins.
+ * The result's tier is one of ENCUMBRANCE_TIERS; an overloaded adventurer cannot move.
  * @param {Actor} actor - The actor
- * @returns {object} Encumbrance data with current/max values and computed speed
+ * @returns {object} Encumbrance data with current/max values, computed speed and tier
  */
 export function computeEncumbrance(actor) {
+	const result = computeEncumbranceLoad(actor)
+	result.tier = computeEncumbranceTier(result)
+	if (result.tier === 'overloaded') result.speed = 0
+	return result
+}
+
+/**
+ * Compute the load and speed for the world's encumbrance method.
+ * @param {Actor} actor - The actor
+ * @returns {object} Encumbrance data with current/max values and computed speed
+ */
+function computeEncumbranceLoad(actor) {
 	const system = actor.system
 	const method = game.settings.get('dolmenwood', 'encumbranceMethod')
 	const excludedTypes = ['Spell', 'HolySpell', 'Glamour', 'Rune', 'Kindred', 'Class']
 	const items = actor.items.contents.filter(i => !excludedTypes.includes(i.type))
-	// Build set of container IDs that ignore encumbrance
-	const ignoreContainerIds = new Set(
-		items.filter(i => i.type === 'Container' && i.system.ignoreEncumbrance).map(i => i.id)
-	)
+	const containers = items.filter(i => i.type === 'Container')
 	const equipped = items.filter(i => i.system.equipped && i.type !== 'Container')
 	const stowed = items.filter(i => !i.system.equipped && i.type !== 'Container'
-		&& !ignoreContainerIds.has(i.system.containerId))
-	const totalCoins = (system.coins.copper || 0) + (system.coins.silver || 0)
-		+ (system.coins.gold || 0) + (system.coins.pellucidium || 0)
+		&& !isInIgnoredContainer(i, containers))
+	// Coins in the purse, plus coins stored in containers that count towards encumbrance
+	const containerCoins = containers
+		.filter(c => !c.system.ignoreEncumbrance && !isInIgnoredContainer(c, containers))
+		.reduce((sum, c) => sum + countCoins(c.system.coins), 0)
+	const totalCoins = countCoins(system.coins) + containerCoins
 
 	const adj = system.adjustments || {}
 	switch (method) {
@@ -77,6 +112,101 @@ export function computeEncumbrance(actor) {
 	}
 }
 
+/**
+ * Count the coins in a coin bag, regardless of denomination.
+ * @param {object} coins - { copper, silver, gold, pellucidium }
+ * @returns {number}
+ */
+function countCoins(coins) {
+	return (coins?.copper || 0) + (coins?.silver || 0) + (coins?.gold || 0) + (coins?.pellucidium || 0)
+}
+
+/**
+ * Check whether an item is packed, at any depth, inside a container that ignores encumbrance.
+ * @param {Item} item - The item
+ * @param {Item[]} containers - The actor's containers
+ * @returns {boolean}
+ */
+function isInIgnoredContainer(item, containers) {
+	const seen = new Set()
+	let parent = containers.find(c => c.id === item.system.containerId)
+	while (parent && !seen.has(parent.id)) {
+		if (parent.system.ignoreEncumbrance) return true
+		seen.add(parent.id)
+		parent = containers.find(c => c.id === parent.system.containerId)
+	}
+	return false
+}
+
+/**
+ * Check whether a container is packed, at any depth, inside another.
+ * Used to stop a container being packed into itself or one of its own contents.
+ * @param {Item[]} items - The actor's items
+ * @param {string} containerId - The container that might be nested
+ * @param {string} ancestorId - The container that might hold it
+ * @returns {boolean}
+ */
+export function isNestedIn(items, containerId, ancestorId) {
+	const seen = new Set()
+	let current = items.find(i => i.id === containerId)
+	while (current && !seen.has(current.id)) {
+		if (current.id === ancestorId) return true
+		seen.add(current.id)
+		current = items.find(i => i.id === current.system.containerId)
+	}
+	return false
+}
+
+/**
+ * Compute the load an item adds to a container, in slots or coin weight.
+ * Nested containers weigh their own weight plus their load when measured in coins,
+ * and take only their own slots when measured in slots.
+ * @param {Item|object} item - The item (or item data)
+ * @param {Item[]} items - The actor's items, to find a nested container's contents
+ * @param {boolean} isSlots - Whether load is measured in slots
+ * @returns {number}
+ */
+export function computeItemLoad(item, items, isSlots) {
+	if (isSlots) return itemSlots(item)
+	const own = (item.system.weightCoins || 0) * (item.system.quantity || 1)
+	if (item.type !== 'Container' || !item.id) return own
+	return own + computeContainerLoad(item, items, false).used
+}
+
+/**
+ * Compute how full a container is: the items packed directly in it, any nested
+ * containers and the coins stored in it. Stored coins weigh one each, or take one
+ * slot per hundred.
+ * @param {Item} container - The container
+ * @param {Item[]} items - The actor's items
+ * @param {boolean} isSlots - Whether load is measured in slots
+ * @param {Set<string>} [seen] - Containers already counted, guarding against loops
+ * @returns {object} { used, max, infinite, over, percent }
+ */
+export function computeContainerLoad(container, items, isSlots, seen = new Set()) {
+	seen.add(container.id)
+	const coins = countCoins(container.system.coins)
+	let used = isSlots ? Math.ceil(coins / 100) : coins
+	for (const item of items) {
+		if (item.system.containerId !== container.id || item.system.equipped || seen.has(item.id)) continue
+		if (isSlots || item.type !== 'Container') {
+			used += computeItemLoad(item, items, isSlots)
+		} else {
+			used += (item.system.weightCoins || 0) * (item.system.quantity || 1)
+				+ computeContainerLoad(item, items, false, seen).used
+		}
+	}
+	const max = isSlots ? container.system.capacitySlots : container.system.capacityCoins
+	const infinite = !!container.system.infiniteCapacity
+	return {
+		used,
+		max,
+		infinite,
+		over: !infinite && used > max,
+		percent: infinite || !max ? 0 : Math.min(100, Math.round(used / max * 100))
+	}
+}
+
 function computeWeightFull(equipped, stowed, totalCoins, coinCapacityAdj) {
 	const itemWeight = [...equipped, ...stowed].reduce(
 		(sum, i) => sum + (i.system.weightCoins || 0) * (i.system.quantity || 1), 0
@@ -252,9 +382,18 @@ export function computeAdjustedValues(actor, encumbranceSpeed = null) {
 		const val = typeof trait.adjustmentValue === 'function' ? trait.adjustmentValue(system.level) : trait.adjustmentValue
 		acSources.push({ label: game.i18n.localize(trait.nameKey), value: val })
 	}
-	// Manual adjustment
-	if (adj.ac) {
-		acSources.push({ label: game.i18n.localize('DOLMEN.Combat.Adjustment'), value: adj.ac })
+	// Active effect adjustments to AC (already included in adj.ac)
+	const activeEffects = prepareEffectCategories(actor).filter(c => c.id !== 'inactive').flatMap(c => c.effects)
+	for (const effect of activeEffects) {
+		if (effect.acBonus) acSources.push({ label: effect.name, value: effect.acBonus })
+	}
+	// Parrying or charging this round
+	const declarationAC = getDeclarationACModifier(actor)
+	if (declarationAC) acSources.push(declarationAC)
+	// Manual adjustment, read from source data so effect bonuses are not counted twice
+	const manualAC = actor._source.system?.adjustments?.ac || 0
+	if (manualAC) {
+		acSources.push({ label: game.i18n.localize('DOLMEN.Combat.Adjustment'), value: manualAC })
 	}
 	const acBreakdown = acSources.map((s, i) => {
 		const prefix = i > 0 && s.value >= 0 ? '+' : ''
@@ -273,7 +412,7 @@ export function computeAdjustedValues(actor, encumbranceSpeed = null) {
 		hp: {
 			max: system.hp.max + (adj.hp.max || 0) + getTraitAdj('hp.max')
 		},
-		ac: computedAC + (adj.ac || 0) + getTraitAdj('ac'),
+		ac: computedAC + (adj.ac || 0) + getTraitAdj('ac') + (declarationAC?.value ?? 0),
 		acBreakdown,
 		attack: system.attack + (adj.attack || 0) + getTraitAdj('attack') + (system.exhaustion || 0),
 		attackMelee: getTraitAdj('attack.melee'),
@@ -461,6 +600,39 @@ export function prepareMemorizedSlots(slotsData, knownSpells, maxRank) {
 	return result
 }
 
+/**
+ * Spend a memorized spell slot: empty the slot and count it as used.
+ * @param {Actor} actor - The caster
+ * @param {string} magicPath - 'arcaneMagic' or 'holyMagic'
+ * @param {string} rankKey - Rank key, e.g. 'rank1'
+ * @param {number} slotIndex - Index of the slot within the rank
+ */
+export async function spendMemorizedSlot(actor, magicPath, rankKey, slotIndex) {
+	const slotData = actor.system[magicPath].spellSlots[rankKey]
+	const memorized = [...(slotData.memorized || [])]
+	memorized[slotIndex] = null
+	await actor.update({
+		[`system.${magicPath}.spellSlots.${rankKey}.memorized`]: memorized,
+		[`system.${magicPath}.spellSlots.${rankKey}.used`]: slotData.used + 1
+	})
+}
+
+/**
+ * Give back a spent memorized slot, if it is still empty.
+ * @param {Actor} actor - The caster
+ * @param {object} slot - { magicPath, rankKey, slotIndex, spellId }
+ */
+export async function restoreMemorizedSlot(actor, { magicPath, rankKey, slotIndex, spellId }) {
+	const slotData = actor.system[magicPath]?.spellSlots?.[rankKey]
+	if (!slotData || slotData.memorized?.[slotIndex]) return
+	const memorized = [...(slotData.memorized || [])]
+	memorized[slotIndex] = spellId
+	await actor.update({
+		[`system.${magicPath}.spellSlots.${rankKey}.memorized`]: memorized,
+		[`system.${magicPath}.spellSlots.${rankKey}.used`]: Math.max(0, slotData.used - 1)
+	})
+}
+
 /**
  * Compute rune usage limits based on magnitude and character level.
  * @param {string} magnitude - 'lesser', 'greater', or 'mighty'
@@ -9,6 +9,7 @@ const { DialogV2 } = foundry.applications.api
 
 import { computeXPModifier } from './data-context.js'
 import { getDieIconFromFormula } from './attack-rolls.js'
+import { consolidateCoins } from '../treasure/coins.js'
 
 /**
  * Open the XP add dialog.
@@ -121,7 +122,8 @@ export function openXPEditDialog(sheet) {
 }
 
 /**
- * Open the coin adjustment dialog.
+ * Open the coin adjustment dialog: adjust raw coin counts, pay an amount in any
+ * denomination (making change), or consolidate small coins into larger ones.
  * @param {DolmenSheet} sheet - The sheet instance
  */
 export function openCoinDialog(sheet) {
@@ -139,6 +141,10 @@ export function openCoinDialog(sheet) {
 		`
 	}).join('')
 
+	const denominationOptions = denominations.map(denom =>
+		`<option value="${denom}" ${denom === 'gold' ? 'selected' : ''}>${game.i18n.localize(`DOLMEN.Coins.${denom.charAt(0).toUpperCase() + denom.slice(1)}`)}</option>`
+	).join('')
+
 	const content = `
 		<div class="coin-modal-content">
 			<div class="coin-adjust-header">
@@ -147,6 +153,15 @@ export function openCoinDialog(sheet) {
 				<span>+/&minus;</span>
 			</div>
 			${rows}
+			<div class="coin-pay-row coin-pay-first">
+				<label>${game.i18n.localize('DOLMEN.Coins.PayAmount')}</label>
+				<input type="number" id="coin-pay-amount" min="0" placeholder="0">
+				<select id="coin-pay-denomination">${denominationOptions}</select>
+			</div>
+			<div class="coin-pay-row">
+				<label>${game.i18n.localize('DOLMEN.Coins.PayReason')}</label>
+				<input type="text" id="coin-pay-reason">
+			</div>
 		</div>
 	`
 
@@ -172,6 +187,104 @@ export function openCoinDialog(sheet) {
 					}
 				}
 			},
+			{
+				action: 'pay',
+				icon: 'fas fa-hand-holding-dollar',
+				label: game.i18n.localize('DOLMEN.Coins.Pay'),
+				callback: (event, button, html) => {
+					const amount = parseInt(html.element.querySelector('#coin-pay-amount').value) || 0
+					if (amount <= 0) return
+					sheet.actor.pay(amount, html.element.querySelector('#coin-pay-denomination').value, {
+						reason: html.element.querySelector('#coin-pay-reason').value.trim()
+					})
+				}
+			},
+			{
+				action: 'consolidate',
+				icon: 'fas fa-layer-group',
+				label: game.i18n.localize('DOLMEN.Coins.Consolidate'),
+				tooltip: game.i18n.localize('DOLMEN.Coins.ConsolidateHint'),
+				callback: () => sheet.actor.update({ 'system.coins': consolidateCoins(coins) })
+			},
+			{
+				action: 'cancel',
+				icon: 'fas fa-times',
+				label: game.i18n.localize('DOLMEN.Cancel')
+			}
+		],
+		rejectClose: false
+	})
+}
+
+/**
+ * Open the dialog for moving coins between the purse and a container.
+ * Positive amounts are stored in the container, negative amounts taken back out.
+ * @param {DolmenSheet} sheet - The sheet instance
+ * @param {Item} container - The container
+ */
+export function openContainerCoinsDialog(sheet, container) {
+	const purse = sheet.actor.system.coins
+	const stored = container.system.coins
+	const denominations = ['copper', 'silver', 'gold', 'pellucidium']
+
+	const rows = denominations.map(denom => {
+		const label = game.i18n.localize(`DOLMEN.Coins.${denom.charAt(0).toUpperCase() + denom.slice(1)}`)
+		return `
+			<div class="coin-store-row">
+				<label>${label}</label>
+				<span class="coin-current">${purse[denom] || 0}</span>
+				<span class="coin-current">${stored[denom] || 0}</span>
+				<input type="number" id="coin-store-${denom}" placeholder="0">
+			</div>
+		`
+	}).join('')
+
+	const content = `
+		<div class="coin-modal-content">
+			<p class="hint">${game.i18n.localize('DOLMEN.Inventory.StoreCoinsHint')}</p>
+			<div class="coin-store-header">
+				<span></span>
+				<span>${game.i18n.localize('DOLMEN.Inventory.Purse')}</span>
+				<span>${game.i18n.localize('DOLMEN.Inventory.Stored')}</span>
+				<span>+/&minus;</span>
+			</div>
+			${rows}
+		</div>
+	`
+
+	DialogV2.wait({
+		window: {
+			title: `${game.i18n.localize('DOLMEN.Inventory.StoreCoins')}: ${container.name}`
+		},
+		position: {
+			width: 340
+		},
+		content: content,
+		buttons: [
+			{
+				action: 'store',
+				icon: 'fas fa-check',
+				label: game.i18n.localize('DOLMEN.Inventory.Store'),
+				default: true,
+				callback: async (event, button, html) => {
+					const newPurse = { ...purse }
+					const newStored = { ...stored }
+					for (const denom of denominations) {
+						const amount = parseInt(html.element.querySelector(`#coin-store-${denom}`).value) || 0
+						const moved = Math.clamp(amount, -(stored[denom] || 0), purse[denom] || 0)
+						newPurse[denom] = (purse[denom] || 0) - moved
+						newStored[denom] = (stored[denom] || 0) + moved
+					}
+					const count = bag => denominations.reduce((sum, denom) => sum + (bag[denom] || 0), 0)
+					const isSlots = game.settings.get('dolmenwood', 'encumbranceMethod') === 'slots'
+					const added = isSlots
+						? Math.ceil(count(newStored) / 100) - Math.ceil(count(stored) / 100)
+						: count(newStored) - count(stored)
+					if (!sheet._checkCapacity(container, added, game.i18n.localize('DOLMEN.Coins.Title'))) return
+					await container.update({ 'system.coins': newStored })
+					await sheet.actor.update({ 'system.coins': newPurse })
+				}
+			},
 			{
 				action: 'cancel',
 				icon: 'fas fa-times',
@@ -0,0 +1,446 @@
+/* global game, Hooks, foundry, Roll, ChatMessage, CONFIG, canvas */
+
+/**
+ * Overland Travel Panel
+ * Tracks the party's daily travel points through a wilderness hex-crawl: terrain
+ * cost per hex, getting-lost checks, foraging and hunting, and day/night encounter
+ * checks. Moving and ending the day advance world time via the calendar.
+ */
+
+import { worldTimeToCalendar, calendarToWorldTime, getDaylightHours } from '../calendar/calendar-time.js'
+import { hasWeatherEffect, buildWeatherNote } from '../calendar/weather.js'
+
+const TRAVEL_HOURS = 8 // hours of travel in a full day's travel points
+const DEFAULT_TRAVEL_POINTS = 8 // speed 40 / 5, used when no party is set up
+
+const DEFAULT_STATE = {
+	day: 1,
+	spent: 0,
+	hexes: 0,
+	terrain: 'light',
+	lost: false,
+	lostChecked: false,
+	dayEncounterChecked: false
+}
+
+let widgetEl = null
+let state = { ...DEFAULT_STATE }
+
+// ── Settings ──
+
+/**
+ * Register travel settings. Call this from Hooks.once('init', ...) in dolmenwood.mjs.
+ */
+export function registerTravelSettings() {
+	game.settings.register('dolmenwood', 'showTravelPanel', {
+		scope: 'world',
+		config: false,
+		type: Boolean,
+		default: false,
+		onChange: toggleTravelPanel
+	})
+
+	game.settings.register('dolmenwood', 'travelState', {
+		scope: 'world',
+		config: false,
+		type: Object,
+		default: { ...DEFAULT_STATE },
+		onChange: onTravelStateChanged
+	})
+
+	game.settings.register('dolmenwood', 'travelEncounterChance', {
+		name: 'DOLMEN.Travel.Settings.EncounterChance',
+		hint: 'DOLMEN.Travel.Settings.EncounterChanceHint',
+		scope: 'world',
+		config: true,
+		type: Number,
+		default: 2,
+		range: { min: 0, max: 6, step: 1 }
+	})
+
+	game.settings.register('dolmenwood', 'travelDayEncounterTable', {
+		name: 'DOLMEN.Travel.Settings.DayTable',
+		hint: 'DOLMEN.Travel.Settings.TableHint',
+		scope: 'world',
+		config: true,
+		type: String,
+		default: ''
+	})
+
+	game.settings.register('dolmenwood', 'travelNightEncounterTable', {
+		name: 'DOLMEN.Travel.Settings.NightTable',
+		hint: 'DOLMEN.Travel.Settings.TableHint',
+		scope: 'world',
+		config: true,
+		type: String,
+		default: ''
+	})
+}
+
+function loadState() {
+	state = { ...DEFAULT_STATE, ...(game.settings.get('dolmenwood', 'travelState') ?? {}) }
+}
+
+function saveState() {
+	if (!game.user.isGM) return
+	game.settings.set('dolmenwood', 'travelState', state)
+}
+
+/**
+ * Setting onChange handler — syncs travel state from the GM to players.
+ */
+function onTravelStateChanged(value) {
+	state = { ...DEFAULT_STATE, ...(value ?? {}) }
+	renderPanel()
+}
+
+// ── Party ──
+
+/**
+ * Get the travelling party: adventurers in the party viewer, or the selected tokens.
+ * @returns {Actor[]} Party actors
+ */
+function getPartyActors() {
+	const actors = new Set()
+	for (const entry of game.settings.get('dolmenwood', 'partyMembers') ?? []) {
+		const actor = game.scenes.get(entry.sceneId)?.tokens.get(entry.tokenId)?.actor
+		if (actor?.type === 'Adventurer') actors.add(actor)
+	}
+	if (actors.size === 0) {
+		for (const token of canvas.tokens?.controlled ?? []) {
+			if (token.actor?.type === 'Adventurer') actors.add(token.actor)
+		}
+	}
+	return [...actors]
+}
+
+/**
+ * Compute the party's travel points for the day.
+ * The slowest member sets the pace; travel-impeding weather halves it.
+ * @returns {object} { base, max, impeded }
+ */
+function getTravelPoints() {
+	const points = getPartyActors().map(a => a.system.final?.movement.overland ?? a.system.movement.overland)
+	const base = points.length ? Math.min(...points) : DEFAULT_TRAVEL_POINTS
+	const impeded = hasWeatherEffect('I')
+	return { base, max: impeded ? Math.floor(base / 2) : base, impeded }
+}
+
+/**
+ * Find the party member with the best Survival target (lowest number).
+ * @returns {object|null} { actor, target }
+ */
+function getBestSurvival() {
+	let best = null
+	for (const actor of getPartyActors()) {
+		const target = actor.system.final?.skills.survival ?? actor.system.skills.survival
+		if (!best || target < best.target) best = { actor, target }
+	}
+	return best
+}
+
+// ── Chat Cards ──
+
+/**
+ * Post a travel chat card in the same style as the dungeon tracker's cards.
+ * @param {object} card - Card content
+ * @param {string} card.icon - Header icon class
+ * @param {string} card.title - Header title
+ * @param {string} card.body - Roll sections HTML
+ * @param {boolean} [card.gmOnly=false] - Whisper to GMs only
+ */
+async function postTravelCard({ icon, title, body, gmOnly = false }) {
+	const subtitle = `${game.i18n.localize('DOLMEN.Travel.Day')} ${state.day}`
+	await ChatMessage.create({
+		content: `
+		<div class="dolmen encounter-roll travel-card">
+			<div class="roll-header">
+				<i class="${icon}"></i>
+				<div class="roll-info">
+					<h3>${title}</h3>
+					<span class="roll-type">${subtitle}</span>
+				</div>
+			</div>
+			<div class="roll-body">${body}</div>
+		</div>`,
+		speaker: { alias: game.i18n.localize('DOLMEN.Travel.Title') },
+		whisper: gmOnly ? game.users.filter(u => u.isGM).map(u => u.id) : []
+	})
+}
+
+/**
+ * Build a d6 roll section for a chat card.
+ * @param {Roll} roll - The evaluated roll
+ * @param {string} target - Target text (e.g. "2-in-6")
+ * @param {boolean} good - Whether the outcome favours the party
+ * @param {string} label - Outcome label
+ * @returns {Promise<string>} HTML string
+ */
+async function buildRollSection(roll, target, good, label) {
+	const resultClass = good ? 'success' : 'failure'
+	const anchor = await roll.toAnchor({ classes: ['travel-inline-roll'] })
+	return `
+		<div class="roll-section ${resultClass}">
+			<div class="roll-result force-d6-icon">${anchor.outerHTML}</div>
+			<span class="roll-target">${target}</span>
+			<span class="roll-label ${resultClass}">${label}</span>
+		</div>`
+}
+
+// ── Procedures ──
+
+/**
+ * Advance world time by a number of seconds through the calendar.
+ * @param {number} seconds - Seconds to advance
+ */
+async function advanceTime(seconds) {
+	if (seconds > 0) await game.time.advance(seconds)
+}
+
+/**
+ * Roll a wilderness encounter check for the day or night.
+ * @param {string} period - 'day' or 'night'
+ */
+async function rollEncounterCheck(period) {
+	const chance = game.settings.get('dolmenwood', 'travelEncounterChance')
+	if (chance <= 0) return
+	const roll = await new Roll('1d6').evaluate()
+	const encountered = roll.total <= chance
+	let body = await buildRollSection(roll, `${chance}-in-6`, !encountered,
+		game.i18n.localize(encountered ? 'DOLMEN.DungeonTracker.EncounterYes' : 'DOLMEN.DungeonTracker.EncounterNo'))
+
+	const tableName = game.settings.get('dolmenwood', period === 'night' ? 'travelNightEncounterTable' : 'travelDayEncounterTable')
+	if (encountered && tableName) {
+		body += `
+			<button type="button" class="roll-encounter-table" data-table="${foundry.utils.escapeHTML(tableName)}">
+				<i class="fa-solid fa-dice"></i> ${game.i18n.localize('DOLMEN.DungeonTracker.RollEncounterTable')}
+			</button>`
+	}
+
+	await postTravelCard({
+		icon: period === 'night' ? 'fa-solid fa-moon' : 'fa-solid fa-sun',
+		title: game.i18n.localize(period === 'night' ? 'DOLMEN.Travel.NightEncounter' : 'DOLMEN.Travel.DayEncounter'),
+		body,
+		gmOnly: !game.settings.get('dolmenwood', 'encounterPublicRoll')
+	})
+}
+
+/**
+ * Check whether the party gets lost when leaving the road for the day.
+ * Poor visibility adds 1 to the chance.
+ * @param {object} terrain - Terrain config from CONFIG.DOLMENWOOD.travelTerrain
+ */
+async function rollLostCheck(terrain) {
+	const poorVisibility = hasWeatherEffect('V')
+	const chance = terrain.lostChance + (poorVisibility ? 1 : 0)
+	const roll = await new Roll('1d6').evaluate()
+	state.lost = roll.total <= chance
+	state.lostChecked = true
+	let body = await buildRollSection(roll, `${chance}-in-6`, !state.lost,
+		game.i18n.localize(state.lost ? 'DOLMEN.Travel.Lost' : 'DOLMEN.Travel.OnCourse'))
+	if (poorVisibility) body += buildWeatherNote('V')
+	await postTravelCard({
+		icon: 'fa-solid fa-compass',
+		title: game.i18n.localize('DOLMEN.Travel.LostCheck'),
+		body,
+		gmOnly: true
+	})
+}
+
+/**
+ * Move the party into a new hex of the selected terrain.
+ * Spends travel points, checks for getting lost on the first off-road hex of the day,
+ * rolls the day's encounter check on the first hex, and advances the clock.
+ */
+async function travelHex() {
+	if (!game.user.isGM) return
+	const terrain = CONFIG.DOLMENWOOD.travelTerrain[state.terrain]
+	const { max, impeded } = getTravelPoints()
+	if (state.spent + terrain.cost > max) {
+		await postTravelCard({
+			icon: 'fa-solid fa-person-hiking',
+			title: game.i18n.localize('DOLMEN.Travel.Exhausted'),
+			body: `<div class="roll-section"><span class="roll-label">${game.i18n.format('DOLMEN.Travel.NotEnoughPoints', { cost: terrain.cost, remaining: max - state.spent })}</span></div>${impeded ? buildWeatherNote('I') : ''}`,
+			gmOnly: true
+		})
+		return
+	}
+
+	if (!state.dayEncounterChecked) {
+		state.dayEncounterChecked = true
+		await rollEncounterCheck('day')
+	}
+	if (!state.lostChecked && terrain.lostChance > 0) await rollLostCheck(terrain)
+
+	state.spent += terrain.cost
+	state.hexes++
+	saveState()
+	renderPanel()
+	await advanceTime(Math.round(terrain.cost / Math.max(max, 1) * TRAVEL_HOURS * 3600))
+}
+
+/**
+ * Roll Survival for the party's best forager or hunter.
+ * Hunting takes the rest of the day's travel; foraging happens on the move.
+ * @param {string} mode - 'forage' or 'hunt'
+ */
+async function rollSurvival(mode) {
+	if (!game.user.isGM) return
+	const best = getBestSurvival()
+	const target = best?.target ?? 6
+	const roll = await new Roll('1d6').evaluate()
+	const success = roll.total >= target
+	let body = await buildRollSection(roll, `${game.i18n.localize('DOLMEN.Roll.Target')}: ${target}+`, success,
+		game.i18n.localize(success ? 'DOLMEN.Roll.Success' : 'DOLMEN.Roll.Failure'))
+
+	if (success) {
+		const rations = await new Roll('1d6').evaluate()
+		const anchor = await rations.toAnchor()
+		body += `
+			<div class="roll-section success">
+				<span class="roll-label">${game.i18n.format(mode === 'hunt' ? 'DOLMEN.Travel.HuntFound' : 'DOLMEN.Travel.ForageFound', { rations: anchor.outerHTML })}</span>
+			</div>`
+	}
+
+	if (mode === 'hunt') {
+		state.spent = getTravelPoints().max
+		saveState()
+		renderPanel()
+	}
+
+	const skill = game.i18n.localize('DOLMEN.Skills.Survival')
+	await postTravelCard({
+		icon: mode === 'hunt' ? 'fa-solid fa-crosshairs' : 'fa-solid fa-seedling',
+		title: `${game.i18n.localize(mode === 'hunt' ? 'DOLMEN.Travel.Hunt' : 'DOLMEN.Travel.Forage')} (${skill})`,
+		body: (best ? `<div class="roll-section"><span class="roll-label">${best.actor.name}</span></div>` : '') + body
+	})
+}
+
+/**
+ * End the travel day: roll the night encounter check, advance the clock to the next
+ * sunrise and reset the day's travel points and checks.
+ */
+async function endDay() {
+	if (!game.user.isGM) return
+	await rollEncounterCheck('night')
+
+	const cal = worldTimeToCalendar(game.time.worldTime)
+	const next = worldTimeToCalendar(calendarToWorldTime(cal.year, cal.monthKey, cal.day + 1, 0, 0))
+	const { sunrise } = getDaylightHours(next.monthKey)
+	const morning = calendarToWorldTime(next.year, next.monthKey, next.day, Math.floor(sunrise), Math.round((sunrise % 1) * 60))
+
+	state = { ...DEFAULT_STATE, day: state.day + 1, hexes: state.hexes, terrain: state.terrain }
+	saveState()
+	renderPanel()
+	await advanceTime(morning - game.time.worldTime)
+}
+
+/**
+ * Start a new journey from day one.
+ */
+function resetJourney() {
+	if (!game.user.isGM) return
+	state = { ...DEFAULT_STATE, terrain: state.terrain }
+	saveState()
+	renderPanel()
+}
+
+// ── Widget ──
+
+/**
+ * Render the panel contents from the current travel state.
+ */
+function renderPanel() {
+	if (!widgetEl) return
+	const { base, max, impeded } = getTravelPoints()
+	const remaining = Math.max(0, max - state.spent)
+	const percent = max > 0 ? Math.round(remaining / max * 100) : 0
+	const isGM = game.user.isGM
+
+	const terrainOptions = Object.entries(CONFIG.DOLMENWOOD.travelTerrain).map(([key, t]) =>
+		`<option value="${key}" ${key === state.terrain ? 'selected' : ''}>${game.i18n.localize(t.label)} (${t.cost})</option>`
+	).join('')
+
+	widgetEl.innerHTML = `
+		<div class="travel-header">
+			<span class="travel-day"><i class="fa-solid fa-map"></i> ${game.i18n.localize('DOLMEN.Travel.Day')} ${state.day}</span>
+			<span class="travel-hexes" title="${game.i18n.localize('DOLMEN.Travel.HexesTravelled')}"><i class="fa-solid fa-hexagon"></i> ${state.hexes}</span>
+			${state.lost ? `<span class="travel-badge lost"><i class="fa-solid fa-compass"></i> ${game.i18n.localize('DOLMEN.Travel.Lost')}</span>` : ''}
+			${impeded ? `<span class="travel-badge impeded" title="${game.i18n.format('DOLMEN.Travel.ImpededHint', { base })}"><i class="fa-solid fa-cloud-rain"></i> ${game.i18n.localize('DOLMEN.Calendar.Weather.ImpededShort')}</span>` : ''}
+		</div>
+		<div class="travel-points" title="${game.i18n.localize('DOLMEN.Travel.TravelPoints')}">
+			<div class="travel-points-bar" style="width: ${percent}%"></div>
+			<span class="travel-points-label">${remaining} / ${max} ${game.i18n.localize('DOLMEN.Travel.TP')}</span>
+		</div>
+		${isGM ? `
+		<div class="travel-controls">
+			<select class="travel-terrain" title="${game.i18n.localize('DOLMEN.Travel.TerrainLabel')}">${terrainOptions}</select>
+			<button type="button" class="travel-move" title="${game.i18n.localize('DOLMEN.Travel.Move')}"><i class="fa-solid fa-person-hiking"></i></button>
+			<button type="button" class="travel-forage" title="${game.i18n.localize('DOLMEN.Travel.Forage')}"><i class="fa-solid fa-seedling"></i></button>
+			<button type="button" class="travel-hunt" title="${game.i18n.localize('DOLMEN.Travel.Hunt')}"><i class="fa-solid fa-crosshairs"></i></button>
+			<button type="button" class="travel-lost-toggle ${state.lost ? 'active' : ''}" title="${game.i18n.localize('DOLMEN.Travel.ToggleLost')}"><i class="fa-solid fa-compass"></i></button>
+			<button type="button" class="travel-end-day" title="${game.i18n.localize('DOLMEN.Travel.EndDay')}"><i class="fa-solid fa-campground"></i></button>
+			<button type="button" class="travel-reset" title="${game.i18n.localize('DOLMEN.Travel.Reset')}"><i class="fa-solid fa-rotate-left"></i></button>
+		</div>` : ''}`
+
+	if (!isGM) return
+	widgetEl.querySelector('.travel-terrain').addEventListener('change', (event) => {
+		state.terrain = event.target.value
+		saveState()
+	})
+	widgetEl.querySelector('.travel-move').addEventListener('click', () => travelHex())
+	widgetEl.querySelector('.travel-forage').addEventListener('click', () => rollSurvival('forage'))
+	widgetEl.querySelector('.travel-hunt').addEventListener('click', () => rollSurvival('hunt'))
+	widgetEl.querySelector('.travel-lost-toggle').addEventListener('click', () => {
+		state.lost = !state.lost
+		saveState()
+		renderPanel()
+	})
+	widgetEl.querySelector('.travel-end-day').addEventListener('click', () => endDay())
+	widgetEl.querySelector('.travel-reset').addEventListener('click', () => resetJourney())
+}
+
+function injectWidget() {
+	if (widgetEl) return
+	widgetEl = document.createElement('div')
+	widgetEl.id = 'dolmen-travel-panel'
+	document.body.appendChild(widgetEl)
+	renderPanel()
+}
+
+function removeWidget() {
+	if (widgetEl) {
+		widgetEl.remove()
+		widgetEl = null
+	}
+}
+
+/**
+ * Toggle panel visibility. Called by setting onChange and on init.
+ */
+export function toggleTravelPanel(visible) {
+	if (visible) {
+		loadState()
+		injectWidget()
+	} else {
+		removeWidget()
+	}
+}
+
+/**
+ * Initialize the travel panel. Called from the ready hook.
+ */
+export function initTravelPanel() {
+	loadState()
+	if (game.settings.get('dolmenwood', 'showTravelPanel')) injectWidget()
+
+	// Weather and party changes alter the day's travel points
+	const onSettingChange = (setting) => {
+		if (['dolmenwood.currentWeather', 'dolmenwood.partyMembers'].includes(setting.key)) renderPanel()
+	}
+	Hooks.on('createSetting', onSettingChange)
+	Hooks.on('updateSetting', onSettingChange)
+	Hooks.on('updateActor', (actor) => {
+		if (actor.type === 'Adventurer') renderPanel()
+	})
+}
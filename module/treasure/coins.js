@@ -0,0 +1,195 @@
+/* global game, foundry, ChatMessage */
+/**
+ * Coins
+ * Converts between the four Dolmenwood coin denominations and makes change, so that
+ * prices in any denomination can be paid from whatever coins an actor carries.
+ * Actors pay and receive coins through DolmenActor#pay and DolmenActor#receiveCoins,
+ * which post each transaction to chat.
+ */
+
+/** Coin denominations from lowest to highest, with their value in copper. */
+export const COIN_VALUES = {
+	copper: 1,
+	silver: 10,
+	gold: 100,
+	pellucidium: 1000
+}
+
+/** Coin keys for item cost denominations. */
+export const DENOMINATION_COINS = {
+	cp: 'copper',
+	sp: 'silver',
+	gp: 'gold',
+	pp: 'pellucidium'
+}
+
+/** Abbreviations for each coin. */
+const COIN_ABBREVIATIONS = {
+	copper: 'cp',
+	silver: 'sp',
+	gold: 'gp',
+	pellucidium: 'pp'
+}
+
+const LOW_TO_HIGH = Object.keys(COIN_VALUES)
+const HIGH_TO_LOW = [...LOW_TO_HIGH].reverse()
+
+/**
+ * Value of an amount of coins in copper.
+ * @param {number} amount - Number of coins
+ * @param {string} denomination - Coin key ('gold') or abbreviation ('gp')
+ * @returns {number}
+ */
+export function toCopper(amount, denomination) {
+	const key = DENOMINATION_COINS[denomination] ?? denomination
+	return Math.max(0, Math.floor(amount * (COIN_VALUES[key] ?? 0)))
+}
+
+/**
+ * Total value of a coin bag in copper.
+ * @param {object} coins - { copper, silver, gold, pellucidium }
+ * @returns {number}
+ */
+export function coinsToCopper(coins) {
+	return LOW_TO_HIGH.reduce((sum, key) => sum + (coins?.[key] || 0) * COIN_VALUES[key], 0)
+}
+
+/**
+ * Express a copper value in as few coins as possible.
+ * @param {number} copper - Value in copper
+ * @returns {object} { copper, silver, gold, pellucidium }
+ */
+export function copperToCoins(copper) {
+	const coins = { copper: 0, silver: 0, gold: 0, pellucidium: 0 }
+	let rest = Math.max(0, Math.floor(copper))
+	for (const key of HIGH_TO_LOW) {
+		coins[key] = Math.floor(rest / COIN_VALUES[key])
+		rest -= coins[key] * COIN_VALUES[key]
+	}
+	return coins
+}
+
+/**
+ * Value of an item's price in copper.
+ * @param {Item|object} item - An item (or item data) with system.cost and system.costDenomination
+ * @param {number} [quantity=1] - Number bought or sold
+ * @returns {number}
+ */
+export function itemPriceInCopper(item, quantity = 1) {
+	const key = DENOMINATION_COINS[item.system?.costDenomination] ?? 'gold'
+	return (item.system?.cost || 0) * COIN_VALUES[key] * quantity
+}
+
+/**
+ * Pay an amount out of a coin bag, making change where no exact coins are to hand.
+ * Low denominations are spent first; if that leaves part of the price unpaid, the
+ * smallest coin that covers it is broken and the change returned in lower coins.
+ * @param {object} coins - The payer's coins
+ * @param {number} amount - Amount to pay, in copper
+ * @returns {object|null} The coins left afterwards, or null if the payer cannot afford it
+ */
+export function makeChange(coins, amount) {
+	if (coinsToCopper(coins) < amount) return null
+	const purse = Object.fromEntries(LOW_TO_HIGH.map(key => [key, coins?.[key] || 0]))
+	let owed = amount
+
+	for (const key of LOW_TO_HIGH) {
+		const used = Math.min(purse[key], Math.floor(owed / COIN_VALUES[key]))
+		purse[key] -= used
+		owed -= used * COIN_VALUES[key]
+	}
+	if (owed <= 0) return purse
+
+	const broken = LOW_TO_HIGH.find(key => purse[key] > 0 && COIN_VALUES[key] > owed)
+	purse[broken] -= 1
+	let change = COIN_VALUES[broken] - owed
+	for (const key of HIGH_TO_LOW) {
+		if (COIN_VALUES[key] >= COIN_VALUES[broken]) continue
+		const count = Math.floor(change / COIN_VALUES[key])
+		purse[key] += count
+		change -= count * COIN_VALUES[key]
+	}
+	return purse
+}
+
+/**
+ * Add two coin bags together.
+ * @param {object} coins - Coins held
+ * @param {object} added - Coins received
+ * @returns {object}
+ */
+export function addCoinBags(coins, added) {
+	return Object.fromEntries(LOW_TO_HIGH.map(key => [key, (coins?.[key] || 0) + (added?.[key] || 0)]))
+}
+
+/**
+ * Exchange smaller coins for as few larger coins as possible, keeping the same value.
+ * @param {object} coins - The coins to consolidate
+ * @returns {object}
+ */
+export function consolidateCoins(coins) {
+	return copperToCoins(coinsToCopper(coins))
+}
+
+/**
+ * Format a copper value in as few coins as possible, e.g. "1 gp, 5 sp".
+ * @param {number} copper - Value in copper
+ * @returns {string}
+ */
+export function formatCopper(copper) {
+	return Object.entries(copperToCoins(copper))
+		.reverse()
+		.filter(([, count]) => count)
+		.map(([key, count]) => `${count} ${COIN_ABBREVIATIONS[key]}`)
+		.join(', ') || '0'
+}
+
+/**
+ * Describe the change between two coin bags, e.g. "−1 gp, +5 sp".
+ * @param {object} before - Coins before the transaction
+ * @param {object} after - Coins after the transaction
+ * @returns {string}
+ */
+export function formatCoinChange(before, after) {
+	const parts = []
+	for (const key of HIGH_TO_LOW) {
+		const delta = (after?.[key] || 0) - (before?.[key] || 0)
+		if (delta) parts.push(`${delta > 0 ? '+' : '−'}${Math.abs(delta)} ${COIN_ABBREVIATIONS[key]}`)
+	}
+	return parts.join(', ')
+}
+
+/**
+ * Post a coin transaction line to chat.
+ * @param {Actor} actor - The actor who paid or received
+ * @param {object} transaction
+ * @param {number} transaction.amount - Value paid (negative) or received (positive), in copper
+ * @param {object} transaction.before - The actor's coins before
+ * @param {object} transaction.after - The actor's coins after
+ * @param {string} [transaction.reason] - What the coins were for
+ */
+export async function postCoinTransaction(actor, { amount, before, after, reason = '' }) {
+	const value = formatCopper(Math.abs(amount))
+	const title = game.i18n.format(amount < 0 ? 'DOLMEN.Coins.Paid' : 'DOLMEN.Coins.Received', {
+		name: foundry.utils.escapeHTML(actor.name),
+		value
+	})
+	await ChatMessage.create({
+		content: `
+		<div class="dolmen combat-roll coin-transaction">
+			<div class="roll-header">
+				<i class="fa-solid fa-coins"></i>
+				<div class="roll-info">
+					<h3>${title}</h3>
+					${reason ? `<span class="roll-type">${foundry.utils.escapeHTML(reason)}</span>` : ''}
+				</div>
+			</div>
+			<div class="roll-body">
+				<div class="roll-section ${amount < 0 ? 'failure' : 'success'}">
+					<span class="roll-breakdown">${formatCoinChange(before, after)}</span>
+				</div>
+			</div>
+		</div>`,
+		speaker: ChatMessage.getSpeaker({ actor })
+	})
+}
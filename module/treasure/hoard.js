@@ -0,0 +1,268 @@
+/* global foundry, game, ui, fromUuid, fromUuidSync, Roll, ChatMessage, CONFIG */
+/**
+ * Treasure Hoards
+ * Rolls a creature's hoard from its treasure codes (C = coins, R = riches, M = magic
+ * items) into coin totals and Treasure items, posted to the GM on a card that can
+ * stash the hoard in an actor or divide its coins among the party.
+ */
+
+import { findRollTable } from '../utils/roll-tables.js'
+import { addCoins, formatCoins } from '../party-viewer/party-viewer.js'
+
+const { DialogV2 } = foundry.applications.api
+
+const COIN_KEYS = ['copper', 'silver', 'gold', 'pellucidium']
+
+/**
+ * Register the hoard settings.
+ * Call this from Hooks.once('init', ...) in dolmenwood.mjs.
+ */
+export function registerHoardSettings() {
+	game.settings.register('dolmenwood', 'magicItemTable', {
+		name: 'DOLMEN.Hoard.Settings.MagicItemTable',
+		hint: 'DOLMEN.Hoard.Settings.MagicItemTableHint',
+		scope: 'world',
+		config: true,
+		type: String,
+		default: ''
+	})
+}
+
+/**
+ * Read the hoard codes from a treasure type, e.g. "C4 + R4 + M1".
+ * @param {string} treasureType - The creature's treasure type
+ * @returns {string[]} Known codes, upper-cased
+ */
+export function parseHoardCodes(treasureType) {
+	const codes = (treasureType || '').toUpperCase().match(/\b[CRM]\d+\b/g) ?? []
+	return codes.filter(code => CONFIG.DOLMENWOOD.treasureHoards[code])
+}
+
+/**
+ * Roll a formula and return its total.
+ * @param {string} formula
+ * @returns {Promise<number>}
+ */
+async function rollTotal(formula) {
+	const roll = await new Roll(formula).evaluate()
+	return roll.total
+}
+
+/**
+ * Roll the value of a gem on the gem value table.
+ * @returns {Promise<number>} Value in gp
+ */
+async function rollGemValue() {
+	const total = await rollTotal('1d20')
+	return CONFIG.DOLMENWOOD.gemValues.find(band => total <= band.max)?.value ?? 10
+}
+
+/**
+ * Roll a magic item, from the configured magic item table if there is one.
+ * @returns {Promise<object>} Item creation data
+ */
+async function rollMagicItem() {
+	const tableName = game.settings.get('dolmenwood', 'magicItemTable')
+	const table = tableName ? await findRollTable(tableName) : null
+	if (table) {
+		const draw = await table.draw({ displayChat: false })
+		const result = draw.results[0]
+		if (result) {
+			const linked = result.documentUuid ? await fromUuid(result.documentUuid) : null
+			if (linked?.documentName === 'Item') {
+				const data = linked.toObject()
+				delete data._id
+				return data
+			}
+			const name = result.name || result.description
+			if (name) return { name, type: 'Treasure' }
+		}
+	}
+	return {
+		name: game.i18n.localize('DOLMEN.Hoard.MagicItem'),
+		type: 'Treasure',
+		system: { notes: game.i18n.localize('DOLMEN.Hoard.MagicItemNote') }
+	}
+}
+
+/**
+ * Roll a hoard from its codes.
+ * @param {string[]} codes - Hoard codes, e.g. ['C4', 'R4', 'M1']
+ * @returns {Promise<object>} { coins: {copper, silver, gold, pellucidium}, items: object[] }
+ */
+export async function rollHoard(codes) {
+	const coins = { copper: 0, silver: 0, gold: 0, pellucidium: 0 }
+	const gems = new Map()
+	const items = []
+
+	for (const code of codes) {
+		for (const [kind, [chance, formula]] of Object.entries(CONFIG.DOLMENWOOD.treasureHoards[code])) {
+			if (await rollTotal('1d100') > chance) continue
+			const amount = await rollTotal(formula)
+			if (COIN_KEYS.includes(kind)) {
+				coins[kind] += amount
+			} else if (kind === 'gems') {
+				for (let i = 0; i < amount; i++) {
+					const value = await rollGemValue()
+					gems.set(value, (gems.get(value) ?? 0) + 1)
+				}
+			} else if (kind === 'art') {
+				for (let i = 0; i < amount; i++) {
+					items.push({
+						name: game.i18n.localize('DOLMEN.Hoard.ArtObject'),
+						type: 'Treasure',
+						system: { cost: await rollTotal(CONFIG.DOLMENWOOD.artValue), costDenomination: 'gp' }
+					})
+				}
+			} else if (kind === 'magic') {
+				for (let i = 0; i < amount; i++) items.push(await rollMagicItem())
+			}
+		}
+	}
+
+	// Gems of the same value stack as one item
+	const gemItems = [...gems].sort((a, b) => b[0] - a[0]).map(([value, quantity]) => ({
+		name: game.i18n.format('DOLMEN.Hoard.Gem', { value }),
+		type: 'Treasure',
+		system: { cost: value, costDenomination: 'gp', quantity }
+	}))
+
+	return { coins, items: [...gemItems, ...items] }
+}
+
+/**
+ * Describe a hoard item for the card, e.g. "3 × Gem (50 gp)".
+ * @param {object} data - Item creation data
+ * @returns {string}
+ */
+function describeItem(data) {
+	const quantity = data.system?.quantity ?? 1
+	const name = quantity > 1 ? `${quantity} × ${data.name}` : data.name
+	const cost = data.system?.cost
+	return cost ? `${name} <span class="roll-breakdown">${cost} ${data.system.costDenomination}</span>` : name
+}
+
+/**
+ * Roll a creature's hoard and whisper it to the GM.
+ * @param {Actor} actor - The creature
+ * @returns {Promise<ChatMessage|null>} The hoard card, or null if the creature has no hoard codes
+ */
+export async function rollCreatureHoard(actor) {
+	const codes = parseHoardCodes(actor.system.treasureType)
+	if (!codes.length) {
+		ui.notifications.warn(game.i18n.format('DOLMEN.Hoard.NoCodes', { name: actor.name }))
+		return null
+	}
+	const hoard = await rollHoard(codes)
+	const hasCoins = COIN_KEYS.some(k => hoard.coins[k])
+
+	const itemRows = hoard.items.map(data => `<div class="group-row">${describeItem(data)}</div>`).join('')
+	const coinRow = hasCoins
+		? `<div class="group-row"><i class="fa-solid fa-coins"></i> ${formatCoins(hoard.coins)}</div>`
+		: ''
+	const empty = hasCoins || hoard.items.length
+		? ''
+		: `<div class="roll-section"><span class="roll-label">${game.i18n.localize('DOLMEN.Hoard.Empty')}</span></div>`
+	const buttons = `
+				<button type="button" class="hoard-stash"${hoard.items.length || hasCoins ? '' : ' disabled'}>
+					<i class="fa-solid fa-box-open"></i> ${game.i18n.localize('DOLMEN.Hoard.Stash')}
+				</button>
+				<button type="button" class="hoard-divide"${hasCoins ? '' : ' disabled'}>
+					<i class="fa-solid fa-coins"></i> ${game.i18n.localize('DOLMEN.Hoard.Divide')}
+				</button>`
+
+	return ChatMessage.create({
+		content: `
+		<div class="dolmen combat-roll hoard-card">
+			<div class="roll-header">
+				<i class="fa-solid fa-gem"></i>
+				<div class="roll-info">
+					<h3>${game.i18n.format('DOLMEN.Hoard.Title', { name: actor.name })}</h3>
+					<span class="roll-type">${codes.join(' + ')}</span>
+				</div>
+			</div>
+			<div class="roll-body">
+				${coinRow}
+				${itemRows}
+				${empty}
+				${buttons}
+			</div>
+		</div>`,
+		speaker: { alias: game.i18n.localize('DOLMEN.Creature.Hoard') },
+		whisper: game.users.filter(u => u.isGM).map(u => u.id),
+		flags: {
+			dolmenwood: {
+				hoard: { ...hoard, coinsClaimed: !hasCoins, itemsClaimed: !hoard.items.length }
+			}
+		}
+	})
+}
+
+/**
+ * Ask the GM which actor to stash a hoard in.
+ * @returns {Promise<Actor|null>}
+ */
+async function chooseStashActor() {
+	const candidates = game.actors.filter(a => a.system.coins)
+	if (!candidates.length) {
+		ui.notifications.warn(game.i18n.localize('DOLMEN.Hoard.NoStash'))
+		return null
+	}
+	const options = candidates.map(a => `<option value="${a.uuid}">${a.name}</option>`).join('')
+	const uuid = await DialogV2.prompt({
+		window: { title: game.i18n.localize('DOLMEN.Hoard.Stash') },
+		content: `
+			<div class="form-group">
+				<label>${game.i18n.localize('DOLMEN.Hoard.StashIn')}</label>
+				<select name="actor">${options}</select>
+			</div>`,
+		ok: {
+			label: game.i18n.localize('DOLMEN.Hoard.Stash'),
+			icon: 'fa-solid fa-box-open',
+			callback: (event, button) => button.form.elements.actor.value
+		},
+		rejectClose: false
+	})
+	return uuid ? fromUuidSync(uuid) : null
+}
+
+/**
+ * Put the unclaimed part of a hoard into an actor's coins and inventory.
+ * @param {ChatMessage} message - The hoard card
+ * @param {Actor} actor - The receiving actor
+ */
+export async function stashHoard(message, actor) {
+	const hoard = message.getFlag('dolmenwood', 'hoard')
+	if (!hoard) return
+	if (!hoard.coinsClaimed) await actor.receiveCoins(hoard.coins, { reason: game.i18n.localize('DOLMEN.Creature.Hoard') })
+	if (!hoard.itemsClaimed) await actor.createEmbeddedDocuments('Item', hoard.items)
+	await message.update({ 'flags.dolmenwood.hoard.coinsClaimed': true, 'flags.dolmenwood.hoard.itemsClaimed': true })
+	ui.notifications.info(game.i18n.format('DOLMEN.Hoard.Stashed', { name: actor.name }))
+}
+
+/**
+ * Wire the stash and divide buttons on hoard cards (GM only).
+ * @param {ChatMessage} message - The rendered chat message
+ * @param {HTMLElement} html - Chat message HTML
+ */
+export function setupHoardButtons(message, html) {
+	const stash = html.querySelector('.hoard-stash')
+	const divide = html.querySelector('.hoard-divide')
+	if (!stash) return
+	if (!game.user.isGM) {
+		stash.remove()
+		divide?.remove()
+		return
+	}
+	const hoard = message.getFlag('dolmenwood', 'hoard')
+	if (hoard?.coinsClaimed && hoard?.itemsClaimed) stash.disabled = true
+	if (hoard?.coinsClaimed && divide) divide.disabled = true
+
+	stash.addEventListener('click', async () => {
+		const actor = await chooseStashActor()
+		if (actor) await stashHoard(message, actor)
+	})
+	divide?.addEventListener('click', async () => {
+		if (await addCoins(hoard.coins)) await message.setFlag('dolmenwood', 'hoard.coinsClaimed', true)
+	})
+}
@@ -0,0 +1,204 @@
+/* global game, ui, fromUuid, ChatMessage */
+/**
+ * Loot & Merchants
+ * Taking items from loot piles, and buying from and selling to merchants with their
+ * coins paid and changed automatically. Players rarely own the loot actor, so their
+ * transactions are carried out by the active GM over the system socket.
+ */
+
+import { copperToCoins, itemPriceInCopper } from './coins.js'
+import { formatCoins } from '../party-viewer/party-viewer.js'
+
+/**
+ * Format a copper value as coins, e.g. "1 gp, 5 sp".
+ * @param {number} copper
+ * @returns {string}
+ */
+export function formatPrice(copper) {
+	return formatCoins(copperToCoins(copper))
+}
+
+/**
+ * The price a merchant pays for an item, after its sell-back rate.
+ * @param {Actor} loot - The merchant
+ * @param {Item} item - The item being sold
+ * @param {number} quantity - Number sold
+ * @returns {number} Price in copper
+ */
+export function sellPrice(loot, item, quantity) {
+	return Math.floor(itemPriceInCopper(item, quantity) * loot.system.sellRate / 100)
+}
+
+/**
+ * Move some or all of an item's quantity onto another actor, stacking it with a
+ * matching item there.
+ * @param {Item} item - The item to move
+ * @param {Actor} target - The receiving actor
+ * @param {number} quantity - Number to move
+ */
+async function moveItem(item, target, quantity) {
+	const stack = target.items.find(i => i.name === item.name && i.type === item.type && i.type !== 'Container')
+	if (stack && stack.system.quantity !== undefined) {
+		await stack.update({ 'system.quantity': stack.system.quantity + quantity })
+	} else {
+		const data = item.toObject()
+		delete data._id
+		if (data.system.quantity !== undefined) data.system.quantity = quantity
+		if (data.system.equipped !== undefined) data.system.equipped = false
+		if (data.system.containerId !== undefined) data.system.containerId = ''
+		await target.createEmbeddedDocuments('Item', [data])
+	}
+
+	const remaining = (item.system.quantity ?? 1) - quantity
+	if (remaining > 0) await item.update({ 'system.quantity': remaining })
+	else await item.delete()
+}
+
+/**
+ * Post a loot transaction to chat.
+ * @param {Actor} loot - The loot pile or merchant (speaker)
+ * @param {string} icon - Header icon class
+ * @param {string} title - Card title
+ * @param {string} text - What happened
+ */
+async function postLootCard(loot, icon, title, text) {
+	await ChatMessage.create({
+		content: `
+		<div class="dolmen combat-roll loot-card">
+			<div class="roll-header">
+				<i class="${icon}"></i>
+				<div class="roll-info">
+					<h3>${title}</h3>
+					<span class="roll-type">${loot.name}</span>
+				</div>
+			</div>
+			<div class="roll-body">
+				<div class="roll-section">
+					<span class="roll-label">${text}</span>
+				</div>
+			</div>
+		</div>`,
+		speaker: ChatMessage.getSpeaker({ actor: loot })
+	})
+}
+
+/**
+ * Check whether a transaction can go ahead.
+ * @param {object} transaction - { type, loot, item, actor, quantity }
+ * @returns {string|null} Localized reason it cannot, or null if it can
+ */
+export function validateTransaction({ type, loot, item, actor, quantity }) {
+	if (!loot || !item || !actor) return game.i18n.localize('DOLMEN.Loot.Unavailable')
+	const holder = (type === 'give' || type === 'sell') ? actor : loot
+	if (item.parent !== holder) return game.i18n.localize('DOLMEN.Loot.Unavailable')
+	if (quantity < 1 || quantity > (item.system.quantity ?? 1)) return game.i18n.localize('DOLMEN.Loot.Unavailable')
+	if (type === 'buy') {
+		const price = itemPriceInCopper(item, quantity)
+		if (!actor.canAfford(price, 'cp')) {
+			return game.i18n.format('DOLMEN.Loot.CannotAfford', { name: actor.name, price: formatPrice(price) })
+		}
+	} else if (type === 'sell') {
+		const price = sellPrice(loot, item, quantity)
+		if (!loot.canAfford(price, 'cp')) {
+			return game.i18n.format('DOLMEN.Loot.MerchantCannotAfford', { name: loot.name, price: formatPrice(price) })
+		}
+	}
+	return null
+}
+
+/**
+ * Carry out a transaction between a loot actor and an adventurer.
+ * take: item moves from the loot to the actor for free.
+ * give: item moves from the actor to the loot for free.
+ * buy: the actor pays the item's cost to the merchant.
+ * sell: the merchant pays the actor its sell-back price.
+ * Purchases and sales are posted as coin transactions, takes and gifts as loot cards.
+ * @param {object} data - { type, lootUuid, itemUuid, actorUuid, quantity }
+ * @returns {Promise<boolean>} True if the transaction went ahead
+ */
+export async function runTransaction({ type, lootUuid, itemUuid, actorUuid, quantity }) {
+	const loot = await fromUuid(lootUuid)
+	const item = await fromUuid(itemUuid)
+	const actor = await fromUuid(actorUuid)
+	if (validateTransaction({ type, loot, item, actor, quantity })) return false
+
+	const label = quantity > 1 ? `${quantity} × ${item.name}` : item.name
+	if (type === 'take') {
+		await moveItem(item, actor, quantity)
+		await postLootCard(loot, 'fa-solid fa-hand-holding', game.i18n.localize('DOLMEN.Loot.Taken'),
+			game.i18n.format('DOLMEN.Loot.TakenText', { name: actor.name, item: label }))
+	} else if (type === 'give') {
+		await moveItem(item, loot, quantity)
+		await postLootCard(loot, 'fa-solid fa-box-open', game.i18n.localize('DOLMEN.Loot.Given'),
+			game.i18n.format('DOLMEN.Loot.GivenText', { name: actor.name, item: label }))
+	} else if (type === 'buy') {
+		const price = itemPriceInCopper(item, quantity)
+		await actor.pay(price, 'cp', { reason: game.i18n.format('DOLMEN.Loot.BoughtFrom', { item: label, name: loot.name }) })
+		await loot.receiveCoins(copperToCoins(price), { chat: false })
+		await moveItem(item, actor, quantity)
+	} else if (type === 'sell') {
+		const price = sellPrice(loot, item, quantity)
+		await loot.pay(price, 'cp', { chat: false })
+		await actor.receiveCoins(copperToCoins(price), { reason: game.i18n.format('DOLMEN.Loot.SoldTo', { item: label, name: loot.name }) })
+		await moveItem(item, loot, quantity)
+	}
+	return true
+}
+
+/**
+ * Request a transaction, carrying it out directly when the user owns both actors
+ * and through the active GM otherwise.
+ * @param {object} data - { type, lootUuid, itemUuid, actorUuid, quantity }
+ */
+export async function requestTransaction(data) {
+	const loot = await fromUuid(data.lootUuid)
+	const item = await fromUuid(data.itemUuid)
+	const actor = await fromUuid(data.actorUuid)
+	const problem = validateTransaction({ ...data, loot, item, actor })
+	if (problem) {
+		ui.notifications.warn(problem)
+		return
+	}
+	if (game.user.isGM || (loot.isOwner && actor.isOwner)) {
+		await runTransaction(data)
+	} else if (game.users.activeGM) {
+		game.socket.emit('system.dolmenwood', { action: 'lootTransaction', ...data, userId: game.user.id })
+	} else {
+		ui.notifications.warn(game.i18n.localize('DOLMEN.Damage.NoActiveGM'))
+	}
+}
+
+/**
+ * Check a player's socket request and carry it out. The requesting user must own
+ * the adventurer; a refused request is reported back to them.
+ * @param {object} data - Socket payload { type, lootUuid, itemUuid, actorUuid, quantity, userId }
+ */
+async function runRequestedTransaction({ type, lootUuid, itemUuid, actorUuid, quantity, userId }) {
+	const loot = await fromUuid(lootUuid)
+	const item = await fromUuid(itemUuid)
+	const actor = await fromUuid(actorUuid)
+	const user = game.users.get(userId)
+	let problem = validateTransaction({ type, loot, item, actor, quantity })
+	if (!problem && !(user && actor.testUserPermission(user, 'OWNER'))) {
+		problem = game.i18n.format('DOLMEN.Loot.NotOwner', { name: actor.name })
+	}
+	if (problem) {
+		game.socket.emit('system.dolmenwood', { action: 'lootTransactionRefused', userId, reason: problem })
+		return
+	}
+	await runTransaction({ type, lootUuid, itemUuid, actorUuid, quantity })
+}
+
+/**
+ * Handle loot socket events. The active GM carries out requested transactions;
+ * the requesting user is told why a refused one did not go ahead.
+ * @param {object} data - Socket payload
+ */
+export function handleLootSocket(data) {
+	if (data.action === 'lootTransactionRefused') {
+		if (data.userId === game.user.id) ui.notifications.warn(data.reason)
+		return
+	}
+	if (!game.users.activeGM?.isSelf) return
+	if (data.action === 'lootTransaction') runRequestedTransaction(data)
+}
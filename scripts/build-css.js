@@ -24,12 +24,15 @@ const layers = [
 			'components.css',
 			'magic.css',
 			'traits.css',
+			'effects.css',
 			'notes.css',
 			'settings.css',
 			'creature.css',
 			'calendar.css',
 			'combat-tracker.css',
 			'dungeon-tracker.css',
+			'travel.css',
+			'loot.css',
 			'party-viewer.css'
 		]
 	}